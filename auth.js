@@ -1,13 +1,25 @@
 // This file controls the new index.html page
 
 // Import the firebase services
-import { db, auth, GoogleProvider } from './modules/firebase.js';
+import { auth, GoogleProvider } from './modules/firebase.js';
+import { storage } from './modules/storage/index.js';
+import { normalizeGameCode, isValidGameCode } from './modules/game-codes.js';
 
 /* ================== UTILITIES ================== */
 function $(id) {
     return document.getElementById(id);
 }
 
+// Runs the callback once the DOM is ready, even if that already happened
+// while the Firebase SDK was still loading.
+function onDomReady(callback) {
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', callback);
+    } else {
+        callback();
+    }
+}
+
 function showToast(message, type = 'info', duration = 2000) {
     const container = $('toastContainer');
     if (!container) return;
@@ -28,20 +40,14 @@ function showToast(message, type = 'info', duration = 2000) {
 }
 
 async function loadGameState(code) {
-    if (!db) {
-        showToast('Database not connected', 'error', 3000);
-        return null;
-    }
     try {
-        const doc = await db.collection('games').doc(code).get();
-        if (doc.exists) {
-            return doc.data();
-        } else {
+        const game = await storage.get('games', code);
+        if (!game) {
             console.warn(`Game doc '${code}' does not exist`);
-            return null;
         }
+        return game;
     } catch (e) {
-        console.warn('Failed to load game from Firebase:', e);
+        console.warn('Failed to load game:', e);
         return null;
     }
 }
@@ -49,6 +55,10 @@ async function loadGameState(code) {
 /* ================== AUTH HANDLERS ================== */
 
 function handleSignUp() {
+    if (!auth) {
+        showToast('Sign up needs an internet connection', 'error', 3000);
+        return;
+    }
     const email = $('globalSignupEmail').value;
     const password = $('globalSignupPassword').value;
     if (password.length < 6) {
@@ -67,6 +77,10 @@ function handleSignUp() {
 }
 
 function handleLogin() {
+    if (!auth) {
+        showToast('Sign in needs an internet connection', 'error', 3000);
+        return;
+    }
     const email = $('globalEmail').value;
     const password = $('globalPassword').value;
     auth.signInWithEmailAndPassword(email, password)
@@ -85,7 +99,7 @@ function handleLogin() {
 }
 
 function handleGoogleSignIn() {
-    if (!GoogleProvider) {
+    if (!auth || !GoogleProvider) {
         showToast('Google Sign-In is not available', 'error');
         return;
     }
@@ -108,8 +122,8 @@ function handleFreeHost() {
 }
 
 async function handleGlobalWatch() {
-    const code = $('globalWatchCode').value.trim();
-    if (code.length !== 6) return;
+    const code = normalizeGameCode($('globalWatchCode').value);
+    if (!isValidGameCode(code)) return;
 
     // Check if game exists before redirecting
     const game = await loadGameState(code);
@@ -158,14 +172,12 @@ function setupTabs() {
  * @param {firebase.User} user - The authenticated user object.
  */
 async function checkAndCreateUserProfile(user) {
-    if (!user || !db) return;
+    if (!user) return;
 
-    const userRef = db.collection('users').doc(user.uid);
-    
     try {
-        const doc = await userRef.get();
+        const profile = await storage.get('users', user.uid);
         
-        if (!doc.exists) {
+        if (!profile) {
             // Profile doesn't exist, create it
             console.log('Creating new user profile for:', user.uid);
             const newUserProfile = {
@@ -175,7 +187,7 @@ async function checkAndCreateUserProfile(user) {
                 createdAt: new Date(),
                 hostedGames: [] // Initialize as an empty array
             };
-            await userRef.set(newUserProfile);
+            await storage.set('users', user.uid, newUserProfile);
             showToast('Welcome! Your host profile has been created.', 'success', 3000);
         } else {
             // Profile exists, just log it
@@ -190,29 +202,32 @@ async function checkAndCreateUserProfile(user) {
 
 /* ================== INITIALIZATION ================== */
 
-// Listen for auth state changes
-auth.onAuthStateChanged(user => {
-    if (user) {
-        // User is logged in
-        console.log('User is logged in. Checking profile...');
+// Listen for auth state changes (not available when running offline)
+if (auth) {
+    auth.onAuthStateChanged(user => {
+        // Anonymous accounts only exist so guests can host (see main.js)
+        if (user && !user.isAnonymous) {
+            // User is logged in
+            console.log('User is logged in. Checking profile...');
         
-        // --- NEW LOGIC ---
-        // Check for profile *before* redirecting
-        checkAndCreateUserProfile(user).then(() => {
-            // Profile check/creation is done, now redirect.
-            console.log('Redirecting to sport selection.');
-            window.location.href = 'sports.html?mode=host';
-        });
-        // --- END NEW LOGIC ---
+            // --- NEW LOGIC ---
+            // Check for profile *before* redirecting
+            checkAndCreateUserProfile(user).then(() => {
+                // Profile check/creation is done, now redirect.
+                console.log('Redirecting to sport selection.');
+                window.location.href = 'sports.html?mode=host';
+            });
+            // --- END NEW LOGIC ---
 
-    } else {
-        // User is logged out
-        console.log('User is logged out, showing login page.');
-    }
-});
+        } else {
+            // User is logged out
+            console.log('User is logged out, showing login page.');
+        }
+    });
+}
 
 // Attach all listeners
-document.addEventListener('DOMContentLoaded', () => {
+onDomReady(() => {
     // Auth listeners
     if ($('globalLoginBtn')) $('globalLoginBtn').addEventListener('click', handleLogin);
     if ($('globalSignupBtn')) $('globalSignupBtn').addEventListener('click', handleSignUp);
@@ -229,9 +244,9 @@ document.addEventListener('DOMContentLoaded', () => {
     // Watch code input validation
     if ($('globalWatchCode')) {
         $('globalWatchCode').addEventListener('input', (e) => {
-            const value = e.target.value.replace(/\D/g, '').slice(0, 6);
+            const value = normalizeGameCode(e.target.value);
             e.target.value = value;
-            $('globalWatchBtn').disabled = value.length !== 6;
+            $('globalWatchBtn').disabled = !isValidGameCode(value);
             $('globalCodeValidationMessage').classList.add('hidden');
         });
     }
@@ -0,0 +1,13 @@
+// Deployment settings read by modules/config.js. Copy this file to
+// box-config.js next to the pages (it is not committed) and fill in the
+// keys from the Firebase console. Leave out anything the profile already has.
+window.BOX_CONFIG = {
+  // env: "staging",
+  firebase: {
+    apiKey: ""
+  },
+  appCheck: {
+    // reCAPTCHA v3 site key registered for App Check
+    siteKey: ""
+  }
+};
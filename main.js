@@ -1,5 +1,6 @@
 /* ================== GLOBAL STATE & UTILS ================== */
-import { db, auth } from './modules/firebase.js';
+import { auth } from './modules/firebase.js';
+import { getSport, supportsMode, loadSport } from './sports/registry.js';
 
 // The main application container
 const appContainer = document.getElementById('app-container');
@@ -13,6 +14,18 @@ function $(id) {
     return document.getElementById(id);
 }
 
+/**
+ * Utility: Runs the callback once the DOM is ready, even if that already
+ * happened while the Firebase SDK was still loading
+ */
+function onDomReady(callback) {
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', callback);
+    } else {
+        callback();
+    }
+}
+
 /**
  * Utility: Gets all elements by a selector
  */
@@ -88,6 +101,41 @@ window.utils = {
 
 /* ================== APP INITIALIZATION ================== */
 
+/**
+ * Works out which mode the scoreboard was opened in from its URL
+ * Returns null when no mode was given (the sport shows its own landing page)
+ */
+function getRequestedMode(urlParams) {
+    if (urlParams.get('watch')) return 'watch';
+    const hostMode = urlParams.get('host');
+    if (hostMode === 'true') return 'host';
+    if (hostMode === 'free') return 'free';
+    return null;
+}
+
+/**
+ * Replaces the app with an error page
+ * The text is set with textContent: it can come straight from the URL.
+ */
+function showErrorPage(title, message, detail = '') {
+    appContainer.innerHTML = `
+        <div class="container" style="text-align: center; padding-top: 50px;">
+            <h1 style="color: var(--color-error);"></h1>
+            <p class="error-message"></p>
+            <p class="error-detail" style="color: var(--color-text-secondary);"></p>
+            <a href="index.html" class="btn btn--primary">Go Back Home</a>
+        </div>
+    `;
+    appContainer.querySelector('h1').textContent = title;
+    appContainer.querySelector('.error-message').textContent = message;
+    const detailEl = appContainer.querySelector('.error-detail');
+    if (detail) {
+        detailEl.textContent = detail;
+    } else {
+        detailEl.remove();
+    }
+}
+
 /**
  * Loads and initializes the correct sport module
  */
@@ -99,43 +147,63 @@ async function loadSportModule(urlParams, user) {
             return;
         }
 
-        const sportModule = await import(`./sports/${sportName}.js`);
-        
-        if (!sportModule || !sportModule.default) {
-            throw new Error(`Sport module for "${sportName}" is invalid.`);
+        // Only sports in the registry are ever imported
+        const sport = getSport(sportName);
+        if (!sport) {
+            document.title = 'Unknown Sport';
+            showErrorPage('Unknown Sport', `There is no sport called "${sportName}".`, 'Check the link or pick a sport from the home page.');
+            return;
         }
 
-        currentSportModule = sportModule.default;
-        document.title = `${currentSportModule.sportName} Scoreboard`;
+        const mode = getRequestedMode(urlParams);
+        if (mode && !supportsMode(sport, mode)) {
+            showErrorPage('Not Available', `${sport.name} can't be opened in ${mode} mode.`);
+            return;
+        }
+
+        currentSportModule = await loadSport(sport);
+        document.title = `${sport.name} Scoreboard`;
         appContainer.innerHTML = currentSportModule.buildHtml();
 
         // Initialize the sport module
         // Pass the user object (or null) and all URL params
-        currentSportModule.init(window.utils, user, urlParams);
+        // Awaited so a sport that can't start (e.g. no game code could be
+        // reserved) ends up on the error page below
+        await currentSportModule.init(window.utils, user, urlParams);
         
-        console.log(`Successfully initialized ${currentSportModule.sportName} module.`);
+        console.log(`Successfully initialized ${currentSportModule.sportName} module (v${sport.version}).`);
 
     } catch (error) {
         console.error('Failed to initialize app:', error);
-        appContainer.innerHTML = `
-            <div class="container" style="text-align: center; padding-top: 50px;">
-                <h1 style="color: var(--color-error);">Error</h1>
-                <p>Could not load the sport module.</p>
-                <p style="color: var(--color-text-secondary);">${error.message}</p>
-                <a href="index.html" class="btn btn--primary">Go Back Home</a>
-            </div>
-        `;
+        showErrorPage('Error', 'Could not load the sport module.', error.message);
     }
 }
 
 // Start the application when the DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
+onDomReady(() => {
     const urlParams = new URLSearchParams(window.location.search);
 
+    // Without Firebase (offline / local storage) everyone is a guest
+    if (!auth) {
+        loadSportModule(urlParams, null);
+        return;
+    }
+
     // This runs auth check *first*
     auth.onAuthStateChanged(user => {
+        // Anyone who might host without an account gets an anonymous one, so
+        // the security rules can tell their game apart (see firestore.rules)
+        if (!user && getRequestedMode(urlParams) !== 'watch') {
+            auth.signInAnonymously().catch(error => {
+                console.warn('Anonymous sign-in failed, continuing as a guest:', error);
+                loadSportModule(urlParams, null);
+            });
+            return; // This listener runs again once signed in
+        }
+
         // Once we know the user status, load the module
-        // This ensures the module's init() has the user object
-        loadSportModule(urlParams, user);
+        // This ensures the module's init() has the user object.
+        // Anonymous guests are still guests to the sport modules.
+        loadSportModule(urlParams, user && !user.isAnonymous ? user : null);
     });
 });
\ No newline at end of file
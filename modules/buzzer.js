@@ -0,0 +1,34 @@
+// A scoreboard horn made with the Web Audio API, so no sound file has to be
+// shipped. Browsers only allow audio once the page has been interacted with;
+// a host has always clicked something by the time a clock runs out.
+
+let context = null;
+
+/**
+ * Sounds the horn
+ * @param {object} options
+ * @param {number} options.durationMs - How long it sounds
+ * @param {number} options.frequency - Pitch in Hz
+ */
+function playBuzzer({ durationMs = 1200, frequency = 220 } = {}) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+    try {
+        context = context || new AudioContextClass();
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+        const end = context.currentTime + durationMs / 1000;
+        oscillator.type = 'sawtooth';
+        oscillator.frequency.value = frequency;
+        gain.gain.setValueAtTime(0.2, context.currentTime);
+        gain.gain.setValueAtTime(0.2, end - 0.05);
+        gain.gain.linearRampToValueAtTime(0, end); // Fade out so it doesn't click
+        oscillator.connect(gain).connect(context.destination);
+        oscillator.start();
+        oscillator.stop(end);
+    } catch (e) {
+        console.warn('Could not play the buzzer:', e);
+    }
+}
+
+export { playBuzzer };
@@ -0,0 +1,109 @@
+// Firebase settings for each environment. Nothing else in the app should
+// hard-code project details; import { config } from here instead.
+//
+// The environment is picked in this order:
+//   1. ?env=dev|staging|prod on the page (for that page load only)
+//   2. window.BOX_CONFIG.env, injected by the page or the host before modules load
+//   3. 'dev' when served from localhost, otherwise 'prod'
+//
+// Any other fields on window.BOX_CONFIG override the chosen profile, so a
+// deployment can inject its own keys without editing this file. Every page
+// loads box-config.js for this; copy box-config.example.js to start one.
+// ?emulators=1 (or useEmulators: true) points Firestore and Auth at the
+// local Firebase emulators started with `firebase emulators:start`.
+
+// Older builds remembered ?env in this key, which pinned a browser to one
+// environment even on a deployment that injects another. It is cleared on load.
+const LEGACY_ENV_SETTING_KEY = 'boxEnv';
+
+// Default ports from `firebase init emulators`
+const DEFAULT_EMULATORS = {
+  host: "127.0.0.1",
+  firestorePort: 8080,
+  authPort: 9099
+};
+
+const PROFILES = {
+  dev: {
+    // Demo project ids never reach a real Firebase project
+    firebase: {
+      apiKey: "demo-api-key",
+      authDomain: "demo-bmsce-box.firebaseapp.com",
+      projectId: "demo-bmsce-box",
+      appId: "demo-app-id"
+    },
+    useEmulators: true,
+    appCheck: null,
+    gameCodeFormat: "digits"
+  },
+
+  staging: {
+    // Fill these in from the staging project's web app settings. The
+    // apiKey is injected like prod's.
+    firebase: {
+      authDomain: "bmsce-box-staging.firebaseapp.com",
+      projectId: "bmsce-box-staging",
+      storageBucket: "bmsce-box-staging.firebasestorage.app",
+      messagingSenderId: "",
+      appId: ""
+    },
+    useEmulators: false,
+    appCheck: null,
+    gameCodeFormat: "digits"
+  },
+
+  prod: {
+    // The apiKey is injected with window.BOX_CONFIG.firebase.apiKey
+    firebase: {
+      authDomain: "bmsce-box.firebaseapp.com",
+      projectId: "bmsce-box",
+      storageBucket: "bmsce-box.firebasestorage.app",
+      messagingSenderId: "705333337179",
+      appId: "1:705333337179:web:9018e93764205c6f33337e",
+      measurementId: "G-P6VC5RQRDY"
+    },
+    useEmulators: false,
+    // App Check with reCAPTCHA v3. The site key is injected with
+    // window.BOX_CONFIG.appCheck.siteKey; a debugToken there is only for
+    // local testing against the real project.
+    appCheck: { required: true },
+    // "digits" for 6-digit codes, "words" for pronounceable ones like BALIMU
+    gameCodeFormat: "digits"
+  }
+};
+
+function isLocalhost() {
+  return ['localhost', '127.0.0.1', '[::1]'].includes(window.location.hostname);
+}
+
+function getEnvironment(injected) {
+  localStorage.removeItem(LEGACY_ENV_SETTING_KEY);
+  const requested = new URLSearchParams(window.location.search).get('env');
+  if (requested && PROFILES[requested]) return requested;
+  if (injected.env && PROFILES[injected.env]) return injected.env;
+  return isLocalhost() ? 'dev' : 'prod';
+}
+
+function loadConfig() {
+  const injected = window.BOX_CONFIG || {};
+  const env = getEnvironment(injected);
+  const profile = PROFILES[env];
+
+  const config = {
+    ...profile,
+    ...injected,
+    env,
+    firebase: { ...profile.firebase, ...injected.firebase },
+    appCheck: { ...profile.appCheck, ...injected.appCheck },
+    emulators: { ...DEFAULT_EMULATORS, ...injected.emulators }
+  };
+
+  const emulatorParam = new URLSearchParams(window.location.search).get('emulators');
+  if (emulatorParam !== null) config.useEmulators = emulatorParam !== '0';
+
+  return config;
+}
+
+const config = loadConfig();
+
+export { config };
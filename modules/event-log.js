@@ -0,0 +1,130 @@
+// Every scoring action is stored as an append-only event under
+// games/{code}/events. The score, fouls, timeouts, possession and period on
+// the game document are only a cached copy: the real state is worked out by
+// replaying the events through the sport's reducer.
+//
+// A reducer is an object with:
+//   reset(game)         - puts every event-derived field back to its starting value
+//   apply(game, event)  - applies one event to the game in place
+//   clock(game)         - the game-clock reading to stamp on new events
+//
+// 'undo', 'redo' and 'edit' events are handled here for every sport: an undo
+// voids the event it targets, a redo brings it back, and an edit corrects it
+// (e.g. the wrong player was credited) without rewriting the stored event.
+//
+// Any payload may carry a `label`, a short description for history lists
+// written when the action happened (e.g. "+2pts for Sam").
+
+const EVENT_TYPES = ['point', 'miss', 'foul', 'timeout', 'possession', 'jumpball', 'heldball', 'period', 'stat', 'lineup', 'sub', 'undo', 'redo', 'edit'];
+
+// Events that act on other events rather than on the game
+const MARKER_TYPES = ['undo', 'redo', 'edit'];
+
+let lastAt = 0; // Time of the last event created here, so ours never tie
+
+/**
+ * Path of the events collection for a game
+ */
+function eventsCollection(code) {
+    return `games/${code}/events`;
+}
+
+/**
+ * Builds a new event. Ids sort by creation time, so two devices never collide
+ * and the log reads in order.
+ * @param {string} type - One of EVENT_TYPES
+ * @param {object} payload - Type-specific details (team, points, player...)
+ * @param {object} meta
+ * @param {object} meta.actor - Who recorded it ({ uid, name })
+ * @param {object | null} meta.clock - Game-clock reading when it happened
+ */
+function createEvent(type, payload = {}, { actor = null, clock = null } = {}) {
+    if (!EVENT_TYPES.includes(type)) {
+        throw new Error(`Unknown event type "${type}"`);
+    }
+    // Events made in the same millisecond (e.g. reverting several at once) still sort in order
+    const at = Math.max(Date.now(), lastAt + 1);
+    lastAt = at;
+    return {
+        id: `${at.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        type,
+        payload,
+        actor,
+        at,
+        clock
+    };
+}
+
+/**
+ * Sorts events into the order they were recorded
+ */
+function sortEvents(events) {
+    return [...events].sort((a, b) => a.at - b.at || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+}
+
+/**
+ * Returns the ids of events that are currently undone
+ */
+function getVoidedIds(events) {
+    const voided = new Set();
+    sortEvents(events).forEach(event => {
+        if (event.type === 'undo') voided.add(event.payload.target);
+        if (event.type === 'redo') voided.delete(event.payload.target);
+    });
+    return voided;
+}
+
+/**
+ * True for undo, redo and edit events
+ */
+function isMarker(event) {
+    return MARKER_TYPES.includes(event.type);
+}
+
+/**
+ * Every action in order with its edits applied, markers left out.
+ * An edit's payload is { target, changes, clock }: `changes` is merged into
+ * the target's payload and `clock`, if given, replaces its clock stamp.
+ * Edited events are copies, the stored events are never changed.
+ */
+function applyEdits(events) {
+    const sorted = sortEvents(events);
+    const edited = new Map();
+    sorted.filter(event => event.type === 'edit').forEach(edit => {
+        const { target, changes = {}, clock } = edit.payload;
+        const original = edited.get(target) || sorted.find(event => event.id === target);
+        if (!original) return;
+        edited.set(target, {
+            ...original,
+            payload: { ...original.payload, ...changes },
+            clock: clock || original.clock,
+            edited: true
+        });
+    });
+    return sorted
+        .filter(event => !isMarker(event))
+        .map(event => edited.get(event.id) || event);
+}
+
+/**
+ * The events that count towards the score, in order, with edits applied
+ * (undone events and the markers themselves are left out)
+ */
+function getActiveEvents(events) {
+    const voided = getVoidedIds(events);
+    return applyEdits(events).filter(event => !voided.has(event.id));
+}
+
+/**
+ * Rebuilds the event-derived fields of a game in place.
+ * Games created before the event log existed have no `eventLog` flag; their
+ * document is still the source of truth, so they are left untouched.
+ */
+function replayEvents(game, events, reducer) {
+    if (!game || !reducer || !game.eventLog) return game;
+    reducer.reset(game);
+    getActiveEvents(events).forEach(event => reducer.apply(game, event));
+    return game;
+}
+
+export { EVENT_TYPES, eventsCollection, createEvent, sortEvents, isMarker, getVoidedIds, applyEdits, getActiveEvents, replayEvents };
@@ -0,0 +1,135 @@
+// Game clocks that every device can read the same way. A clock is stored on
+// the game document as
+//
+//   { running: true|false, startedAt: <server ms when last started>, remainingMs }
+//
+// While it runs, the time left is remainingMs minus the time since startedAt,
+// so hosts and spectators don't count down on their own, a throttled
+// background tab catches up the moment it renders, and a reload picks up
+// where the clock really is. The interval that redraws the display never
+// changes the clock.
+//
+// startedAt is in server time. syncServerTime() estimates how far this
+// device's clock is from the server's so every device agrees on "now".
+
+import { storage } from './storage/index.js';
+
+const CLOCK_TICK_MS = 100; // Redraw often enough to show tenths
+const FINAL_MINUTE_MS = 60000;
+
+let serverOffset = 0; // server time - local time, in ms
+
+/**
+ * Current time on the server's clock, as best we know it
+ */
+function serverNow() {
+    return Date.now() + serverOffset;
+}
+
+/**
+ * Measures the offset between this device and the server. Safe to call
+ * without awaiting; until it finishes, local time is used.
+ */
+async function syncServerTime() {
+    try {
+        const sentAt = Date.now();
+        const serverTime = await storage.serverTime();
+        const receivedAt = Date.now();
+        // Assume the server stamped the time halfway through the round trip
+        serverOffset = serverTime - (sentAt + receivedAt) / 2;
+        console.log(`Server clock offset: ${Math.round(serverOffset)}ms`);
+    } catch (e) {
+        console.warn('Could not sync with server time, using local time:', e);
+    }
+    return serverOffset;
+}
+
+/**
+ * A new, stopped clock
+ * @param {number} remainingMs - Time on the clock
+ */
+function createClock(remainingMs) {
+    return { running: false, startedAt: null, remainingMs: Math.max(0, remainingMs) };
+}
+
+/**
+ * Time left on a clock in ms (never below 0)
+ */
+function clockRemaining(clock, now = serverNow()) {
+    if (!clock) return 0;
+    if (!clock.running) return clock.remainingMs;
+    return Math.max(0, clock.remainingMs - (now - clock.startedAt));
+}
+
+/**
+ * Starts a clock. Does nothing if it is already running or has run out.
+ */
+function startClock(clock) {
+    if (clock.running || clock.remainingMs <= 0) return clock;
+    clock.running = true;
+    clock.startedAt = serverNow();
+    return clock;
+}
+
+/**
+ * Stops a clock and keeps the time that was left
+ */
+function pauseClock(clock) {
+    if (!clock.running) return clock;
+    clock.remainingMs = clockRemaining(clock);
+    clock.running = false;
+    clock.startedAt = null;
+    return clock;
+}
+
+/**
+ * Puts a new time on a clock without changing whether it is running
+ */
+function setClock(clock, remainingMs) {
+    clock.remainingMs = Math.max(0, remainingMs);
+    clock.startedAt = clock.running ? serverNow() : null;
+    return clock;
+}
+
+/**
+ * Game clock text: MM:SS, or SS.t (tenths) in the final minute
+ */
+function formatClock(ms) {
+    if (ms < FINAL_MINUTE_MS) {
+        // Round down so 0.0 only shows when time is really up
+        const tenths = Math.floor(ms / 100);
+        return `${Math.floor(tenths / 10).toString().padStart(2, '0')}.${tenths % 10}`;
+    }
+    const totalSeconds = Math.ceil(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Whole seconds left, rounded up (for shot and raid clocks)
+ */
+function clockSeconds(ms) {
+    return Math.ceil(ms / 1000);
+}
+
+/**
+ * Converts a minutes/seconds pair (how clocks used to be stored) to ms
+ */
+function toMs(minutes = 0, seconds = 0) {
+    return (minutes * 60 + seconds) * 1000;
+}
+
+export {
+    CLOCK_TICK_MS,
+    serverNow,
+    syncServerTime,
+    createClock,
+    clockRemaining,
+    startClock,
+    pauseClock,
+    setClock,
+    formatClock,
+    clockSeconds,
+    toMs
+};
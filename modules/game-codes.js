@@ -0,0 +1,90 @@
+// Game codes are how spectators find a game, so two live games must never
+// share one. Every new code is claimed in the 'gameCodes' collection with
+// storage.create(), which only succeeds if nobody holds the code yet (a
+// transaction on Firestore). If the code is taken, another one is drawn.
+//
+// Codes are 6 digits by default. gameCodeFormat: "words" in the config gives
+// pronounceable codes like BALIMU, which are easier to read out over a PA.
+
+import { config } from './config.js';
+
+const CODE_LENGTH = 6;
+const CODES_COLLECTION = 'gameCodes';
+const MAX_ATTEMPTS = 10;
+
+// Letters that are hard to mishear or misread are left out (no O next to 0, no C/K/Q)
+const CONSONANTS = 'BDFGHJLMNPRSTVZ';
+const VOWELS = 'AEIU';
+
+function randomChar(chars) {
+    return chars[Math.floor(Math.random() * chars.length)];
+}
+
+/**
+ * Generates a random game code. Nothing is reserved; see reserveGameCode().
+ * @param {string} format - 'digits' (123456) or 'words' (BALIMU)
+ */
+function generateGameCode(format = config.gameCodeFormat) {
+    if (format === 'words') {
+        let code = '';
+        while (code.length < CODE_LENGTH) code += randomChar(CONSONANTS) + randomChar(VOWELS);
+        return code;
+    }
+    return Math.floor(100000 + Math.random() * 900000).toString();
+}
+
+/**
+ * Cleans up a code typed by a user: upper case, letters and digits only
+ */
+function normalizeGameCode(input) {
+    return String(input || '').toUpperCase().replace(/[^0-9A-Z]/g, '').slice(0, CODE_LENGTH);
+}
+
+/**
+ * True for 6 digits or 6 letters (either code format)
+ */
+function isValidGameCode(code) {
+    return /^(\d{6}|[A-Z]{6})$/.test(code);
+}
+
+/**
+ * Error thrown when a specific code was asked for but is taken (same code as Firestore)
+ */
+function codeTakenError(code) {
+    const error = new Error(`Game code ${code} is already in use`);
+    error.code = 'already-exists';
+    return error;
+}
+
+async function claim(storage, code, owner) {
+    // Games started before codes were reserved only exist in 'games'
+    if (await storage.get('games', code)) return false;
+    return storage.create(CODES_COLLECTION, code, { ...owner, code, reservedAt: Date.now() });
+}
+
+/**
+ * Reserves a code for a new game.
+ * @param {object} storage - Storage adapter
+ * @param {object} options
+ * @param {string} options.code - A specific code to claim. If it is taken this
+ *   rejects with error.code 'already-exists' instead of trying another.
+ * @param {object} options.owner - Saved with the reservation, e.g. { sport, hostId }
+ * @param {string} options.format - Code format for generated codes
+ * @returns {Promise<string>} The reserved code
+ */
+async function reserveGameCode(storage, { code = null, owner = {}, format = config.gameCodeFormat } = {}) {
+    if (code) {
+        if (await claim(storage, code, owner)) return code;
+        throw codeTakenError(code);
+    }
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+        const candidate = generateGameCode(format);
+        if (await claim(storage, candidate, owner)) return candidate;
+        console.warn(`Game code ${candidate} is taken, trying another.`);
+    }
+    const error = new Error(`No free game code after ${MAX_ATTEMPTS} attempts`);
+    error.code = 'resource-exhausted';
+    throw error;
+}
+
+export { CODES_COLLECTION, generateGameCode, normalizeGameCode, isValidGameCode, reserveGameCode };
@@ -0,0 +1,160 @@
+// Every game document carries a schemaVersion. Each sport describes its
+// document with a schema object:
+//
+//   {
+//     version: 2,                         - the version new games are saved as
+//     document: { type: 'object', ... },  - JSON-schema-style description (see validate())
+//     migrations: [                       - steps from older versions, oldest first
+//       { version: 1, description: '...', up(game) { ... } }
+//     ]
+//   }
+//
+// upgradeGame() runs every migration newer than the document's version, so a
+// game saved months ago resumes in today's shape. Documents from before
+// versioning count as version 0.
+
+// The app started out as a basketball-only scoreboard
+const LEGACY_SPORT = 'basketball';
+
+const CLOCK_SCHEMA = {
+    type: 'object',
+    required: ['running', 'remainingMs'],
+    properties: {
+        running: { type: 'boolean' },
+        startedAt: { type: ['number', 'null'] },
+        remainingMs: { type: 'number', minimum: 0 }
+    }
+};
+
+/**
+ * Schema for a game document: the fields every sport shares plus the sport's own
+ * @param {object} sport
+ * @param {object} sport.team - Extra properties of teamA and teamB
+ * @param {object} sport.properties - Extra top-level properties
+ * @param {string[]} sport.required - Extra required top-level properties
+ */
+function gameDocumentSchema({ team = {}, properties = {}, required = [] } = {}) {
+    const teamSchema = {
+        type: 'object',
+        required: ['name', 'score', ...Object.keys(team)],
+        properties: {
+            name: { type: 'string' },
+            score: { type: 'integer', minimum: 0 },
+            ...team
+        }
+    };
+    return {
+        type: 'object',
+        required: ['sport', 'status', 'schemaVersion', 'teamA', 'teamB', ...required],
+        properties: {
+            sport: { type: 'string' },
+            status: { enum: ['live', 'final'] },
+            schemaVersion: { type: 'integer', minimum: 0 },
+            code: { type: 'string' },
+            hostId: { type: ['string', 'null'] },
+            settings: { type: 'object' },
+            eventLog: { type: 'boolean' },
+            eventCount: { type: 'integer', minimum: 0 },
+            lastUpdate: { type: 'number' },
+            teamA: teamSchema,
+            teamB: teamSchema,
+            ...properties
+        }
+    };
+}
+
+function matchesType(type, value) {
+    switch (type) {
+        case 'null': return value === null;
+        case 'array': return Array.isArray(value);
+        case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && !Number.isNaN(value);
+        default: return typeof value === type;
+    }
+}
+
+function check(schema, value, path, errors) {
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => matchesType(type, value))) {
+            errors.push(`${path} should be ${types.join(' or ')}`);
+            return;
+        }
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} should be one of ${schema.enum.join(', ')}`);
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} should be at least ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} should be at most ${schema.maximum}`);
+    }
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, i) => check(schema.items, item, `${path}[${i}]`, errors));
+    }
+    if (!matchesType('object', value)) return;
+
+    (schema.required || []).forEach(key => {
+        if (value[key] === undefined) errors.push(`${path}.${key} is missing`);
+    });
+    const properties = schema.properties || {};
+    Object.keys(value).forEach(key => {
+        if (properties[key]) {
+            check(properties[key], value[key], `${path}.${key}`, errors);
+        } else if (schema.additionalProperties) {
+            // Maps keyed by id, e.g. player stats by jersey number
+            check(schema.additionalProperties, value[key], `${path}.${key}`, errors);
+        }
+    });
+}
+
+/**
+ * Checks a value against a schema. Supports type, enum, minimum, maximum,
+ * required, properties, additionalProperties and items.
+ * @returns {string[]} Problems found (empty if the value is valid)
+ */
+function validate(schema, value, path = 'game') {
+    const errors = [];
+    check(schema, value, path, errors);
+    return errors;
+}
+
+/**
+ * Fixes that apply to every game whatever its version: documents from
+ * before multi-sport have no sport, and only basketball had settings.
+ */
+function upgradeCommon(game) {
+    if (!game.sport) game.sport = LEGACY_SPORT;
+    if (!game.settings) game.settings = {};
+    if (!game.status) game.status = 'live';
+    return game;
+}
+
+/**
+ * Brings a game document up to the sport's current schema version in place.
+ * Documents saved by a newer version of the app are left alone.
+ * @param {object} game - The document as loaded
+ * @param {object | null} schema - The sport's schema (null runs only the common fixes)
+ */
+function upgradeGame(game, schema = null) {
+    if (!game) return game;
+    upgradeCommon(game);
+    if (!schema) return game;
+
+    const from = game.schemaVersion || 0;
+    if (from > schema.version) {
+        console.warn(`Game ${game.code} was saved with schema v${from}, newer than v${schema.version}.`);
+        return game;
+    }
+    schema.migrations
+        .filter(migration => migration.version > from && migration.version <= schema.version)
+        .sort((a, b) => a.version - b.version)
+        .forEach(migration => {
+            console.log(`Migrating game ${game.code} to schema v${migration.version}: ${migration.description}`);
+            migration.up(game);
+        });
+    game.schemaVersion = schema.version;
+    return game;
+}
+
+export { CLOCK_SCHEMA, gameDocumentSchema, validate, upgradeGame };
@@ -0,0 +1,429 @@
+// This file owns the life of a game document: create, resume, save,
+// subscribe and finalize. Every sport module talks to the storage backend
+// through a session instead of reading and writing 'games' itself.
+// Scoring actions go through record(), which appends to the game's event log
+// (see event-log.js) and keeps the document as a cached projection.
+// Everything else (clocks, rosters, settings) is saved field by field: only
+// what this client changed is written, so two hosts editing different parts
+// of a game don't overwrite each other.
+
+import { auth } from './firebase.js';
+import { storage as defaultStorage } from './storage/index.js';
+import { eventsCollection, createEvent, isMarker, replayEvents } from './event-log.js';
+import { reserveGameCode } from './game-codes.js';
+import { upgradeGame, validate } from './game-schema.js';
+
+// Reserving a code needs the server; a dropped request is tried again before
+// hosting is refused
+const RESERVE_ATTEMPTS = 3;
+const RESERVE_RETRY_MS = 2000;
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * The fields that differ between two versions of a document, as an update()
+ * change set with dotted paths, e.g. { 'gameState.clocks.game': {...} }.
+ * Arrays and objects that lost a key are written whole. Returns null if a
+ * top-level field was removed, which only a full write can express.
+ */
+function diffFields(before, after, prefix = '') {
+    const changes = {};
+    const removed = Object.keys(before).some(key => !(key in after));
+    if (removed) return null;
+    for (const key of Object.keys(after)) {
+        const path = prefix + key;
+        const was = before[key];
+        const now = after[key];
+        if (JSON.stringify(was) === JSON.stringify(now)) continue;
+        const nested = isPlainObject(was) && isPlainObject(now) && !key.includes('.')
+            ? diffFields(was, now, `${path}.`)
+            : null;
+        if (nested) {
+            Object.assign(changes, nested);
+        } else {
+            changes[path] = now;
+        }
+    }
+    return changes;
+}
+
+/**
+ * Creates a game session for one sport module.
+ * @param {object} options
+ * @param {string} options.sport - The sport id stored on the game document
+ * @param {firebase.User | null} options.user - The authenticated user (or null)
+ * @param {Function} options.notify - showToast from the global utilities
+ * @param {object} options.storage - Storage adapter (defaults to the one chosen at startup)
+ * @param {object} options.reducer - The sport's event reducer (see event-log.js)
+ * @param {object} options.schema - The sport's document schema and migrations (see game-schema.js)
+ * @param {number} options.reserveRetryMs - Wait between attempts to reserve a game code
+ */
+function createGameSession({ sport, user = null, notify = () => {}, storage = defaultStorage, reducer = null, schema = null, reserveRetryMs = RESERVE_RETRY_MS }) {
+    let code = null;
+    let isHost = false;
+    let lastLocalUpdate = 0; // lastUpdate of the newest state this client wrote
+    let listener = null;
+    let eventListener = null;
+    let events = [];
+    let current = null; // The newest game state this client knows about
+    let saved = null; // The document as this client last wrote or received it
+
+    /**
+     * Migrates a loaded document to the current schema and reports anything
+     * that still doesn't fit it. Invalid games are still returned, so a
+     * single odd field never locks a host out of their game.
+     */
+    function upgrade(game) {
+        upgradeGame(game, schema);
+        if (schema) {
+            const errors = validate(schema.document, game);
+            if (errors.length > 0) console.warn(`Game ${game.code} does not match the ${sport} schema:`, errors);
+        }
+        return game;
+    }
+
+    /**
+     * Reads a game document as stored. Returns null if it does not exist.
+     */
+    async function fetchGame(gameCode) {
+        try {
+            const game = await storage.get('games', gameCode);
+            if (!game) console.warn(`Game doc '${gameCode}' does not exist`);
+            return game || null;
+        } catch (e) {
+            console.warn('Failed to load game:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Loads a game document, migrated to the current schema.
+     * Returns null if it does not exist.
+     */
+    async function load(gameCode) {
+        const game = await fetchGame(gameCode);
+        return game ? upgrade(game) : null;
+    }
+
+    /**
+     * Loads the event log and rebuilds the game from it
+     */
+    async function loadEvents(game) {
+        try {
+            events = await storage.list(eventsCollection(code));
+        } catch (e) {
+            console.warn('Failed to load game events:', e);
+            events = [];
+        }
+        return project(game);
+    }
+
+    /**
+     * Replays the event log onto a game. If this client has fewer events than
+     * the document was built from (they are still arriving), the document's
+     * cached values are newer, so they are kept.
+     */
+    function project(game) {
+        if (events.length >= (game.eventCount || 0)) {
+            replayEvents(game, events, reducer);
+        }
+        return game;
+    }
+
+    /**
+     * The uid this client hosts as: the signed-in user's, or the anonymous
+     * one main.js signs guests in with. Null without Firebase Auth.
+     */
+    function hostUid() {
+        if (user) return user.uid;
+        return auth?.currentUser?.uid ?? null;
+    }
+
+    /**
+     * Who recorded an event. The uid is the host's, guests included, since
+     * the Firestore rules only accept events signed by the host writing them.
+     */
+    function getActor() {
+        const name = user ? user.displayName || user.email || 'Host' : 'Guest';
+        return { uid: hostUid(), name };
+    }
+
+    /**
+     * True if the current user is allowed to host this game (it is theirs).
+     * Games without a hostId were started before hosts had an id; nobody
+     * can prove they own them, so they are watch-only (the Firestore rules
+     * keep them read-only too).
+     */
+    function canHost(game) {
+        if (!game || !game.hostId) return false;
+        const uid = hostUid();
+        return !!uid && game.hostId === uid;
+    }
+
+    /**
+     * Saves the game. Only hosts save. The first save writes the whole
+     * document; after that only the fields that changed are written.
+     */
+    async function save(game) {
+        if (!isHost || !game || !code) return;
+        try {
+            current = game;
+            game.lastUpdate = Date.now();
+            lastLocalUpdate = game.lastUpdate;
+            const snapshot = JSON.parse(JSON.stringify(game));
+            const changes = saved ? diffFields(saved, snapshot) : null;
+            saved = snapshot;
+            if (changes) {
+                await storage.update('games', code, changes);
+            } else {
+                await storage.set('games', code, snapshot);
+            }
+        } catch (e) {
+            console.warn('Failed to save game:', e);
+            notify('Game sync failed. Check connection.', 'error', 3000);
+        }
+    }
+
+    /**
+     * Adds the game code to the signed-in host's profile
+     */
+    async function linkToProfile() {
+        if (!user || !code) return;
+        try {
+            await storage.update('users', user.uid, {
+                hostedGames: storage.arrayUnion(code)
+            });
+            console.log('User profile updated with new game.');
+        } catch (error) {
+            if (error.code === 'not-found') {
+                console.warn('User profile not found, could not update hosted games.');
+            } else {
+                console.error('Error updating user profile:', error);
+            }
+        }
+    }
+
+    /**
+     * Reserves a game code so no other host can start a game under it.
+     * Rejects with error.code 'already-exists' if a requested code is taken.
+     * A code that hasn't been reserved could already be a live game, so if
+     * the server can't be reached after a few tries this rejects with
+     * error.code 'unavailable' and the game can't be hosted yet.
+     * @param {string} requested - A specific code, or null for a random one
+     */
+    async function reserveCode(requested = null) {
+        let lastError = null;
+        for (let attempt = 1; attempt <= RESERVE_ATTEMPTS; attempt++) {
+            try {
+                return await reserveGameCode(storage, {
+                    code: requested,
+                    owner: { sport, hostId: hostUid() }
+                });
+            } catch (e) {
+                if (e.code === 'already-exists') throw e;
+                console.warn(`Could not reserve a game code (attempt ${attempt}):`, e);
+                lastError = e;
+            }
+            if (attempt < RESERVE_ATTEMPTS) await new Promise(resolve => setTimeout(resolve, reserveRetryMs));
+        }
+        notify('Could not reserve a game code. Check your connection and try again.', 'error', 4000);
+        const error = new Error('Could not reserve a game code. Check your connection and try again.');
+        error.code = 'unavailable';
+        error.cause = lastError;
+        throw error;
+    }
+
+    /**
+     * Starts hosting a brand new game and saves it.
+     * @param {string} gameCode - The code to host under (from reserveCode())
+     * @param {object} game - The sport's game skeleton
+     */
+    async function create(gameCode, game) {
+        code = gameCode;
+        isHost = true;
+        saved = null;
+        game.hostId = hostUid();
+        game.code = gameCode;
+        game.sport = sport;
+        game.schemaVersion = schema ? schema.version : 0;
+        game.eventLog = true;
+        game.eventCount = 0;
+        events = [];
+        await save(game);
+        await linkToProfile();
+        return game;
+    }
+
+    /**
+     * Loads an existing game for hosting. Returns null if the game does
+     * not exist or belongs to another host.
+     */
+    async function resume(gameCode) {
+        const stored = await fetchGame(gameCode);
+        if (!stored) return null;
+        // Kept as stored, so the first save also writes what the migrations changed
+        const storedCopy = JSON.parse(JSON.stringify(stored));
+        const game = upgrade(stored);
+        if (!canHost(game)) return null;
+        code = gameCode;
+        isHost = true;
+        lastLocalUpdate = game.lastUpdate || 0;
+        current = game;
+        saved = storedCopy;
+        return loadEvents(game);
+    }
+
+    /**
+     * Loads an existing game as a spectator
+     */
+    async function watch(gameCode) {
+        const game = await load(gameCode);
+        if (!game) return null;
+        code = gameCode;
+        isHost = false;
+        current = game;
+        return loadEvents(game);
+    }
+
+    /**
+     * Appends an event to the log, then saves the updated game
+     */
+    async function persist(event, game) {
+        try {
+            await storage.set(eventsCollection(code), event.id, event);
+        } catch (e) {
+            console.warn('Failed to record event:', e);
+            notify('Game sync failed. Check connection.', 'error', 3000);
+        }
+        await save(game);
+    }
+
+    /**
+     * Records a scoring action. The event is applied to the game straight
+     * away; writing it to the log and saving happen in the background.
+     * @param {object} game - The host's game state (updated in place)
+     * @param {string} type - Event type, e.g. 'point' or 'foul'
+     * @param {object} payload - Event details for the sport's reducer
+     * @returns {object | null} The recorded event
+     */
+    function record(game, type, payload = {}) {
+        if (!isHost || !game || !code) return null;
+
+        const event = createEvent(type, payload, {
+            actor: getActor(),
+            clock: reducer ? reducer.clock(game) : null
+        });
+        events.push(event);
+
+        if (game.eventLog) {
+            replayEvents(game, events, reducer);
+        } else if (reducer && !isMarker(event)) {
+            // Older game without a full log: apply on top of the saved values
+            reducer.apply(game, event);
+        }
+        game.eventCount = events.length;
+
+        persist(event, game);
+        return event;
+    }
+
+    /**
+     * Rebuilds a game's scoring from the events this session knows about,
+     * e.g. after restoring an older copy of the game
+     */
+    function replay(game) {
+        replayEvents(game, events, reducer);
+        if (game.eventLog) game.eventCount = events.length;
+        return game;
+    }
+
+    /**
+     * Listens for live changes to the game document and its event log.
+     * Hosts ignore snapshots that are not newer than their own last write,
+     * so an echo of an older save never overwrites local state. New events
+     * from any device are replayed onto the newest known state.
+     * @param {Function} onUpdate - Called with the new game data
+     */
+    function subscribe(onUpdate) {
+        unsubscribe();
+        if (!code) return;
+
+        const onError = (error) => {
+            console.error('Error in game listener:', error);
+            notify('Connection lost', 'error', 3000);
+        };
+
+        listener = storage.subscribe('games', code, (newGame) => {
+            if (!newGame) {
+                notify('Game session not found or deleted', 'error', 3000);
+                return;
+            }
+            if (isHost && newGame.lastUpdate <= lastLocalUpdate) {
+                return; // Our local state is newer, don't overwrite
+            }
+            lastLocalUpdate = Math.max(lastLocalUpdate, newGame.lastUpdate || 0);
+            // Another host's write: our next save only sends what we change on top
+            saved = JSON.parse(JSON.stringify(newGame));
+            current = project(upgrade(newGame));
+            onUpdate(current);
+        }, onError);
+
+        eventListener = storage.subscribeCollection(eventsCollection(code), (newEvents) => {
+            const knownIds = events.map(e => e.id).sort().join();
+            const newIds = newEvents.map(e => e.id).sort().join();
+            if (knownIds === newIds || !current) return; // Nothing we haven't applied
+
+            // Keep local events that haven't reached the store yet
+            const incoming = new Set(newEvents.map(e => e.id));
+            events = [...newEvents, ...events.filter(e => !incoming.has(e.id))];
+            current = project(JSON.parse(JSON.stringify(current)));
+            onUpdate(current);
+        }, onError);
+    }
+
+    /**
+     * Detaches the live listeners, if any
+     */
+    function unsubscribe() {
+        if (listener) {
+            listener();
+            listener = null;
+            console.log('Detached game listener.');
+        }
+        if (eventListener) {
+            eventListener();
+            eventListener = null;
+        }
+    }
+
+    /**
+     * Marks the game as final and saves it one last time
+     */
+    async function finalize(game) {
+        if (!isHost || !game) return;
+        game.status = 'final';
+        await save(game);
+    }
+
+    return {
+        get code() { return code; },
+        get isHost() { return isHost; },
+        get events() { return events; },
+        reserveCode,
+        load,
+        canHost,
+        create,
+        resume,
+        watch,
+        save,
+        record,
+        replay,
+        subscribe,
+        unsubscribe,
+        finalize
+    };
+}
+
+export { createGameSession };
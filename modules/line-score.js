@@ -0,0 +1,75 @@
+// The classic line score: each team's points in every period, then the
+// total. A sport keeps `periodScores` on each team (points scored in each
+// period so far, first period first), fills it in from its event reducer and
+// gives the column headings. Games saved before a sport tracked periods have
+// an empty list and show '-' until they are replayed from their event log;
+// periods nobody counted stay null (also '-') when points come in later.
+
+/**
+ * Adds points to a team's score for a (1-based) period, first filling in
+ * null for any earlier periods the list doesn't have
+ * @param {object} teamData - game.teamA or game.teamB
+ * @param {number} period
+ * @param {number} points - 0 just opens the period's column
+ */
+function addPeriodPoints(teamData, period, points) {
+    const periodScores = teamData.periodScores || (teamData.periodScores = []);
+    while (periodScores.length < period - 1) periodScores.push(null);
+    periodScores[period - 1] = (periodScores[period - 1] || 0) + points;
+}
+
+/**
+ * "1st", "2nd", "3rd", "4th", ...
+ */
+function formatOrdinal(n) {
+    const tens = n % 100;
+    if (tens >= 11 && tens <= 13) return `${n}th`;
+    return `${n}${{ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th'}`;
+}
+
+/**
+ * Builds the line score of a game
+ * @param {object} game
+ * @param {object} options
+ * @param {number} options.periods - How many period columns to show
+ * @param {function(number): string} options.label - Column heading for a (1-based) period
+ * @returns {{ headers: string[], rows: { team: string, name: string, color: string, cells: (number|string)[], total: number }[] }}
+ */
+function buildLineScore(game, { periods, label }) {
+    const columns = Array.from({ length: periods }, (_, i) => i + 1);
+    return {
+        headers: columns.map(label),
+        rows: ['teamA', 'teamB'].map(team => {
+            const periodScores = game[team].periodScores || [];
+            return {
+                team,
+                name: game[team].name,
+                color: game[team].color,
+                cells: columns.map(period => periodScores[period - 1] ?? '-'),
+                total: game[team].score
+            };
+        })
+    };
+}
+
+/**
+ * The line score as an HTML table
+ */
+function renderLineScore({ headers, rows }) {
+    return `
+        <table class="line-score">
+            <thead>
+                <tr><th></th>${headers.map(h => `<th>${h}</th>`).join('')}<th>T</th></tr>
+            </thead>
+            <tbody>
+                ${rows.map(row => `
+                    <tr>
+                        <th style="border-left-color: ${row.color};">${row.name}</th>
+                        ${row.cells.map(cell => `<td>${cell}</td>`).join('')}
+                        <td class="line-score-total">${row.total}</td>
+                    </tr>`).join('')}
+            </tbody>
+        </table>`;
+}
+
+export { formatOrdinal, addPeriodPoints, buildLineScore, renderLineScore };
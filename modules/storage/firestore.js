@@ -0,0 +1,72 @@
+// Firestore storage adapter. A thin wrapper so the rest of the app never
+// touches db.collection() directly.
+
+/**
+ * @param {firebase.firestore.Firestore} db - The initialised Firestore instance
+ * @param {object} firebase - The firebase namespace (for FieldValue)
+ */
+function createFirestoreAdapter(db, firebase) {
+    return {
+        name: 'firestore',
+
+        async get(collection, id) {
+            const doc = await db.collection(collection).doc(id).get();
+            return doc.exists ? doc.data() : null;
+        },
+
+        set(collection, id, data) {
+            return db.collection(collection).doc(id).set(data);
+        },
+
+        update(collection, id, changes) {
+            return db.collection(collection).doc(id).update(changes);
+        },
+
+        remove(collection, id) {
+            return db.collection(collection).doc(id).delete();
+        },
+
+        create(collection, id, data) {
+            // A transaction, so two clients can't both see the document missing
+            const ref = db.collection(collection).doc(id);
+            return db.runTransaction(async (transaction) => {
+                const doc = await transaction.get(ref);
+                if (doc.exists) return false;
+                transaction.set(ref, data);
+                return true;
+            });
+        },
+
+        subscribe(collection, id, onNext, onError) {
+            return db.collection(collection).doc(id)
+                .onSnapshot((doc) => onNext(doc.exists ? doc.data() : null), onError);
+        },
+
+        async list(collection) {
+            const snapshot = await db.collection(collection).get();
+            return snapshot.docs.map(doc => doc.data());
+        },
+
+        subscribeCollection(collection, onNext, onError) {
+            return db.collection(collection)
+                .onSnapshot((snapshot) => onNext(snapshot.docs.map(doc => doc.data())), onError);
+        },
+
+        async serverTime() {
+            // Firestore can't just tell us the time, so stamp a document and read it
+            // back. Each signed-in user has their own; anyone else keeps local time.
+            const user = firebase.auth().currentUser;
+            if (!user) throw new Error('Sign in to sync the clock with the server');
+            const ref = db.collection('timeSync').doc(user.uid);
+            await ref.set({ at: firebase.firestore.FieldValue.serverTimestamp() });
+            const doc = await ref.get();
+            return doc.data().at.toMillis();
+        },
+
+        arrayUnion(...values) {
+            return firebase.firestore.FieldValue.arrayUnion(...values);
+        }
+    };
+}
+
+export { createFirestoreAdapter };
@@ -0,0 +1,63 @@
+// Picks the storage backend at startup. Every adapter has the same shape:
+//
+//   get(collection, id)                          -> the document data, or null
+//   set(collection, id, data)                    -> replaces the document
+//   update(collection, id, changes)              -> merges fields ("a.b" paths allowed)
+//   remove(collection, id)                       -> deletes the document
+//   create(collection, id, data)                 -> writes the document only if it doesn't
+//                                                   exist yet; resolves true if it was written
+//   subscribe(collection, id, onNext, onError)   -> returns an unsubscribe function
+//   list(collection)                             -> data of every document in the collection
+//   subscribeCollection(collection, onNext, onError)
+//                                                -> like subscribe, onNext gets the full list
+//   serverTime()                                 -> the backend's current time in ms
+//   arrayUnion(...values)                        -> update() value that appends to an array
+//
+// Collections can be nested under a document, e.g. "games/123456/events".
+//
+// The backend is chosen with ?storage=firestore|local|memory on any page and
+// remembered in localStorage, so it carries over from index.html to the scoreboard.
+// Firestore writes go through a local queue (queue.js) so hosting works offline.
+// Only the host signed in on a page sends their queued writes from it.
+
+import { db, auth, firebase } from '../firebase.js';
+import { createFirestoreAdapter } from './firestore.js';
+import { createIndexedDbAdapter } from './indexeddb.js';
+import { createMemoryAdapter } from './memory.js';
+import { createQueuedAdapter } from './queue.js';
+
+const STORAGE_SETTING_KEY = 'storageBackend';
+const BACKENDS = ['firestore', 'local', 'memory'];
+
+function getRequestedBackend() {
+    const requested = new URLSearchParams(window.location.search).get('storage');
+    if (requested && BACKENDS.includes(requested)) {
+        localStorage.setItem(STORAGE_SETTING_KEY, requested);
+        return requested;
+    }
+    const saved = localStorage.getItem(STORAGE_SETTING_KEY);
+    return BACKENDS.includes(saved) ? saved : 'firestore';
+}
+
+function selectStorage() {
+    const backend = getRequestedBackend();
+
+    if (backend === 'memory') return createMemoryAdapter();
+    if (backend === 'local') return createIndexedDbAdapter();
+
+    if (!db) {
+        console.warn('Firestore is not available, falling back to local storage.');
+        return createIndexedDbAdapter();
+    }
+    const queued = createQueuedAdapter(createFirestoreAdapter(db, firebase), {
+        getOwner: () => auth?.currentUser?.uid ?? null
+    });
+    // Writes queued before a reload wait until their host has signed in again
+    auth?.onAuthStateChanged(() => queued.flush());
+    return queued;
+}
+
+const storage = selectStorage();
+console.log(`Using "${storage.name}" storage backend.`);
+
+export { storage, createFirestoreAdapter, createIndexedDbAdapter, createMemoryAdapter, createQueuedAdapter };
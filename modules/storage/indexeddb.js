@@ -0,0 +1,188 @@
+// IndexedDB storage adapter. Keeps every document on this machine, so a
+// scoreboard can run with no internet at all. Other tabs and windows on the
+// same machine (e.g. a projector showing the spectator view) are kept in sync
+// through a BroadcastChannel.
+
+import { clone, docPath, collectionOf, isInCollection, arrayUnion, applyUpdate, notFoundError } from './shared.js';
+import { createMemoryAdapter } from './memory.js';
+
+const STORE_NAME = 'docs';
+
+function openDatabase(name) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.dbName - IndexedDB database name
+ */
+function createIndexedDbAdapter({ dbName = 'box-scoreboard' } = {}) {
+    if (typeof indexedDB === 'undefined') {
+        console.warn('IndexedDB not available, using in-memory storage.');
+        return createMemoryAdapter();
+    }
+
+    let dbPromise = null;
+    const listeners = new Map(); // path -> Set of callbacks
+    const collectionListeners = new Map(); // collection -> Set of callbacks
+    const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(`${dbName}-changes`) : null;
+
+    function getDatabase() {
+        if (!dbPromise) dbPromise = openDatabase(dbName);
+        return dbPromise;
+    }
+
+    /**
+     * Runs fn(store) in a transaction and resolves with fn's result once it commits
+     */
+    async function withStore(mode, fn) {
+        const database = await getDatabase();
+        return new Promise((resolve, reject) => {
+            const tx = database.transaction(STORE_NAME, mode);
+            let result;
+            Promise.resolve(fn(tx.objectStore(STORE_NAME))).then(value => { result = value; }, reject);
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    function read(store, path) {
+        return new Promise((resolve, reject) => {
+            const request = store.get(path);
+            request.onsuccess = () => resolve(request.result === undefined ? null : request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async function readPath(path) {
+        return withStore('readonly', store => read(store, path));
+    }
+
+    /**
+     * Reads every document directly inside a collection
+     */
+    async function readCollection(collection) {
+        const range = IDBKeyRange.bound(`${collection}/`, `${collection}/\uffff`);
+        return withStore('readonly', store => new Promise((resolve, reject) => {
+            const results = [];
+            const request = store.openCursor(range);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve(results);
+                    return;
+                }
+                if (isInCollection(cursor.key, collection)) results.push(cursor.value);
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        }));
+    }
+
+    async function notify(path, broadcast = true) {
+        const callbacks = listeners.get(path);
+        if (callbacks && callbacks.size > 0) {
+            const data = await readPath(path);
+            callbacks.forEach(callback => callback(clone(data)));
+        }
+
+        const collection = collectionOf(path);
+        const collectionCallbacks = collectionListeners.get(collection);
+        if (collectionCallbacks && collectionCallbacks.size > 0) {
+            const docs = await readCollection(collection);
+            collectionCallbacks.forEach(callback => callback(clone(docs)));
+        }
+
+        if (broadcast && channel) channel.postMessage({ path });
+    }
+
+    if (channel) {
+        channel.onmessage = (event) => notify(event.data.path, false);
+    }
+
+    return {
+        name: 'local',
+
+        async get(collection, id) {
+            return clone(await readPath(docPath(collection, id)));
+        },
+
+        async set(collection, id, data) {
+            const path = docPath(collection, id);
+            await withStore('readwrite', store => { store.put(clone(data), path); });
+            await notify(path);
+        },
+
+        async update(collection, id, changes) {
+            const path = docPath(collection, id);
+            await withStore('readwrite', async store => {
+                const doc = await read(store, path);
+                if (!doc) throw notFoundError(path);
+                store.put(applyUpdate(doc, changes), path);
+            });
+            await notify(path);
+        },
+
+        async remove(collection, id) {
+            const path = docPath(collection, id);
+            await withStore('readwrite', store => { store.delete(path); });
+            await notify(path);
+        },
+
+        async create(collection, id, data) {
+            const path = docPath(collection, id);
+            const created = await withStore('readwrite', async store => {
+                if (await read(store, path)) return false;
+                store.put(clone(data), path);
+                return true;
+            });
+            if (created) await notify(path);
+            return created;
+        },
+
+        subscribe(collection, id, onNext, onError) {
+            const path = docPath(collection, id);
+            if (!listeners.has(path)) listeners.set(path, new Set());
+            listeners.get(path).add(onNext);
+
+            readPath(path).then(data => {
+                if (listeners.get(path)?.has(onNext)) onNext(clone(data));
+            }, error => {
+                if (onError) onError(error);
+            });
+
+            return () => listeners.get(path)?.delete(onNext);
+        },
+
+        async list(collection) {
+            return clone(await readCollection(collection));
+        },
+
+        subscribeCollection(collection, onNext, onError) {
+            if (!collectionListeners.has(collection)) collectionListeners.set(collection, new Set());
+            collectionListeners.get(collection).add(onNext);
+
+            readCollection(collection).then(docs => {
+                if (collectionListeners.get(collection)?.has(onNext)) onNext(clone(docs));
+            }, error => {
+                if (onError) onError(error);
+            });
+
+            return () => collectionListeners.get(collection)?.delete(onNext);
+        },
+
+        async serverTime() {
+            return Date.now(); // Everything is on this device
+        },
+
+        arrayUnion
+    };
+}
+
+export { createIndexedDbAdapter };
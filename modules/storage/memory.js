@@ -0,0 +1,108 @@
+// In-memory storage adapter. Nothing survives a page reload, which makes it
+// useful for tests and for trying the app without any backend.
+
+import { clone, docPath, collectionOf, isInCollection, arrayUnion, applyUpdate, notFoundError } from './shared.js';
+
+function createMemoryAdapter() {
+    const docs = new Map();
+    const listeners = new Map(); // path -> Set of callbacks
+    const collectionListeners = new Map(); // collection -> Set of callbacks
+
+    function listCollection(collection) {
+        const results = [];
+        docs.forEach((data, path) => {
+            if (isInCollection(path, collection)) results.push(clone(data));
+        });
+        return results;
+    }
+
+    function notify(path) {
+        const callbacks = listeners.get(path);
+        if (callbacks) {
+            const data = docs.has(path) ? clone(docs.get(path)) : null;
+            callbacks.forEach(callback => callback(clone(data)));
+        }
+
+        const collection = collectionOf(path);
+        const collectionCallbacks = collectionListeners.get(collection);
+        if (collectionCallbacks) {
+            collectionCallbacks.forEach(callback => callback(listCollection(collection)));
+        }
+    }
+
+    return {
+        name: 'memory',
+
+        async get(collection, id) {
+            const path = docPath(collection, id);
+            return docs.has(path) ? clone(docs.get(path)) : null;
+        },
+
+        async set(collection, id, data) {
+            const path = docPath(collection, id);
+            docs.set(path, clone(data));
+            notify(path);
+        },
+
+        async update(collection, id, changes) {
+            const path = docPath(collection, id);
+            if (!docs.has(path)) throw notFoundError(path);
+            applyUpdate(docs.get(path), changes);
+            notify(path);
+        },
+
+        async remove(collection, id) {
+            const path = docPath(collection, id);
+            docs.delete(path);
+            notify(path);
+        },
+
+        async create(collection, id, data) {
+            const path = docPath(collection, id);
+            if (docs.has(path)) return false;
+            docs.set(path, clone(data));
+            notify(path);
+            return true;
+        },
+
+        subscribe(collection, id, onNext) {
+            const path = docPath(collection, id);
+            if (!listeners.has(path)) listeners.set(path, new Set());
+            listeners.get(path).add(onNext);
+
+            // Like Firestore, deliver the current value straight away
+            Promise.resolve().then(() => {
+                if (listeners.get(path)?.has(onNext)) {
+                    onNext(docs.has(path) ? clone(docs.get(path)) : null);
+                }
+            });
+
+            return () => listeners.get(path)?.delete(onNext);
+        },
+
+        async list(collection) {
+            return listCollection(collection);
+        },
+
+        subscribeCollection(collection, onNext) {
+            if (!collectionListeners.has(collection)) collectionListeners.set(collection, new Set());
+            collectionListeners.get(collection).add(onNext);
+
+            Promise.resolve().then(() => {
+                if (collectionListeners.get(collection)?.has(onNext)) {
+                    onNext(listCollection(collection));
+                }
+            });
+
+            return () => collectionListeners.get(collection)?.delete(onNext);
+        },
+
+        async serverTime() {
+            return Date.now(); // Everything is on this device
+        },
+
+        arrayUnion
+    };
+}
+
+export { createMemoryAdapter };
@@ -0,0 +1,336 @@
+// Offline-first wrapper around a remote adapter (Firestore). Every write is
+// saved to a queue in IndexedDB before anything else happens, then sent to
+// the remote in the order it was made. If the connection drops, the queue
+// waits and retries, so a host can keep scoring through a Wi-Fi outage and
+// even reload the page without losing anything.
+//
+// Reads go to the remote, except that a document with writes still in the
+// queue is answered from the queue, since that copy is newer.
+//
+// create() is not queued: it has to ask the server whether the document
+// exists, so it fails while offline.
+//
+// Every tab on the device shares the one queue, spectators and the sports
+// list included. Each write is tagged with the uid of the host who made it,
+// and a tab only sends the writes of the host signed in there (or ones it
+// queued itself), one tab at a time, so a spectator never sends a host's
+// writes and two tabs never send the same one.
+
+import { createIndexedDbAdapter } from './indexeddb.js';
+import { clone, docPath, isInCollection, isSameData, arrayUnion, applyUpdate } from './shared.js';
+
+const QUEUE = 'writes';
+const WRITE_TIMEOUT_MS = 10000; // Firestore never rejects offline writes, so give up waiting
+const RETRY_INTERVAL_MS = 5000;
+
+// Errors that will happen again however many times we retry
+const PERMANENT_ERRORS = ['not-found', 'permission-denied', 'invalid-argument'];
+
+function withTimeout(promise, ms) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            const error = new Error('Write timed out');
+            error.code = 'timeout';
+            reject(error);
+        }, ms);
+        promise.then(
+            value => { clearTimeout(timer); resolve(value); },
+            error => { clearTimeout(timer); reject(error); }
+        );
+    });
+}
+
+/**
+ * Runs fn while holding a lock shared by every tab, if the browser has them
+ */
+function withLock(name, fn) {
+    const locks = globalThis.navigator?.locks;
+    return locks ? locks.request(name, fn) : fn();
+}
+
+/**
+ * @param {object} remote - The adapter writes are sent to
+ * @param {object} options
+ * @param {string} options.dbName - IndexedDB database holding the queue
+ * @param {object} options.store - Adapter holding the queue (defaults to IndexedDB under dbName)
+ * @param {Function} options.getOwner - Returns the uid of the host signed in here, or null
+ * @param {number} options.writeTimeoutMs - How long to wait for the remote before retrying
+ * @param {number} options.retryIntervalMs - How long to wait between retries
+ */
+function createQueuedAdapter(remote, {
+    dbName = 'box-sync-queue',
+    store = null,
+    getOwner = () => null,
+    writeTimeoutMs = WRITE_TIMEOUT_MS,
+    retryIntervalMs = RETRY_INTERVAL_MS
+} = {}) {
+    const queue = store || createIndexedDbAdapter({ dbName });
+    const lockName = `${dbName}-flush`;
+    const statusListeners = new Set();
+    const queuedHere = new Set(); // seq of the writes this tab made
+    let pending = []; // Queued writes of every tab, oldest first
+    let inFlight = null; // The write currently being sent
+    let flushing = false;
+    let offline = navigator.onLine === false;
+    let rejected = 0; // Writes the remote refused since the last one it accepted
+    let retryTimer = null;
+    let counter = 0;
+
+    /**
+     * True if this tab may send the write: it belongs to the host signed in
+     * here, or (for writes made without an account) it was queued here
+     */
+    function canSend(entry) {
+        return entry.owner ? entry.owner === getOwner() : queuedHere.has(entry.seq);
+    }
+
+    function getStatus() {
+        const waiting = pending.filter(canSend).length;
+        let state = 'synced';
+        if (offline) state = 'offline';
+        else if (rejected > 0) state = 'rejected';
+        else if (waiting > 0) state = 'pending';
+        return { state, pending: waiting, rejected };
+    }
+
+    function reportStatus() {
+        const status = getStatus();
+        statusListeners.forEach(callback => callback(status));
+    }
+
+    /**
+     * Queue keys sort in the order writes were made, even across reloads
+     */
+    function nextSeq() {
+        counter = (counter + 1) % 1000000;
+        return `${Date.now().toString().padStart(15, '0')}-${counter.toString().padStart(6, '0')}`;
+    }
+
+    function entryPath(entry) {
+        return docPath(entry.collection, entry.id);
+    }
+
+    async function enqueue(op, collection, id, data) {
+        await loaded;
+        const entry = { seq: nextSeq(), owner: getOwner(), op, collection, id, data: clone(data) };
+        queuedHere.add(entry.seq);
+
+        if (op === 'set') {
+            // A full write makes anything still waiting for the same document pointless
+            const path = entryPath(entry);
+            const replaced = pending.filter(e => e !== inFlight && entryPath(e) === path);
+            pending = pending.filter(e => !replaced.includes(e));
+            await Promise.all(replaced.map(e => queue.remove(QUEUE, e.seq)));
+        }
+
+        await queue.set(QUEUE, entry.seq, entry);
+        if (!pending.some(e => e.seq === entry.seq)) pending.push(entry);
+        reportStatus();
+        flush();
+    }
+
+    /**
+     * Turns queued arrayUnion() markers back into the remote's own values
+     */
+    function toRemoteChanges(changes) {
+        const result = {};
+        Object.keys(changes).forEach(key => {
+            const value = changes[key];
+            result[key] = value && value.__op === 'arrayUnion' ? remote.arrayUnion(...value.values) : value;
+        });
+        return result;
+    }
+
+    async function send(entry) {
+        if (entry.timedOut && entry.op === 'set') {
+            // The remote may have applied the write we stopped waiting for, and
+            // sending it again would be an update (which the rules refuse for
+            // events), so a document that already matches counts as sent
+            const existing = await withTimeout(remote.get(entry.collection, entry.id), writeTimeoutMs);
+            if (existing && isSameData(existing, entry.data)) return;
+        }
+        const write = entry.op === 'set'
+            ? remote.set(entry.collection, entry.id, entry.data)
+            : remote.update(entry.collection, entry.id, toRemoteChanges(entry.data));
+        return withTimeout(write, writeTimeoutMs);
+    }
+
+    /**
+     * Re-reads the queue, which other tabs may have added to or sent from
+     */
+    async function reload() {
+        const entries = await queue.list(QUEUE);
+        pending = entries.sort((a, b) => (a.seq < b.seq ? -1 : 1));
+    }
+
+    /**
+     * Sends the writes this tab may send one at a time, oldest first, while
+     * holding the queue's lock. Stops at the first connection problem and
+     * tries again later.
+     */
+    async function flush() {
+        await loaded;
+        if (flushing) return;
+        flushing = true;
+        try {
+            await withLock(lockName, sendPending);
+        } catch (error) {
+            console.error('Could not read the sync queue:', error);
+        } finally {
+            flushing = false;
+            // Nothing left waiting, so nothing is held back by the connection
+            if (!pending.some(canSend) && navigator.onLine !== false) offline = false;
+            reportStatus();
+        }
+    }
+
+    async function sendPending() {
+        await reload();
+        let entry;
+        while ((entry = pending.find(canSend))) {
+            inFlight = entry;
+            try {
+                await send(entry);
+                rejected = 0;
+            } catch (error) {
+                if (!PERMANENT_ERRORS.includes(error.code)) {
+                    console.warn('Sync paused, will retry:', error);
+                    if (error.code === 'timeout' && !entry.timedOut) {
+                        entry.timedOut = true;
+                        await queue.set(QUEUE, entry.seq, entry);
+                    }
+                    offline = true;
+                    scheduleRetry();
+                    return;
+                }
+                // Retrying can't fix this one, so let the rest of the queue
+                // through, but keep reporting it until a write gets accepted
+                console.error('Dropping queued write:', entry, error);
+                rejected++;
+            } finally {
+                inFlight = null;
+            }
+            pending = pending.filter(e => e !== entry);
+            queuedHere.delete(entry.seq);
+            await queue.remove(QUEUE, entry.seq);
+            offline = false;
+            reportStatus();
+        }
+    }
+
+    function scheduleRetry() {
+        if (retryTimer) return;
+        retryTimer = setTimeout(() => {
+            retryTimer = null;
+            flush();
+        }, retryIntervalMs);
+    }
+
+    /**
+     * The queued version of a document, or null if nothing is queued for it
+     */
+    function queuedDoc(path) {
+        const writes = pending.filter(e => entryPath(e) === path);
+        const lastSet = writes.map(e => e.op).lastIndexOf('set');
+        if (lastSet === -1) return null;
+        const doc = clone(writes[lastSet].data);
+        writes.slice(lastSet + 1).forEach(e => applyUpdate(doc, e.data));
+        return doc;
+    }
+
+    window.addEventListener('online', () => {
+        offline = false;
+        reportStatus();
+        flush();
+    });
+    window.addEventListener('offline', () => {
+        offline = true;
+        reportStatus();
+    });
+
+    // Pick up writes left over from before a reload
+    const loaded = reload().then(() => {
+        if (pending.length > 0) console.log(`Resuming sync of ${pending.length} queued changes.`);
+    }, error => {
+        console.error('Could not read the sync queue:', error);
+    });
+    loaded.then(flush);
+
+    return {
+        name: remote.name,
+
+        async get(collection, id) {
+            await loaded;
+            return queuedDoc(docPath(collection, id)) || remote.get(collection, id);
+        },
+
+        set(collection, id, data) {
+            return enqueue('set', collection, id, data);
+        },
+
+        update(collection, id, changes) {
+            return enqueue('update', collection, id, changes);
+        },
+
+        remove(collection, id) {
+            return remote.remove(collection, id);
+        },
+
+        create(collection, id, data) {
+            return withTimeout(remote.create(collection, id, data), writeTimeoutMs);
+        },
+
+        subscribe(collection, id, onNext, onError) {
+            return remote.subscribe(collection, id, onNext, onError);
+        },
+
+        async list(collection) {
+            await loaded;
+            let docs = [];
+            try {
+                docs = await remote.list(collection);
+            } catch (error) {
+                console.warn('Could not list remote documents, using queued ones only:', error);
+            }
+            // Documents in collections (game events) carry their own id
+            const queued = pending.filter(e => e.op === 'set' && isInCollection(entryPath(e), collection));
+            const queuedIds = new Set(queued.map(e => e.id));
+            return [
+                ...docs.filter(doc => !queuedIds.has(doc.id)),
+                ...queued.map(e => clone(e.data))
+            ];
+        },
+
+        subscribeCollection(collection, onNext, onError) {
+            return remote.subscribeCollection(collection, onNext, onError);
+        },
+
+        serverTime() {
+            return remote.serverTime();
+        },
+
+        /**
+         * Calls back with { state: 'synced' | 'pending' | 'offline' | 'rejected',
+         * pending, rejected } now and whenever it changes. 'rejected' means the
+         * server refused writes (e.g. permission-denied) and they were dropped.
+         * Returns an unsubscribe function.
+         */
+        onStatusChange(callback) {
+            statusListeners.add(callback);
+            callback(getStatus());
+            return () => statusListeners.delete(callback);
+        },
+
+        /**
+         * Sends whatever this tab may send now, e.g. once a host has signed in
+         */
+        flush() {
+            reportStatus();
+            return flush();
+        },
+
+        arrayUnion
+    };
+}
+
+export { createQueuedAdapter };
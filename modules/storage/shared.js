@@ -0,0 +1,88 @@
+// Helpers shared by the local storage adapters (memory and IndexedDB).
+// They mimic the parts of Firestore's behaviour the app relies on.
+
+/**
+ * Deep copies plain JSON data so callers never share objects with the store
+ */
+function clone(data) {
+    return data === undefined || data === null ? null : JSON.parse(JSON.stringify(data));
+}
+
+/**
+ * Builds the key a document is stored under, e.g. "games/123456"
+ */
+function docPath(collection, id) {
+    return `${collection}/${id}`;
+}
+
+/**
+ * Returns the collection a document path belongs to, e.g. "games/123456/events"
+ */
+function collectionOf(path) {
+    return path.slice(0, path.lastIndexOf('/'));
+}
+
+/**
+ * True if the path is a document directly inside the collection (not in a subcollection)
+ */
+function isInCollection(path, collection) {
+    return path.startsWith(`${collection}/`) && !path.slice(collection.length + 1).includes('/');
+}
+
+/**
+ * True if two JSON documents hold the same data, whatever order their keys are in
+ */
+function isSameData(a, b) {
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+    const keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) return false;
+    return keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && isSameData(a[key], b[key]));
+}
+
+/**
+ * Marker returned by arrayUnion(); applyUpdate() merges it into the array
+ */
+function arrayUnion(...values) {
+    return { __op: 'arrayUnion', values };
+}
+
+/**
+ * Applies a Firestore-style update to a document in place.
+ * Keys may be dotted paths ("gameState.period") and values may be arrayUnion() markers.
+ */
+function applyUpdate(doc, changes) {
+    Object.keys(changes).forEach(key => {
+        const parts = key.split('.');
+        const last = parts.pop();
+        let target = doc;
+        parts.forEach(part => {
+            if (typeof target[part] !== 'object' || target[part] === null) target[part] = {};
+            target = target[part];
+        });
+
+        const value = changes[key];
+        if (value && value.__op === 'arrayUnion') {
+            const current = Array.isArray(target[last]) ? target[last] : [];
+            value.values.forEach(v => {
+                if (!current.includes(v)) current.push(v);
+            });
+            target[last] = current;
+        } else {
+            target[last] = clone(value);
+        }
+    });
+    return doc;
+}
+
+/**
+ * Error thrown when updating a document that does not exist (same code as Firestore)
+ */
+function notFoundError(path) {
+    const error = new Error(`No document to update: ${path}`);
+    error.code = 'not-found';
+    return error;
+}
+
+export { clone, docPath, collectionOf, isInCollection, isSameData, arrayUnion, applyUpdate, notFoundError };
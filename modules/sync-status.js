@@ -0,0 +1,46 @@
+// Shows whether the host's changes have reached the server. Works with the
+// queued storage adapter (see storage/queue.js); local-only backends have
+// nothing to sync, so they just say so.
+
+import { storage } from './storage/index.js';
+
+function describe(status) {
+    if (status.state === 'offline') {
+        return {
+            text: status.pending > 0 ? `Offline · ${status.pending} pending` : 'Offline',
+            className: 'status status--error'
+        };
+    }
+    if (status.state === 'rejected') {
+        const changes = status.rejected === 1 ? 'change' : 'changes';
+        return { text: `Not saving · ${status.rejected} ${changes} refused`, className: 'status status--error' };
+    }
+    if (status.state === 'pending') {
+        const changes = status.pending === 1 ? 'change' : 'changes';
+        return { text: `Pending ${status.pending} ${changes}`, className: 'status status--warning' };
+    }
+    return { text: 'Synced', className: 'status status--success' };
+}
+
+/**
+ * Keeps an element up to date with the sync status
+ * @param {HTMLElement} element - Usually #syncStatus in the control header
+ * @returns {Function} Stops the updates
+ */
+function showSyncStatus(element) {
+    if (!element) return () => {};
+
+    if (!storage.onStatusChange) {
+        element.textContent = 'Saved on this device';
+        element.className = 'status status--info';
+        return () => {};
+    }
+
+    return storage.onStatusChange(status => {
+        const { text, className } = describe(status);
+        element.textContent = text;
+        element.className = className;
+    });
+}
+
+export { showSyncStatus };
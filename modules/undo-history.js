@@ -0,0 +1,142 @@
+// Undo and redo for any sport that records its scoring in the event log
+// (see event-log.js). Nothing is kept in memory: what can be undone or
+// redone is read from the log itself, so the history survives a reload and
+// is shared by everyone hosting the game.
+//
+//   undo - voids the newest event that still counts
+//   redo - brings back the newest undone event, as long as nothing new has
+//          been recorded since (a new action clears the redo history)
+//   revertTo - undoes everything recorded after a given event
+
+import { sortEvents, getVoidedIds, applyEdits, getActiveEvents } from './event-log.js';
+
+/**
+ * The event an undo would void, or null
+ */
+function getUndoTarget(events) {
+    const active = getActiveEvents(events);
+    return active.length > 0 ? active[active.length - 1] : null;
+}
+
+/**
+ * The event a redo would bring back, or null
+ */
+function getRedoTarget(events) {
+    const undone = []; // Targets of undos not yet redone, newest last
+    sortEvents(events).forEach(event => {
+        if (event.type === 'undo') {
+            undone.push(event.payload.target);
+        } else if (event.type === 'redo') {
+            const index = undone.lastIndexOf(event.payload.target);
+            if (index !== -1) undone.splice(index, 1);
+        } else if (event.type !== 'edit') { // Corrections don't count as new actions
+            undone.length = 0;
+        }
+    });
+    if (undone.length === 0) return null;
+    const target = undone[undone.length - 1];
+    return applyEdits(events).find(event => event.id === target) || null;
+}
+
+/**
+ * Creates the undo/redo controls for a sport module.
+ * @param {object} options
+ * @param {object} options.session - The sport's game session
+ * @param {Function} options.getGame - Returns the host's current game state
+ * @param {Function} options.describe - (event, game) => text such as "Team A +1"
+ */
+function createUndoHistory({ session, getGame, describe }) {
+    function available() {
+        const game = getGame();
+        // Games from before the event log can't replay, so they can't undo
+        return session.isHost && !!game && !!game.eventLog;
+    }
+
+    function undoTarget() {
+        return available() ? getUndoTarget(session.events) : null;
+    }
+
+    function redoTarget() {
+        return available() ? getRedoTarget(session.events) : null;
+    }
+
+    /**
+     * Asks for confirmation, then undoes the last action.
+     * Returns the undone event, or null if nothing happened.
+     * @param {object} options
+     * @param {boolean} options.confirmed - Skip the prompt (the caller already asked)
+     */
+    function undo({ confirmed = false } = {}) {
+        const target = undoTarget();
+        if (!target) return null;
+        if (!confirmed && !confirm(`Undo "${describe(target, getGame())}"?`)) return null;
+        session.record(getGame(), 'undo', { target: target.id });
+        return target;
+    }
+
+    /**
+     * Asks for confirmation, then redoes the last undone action.
+     * Returns the restored event, or null if nothing happened.
+     * @param {object} options
+     * @param {boolean} options.confirmed - Skip the prompt (the caller already asked)
+     */
+    function redo({ confirmed = false } = {}) {
+        const target = redoTarget();
+        if (!target) return null;
+        if (!confirmed && !confirm(`Redo "${describe(target, getGame())}"?`)) return null;
+        session.record(getGame(), 'redo', { target: target.id });
+        return target;
+    }
+
+    /**
+     * Undoes every action recorded after the given event, newest first, so
+     * redo brings them back in the order they happened. Does not ask.
+     * @returns {number} How many actions were undone
+     */
+    function revertTo(eventId) {
+        if (!available()) return 0;
+        const active = getActiveEvents(session.events);
+        const index = active.findIndex(event => event.id === eventId);
+        if (index === -1) return 0;
+        const later = active.slice(index + 1).reverse();
+        later.forEach(event => session.record(getGame(), 'undo', { target: event.id }));
+        return later.length;
+    }
+
+    /**
+     * Every action in the log with its edits applied, oldest first, marked
+     * if it is currently undone
+     * @returns {{ event: object, undone: boolean }[]}
+     */
+    function list() {
+        const voided = getVoidedIds(session.events);
+        return applyEdits(session.events)
+            .map(event => ({ event, undone: voided.has(event.id) }));
+    }
+
+    /**
+     * Enables or disables undo/redo buttons and labels them with the action
+     */
+    function updateButtons(undoBtn, redoBtn) {
+        const game = getGame();
+        [[undoBtn, undoTarget(), 'Undo'], [redoBtn, redoTarget(), 'Redo']].forEach(([button, target, verb]) => {
+            if (!button) return;
+            button.disabled = !target;
+            button.title = target ? `${verb}: ${describe(target, game)}` : `Nothing to ${verb.toLowerCase()}`;
+        });
+    }
+
+    return {
+        get canUndo() { return !!undoTarget(); },
+        get canRedo() { return !!redoTarget(); },
+        peekUndo: undoTarget,
+        peekRedo: redoTarget,
+        undo,
+        redo,
+        revertTo,
+        list,
+        updateButtons
+    };
+}
+
+export { createUndoHistory, getUndoTarget, getRedoTarget };
@@ -0,0 +1,250 @@
+// Rule sets a basketball game can be played under. Picking one in the config
+// view fills in the game's settings, and the control view enforces them:
+// period and overtime lengths, the full and short shot clock, timeouts,
+// team foul bonus and foul-outs.
+//
+// Ruleset fields:
+//   format           - '5x5' or '3x3'; see FORMATS
+//   periodType       - 'quarter', 'half' or 'game' (one period); see PERIOD_TYPES
+//   periodDuration   - minutes per period
+//   overtimeDuration - minutes per overtime period
+//   intervalDuration, halftimeDuration - minutes of break between periods
+//                      (and before overtime) and at halftime
+//   shotClockDuration, shotClockReset - full and short (offensive rebound) shot clock, in seconds
+//   timeouts         - what each team gets: firstHalf, secondHalf and overtime
+//                      (each overtime period), and carryOver: whether unused
+//                      timeouts carry into the second half ('half'), into
+//                      overtime as well ('all') or not at all ('none'), and
+//                      lateLimit: at most `max` timeouts per team in the last
+//                      `minutes` of the final regulation period (or null)
+//   timeoutDuration  - seconds a timeout lasts
+//   bonusFouls, doubleBonusFouls - team fouls per period before free throws
+//   foulsCarryIntoOvertime - team fouls keep counting from the last period into
+//                      overtime instead of starting again at 0
+//   foulOutLimit, technicalsCountTowardFoulOut - personal foul limit (0 = none)
+
+import { formatOrdinal } from '../modules/line-score.js';
+
+// The horn sounds this many seconds before a timeout ends
+const TIMEOUT_WARNING_SECONDS = 10;
+
+const PERIOD_TYPES = {
+    quarter: { count: 4, name: 'Quarter', short: 'Q' },
+    half: { count: 2, name: 'Half', short: 'H' },
+    game: { count: 1, name: 'Period', short: 'P' }
+};
+
+// What changes between full-court 5-on-5 and half-court 3x3. In 3x3 a shot
+// inside the arc is worth 1 and one behind it 2; the shot stats keep their
+// 5-on-5 names (fieldGoals is inside the arc, threePointers behind it).
+//   winningScore   - first team to reach it wins during regulation (0 = none)
+//   overtimeTarget - first team to score this many in overtime wins (0 = timed overtime)
+const FORMATS = {
+    '5x5': {
+        lineupSize: 5,
+        shotPoints: { freeThrows: 1, fieldGoals: 2, threePointers: 3 },
+        shotNames: { freeThrows: 'FT', fieldGoals: '2PT', threePointers: '3PT' },
+        shotButtons: { freeThrows: '1', fieldGoals: '2', threePointers: '3' },
+        winningScore: 0,
+        overtimeTarget: 0,
+        bonusLabels: { bonus: 'BONUS', double: 'DOUBLE BONUS' }
+    },
+    '3x3': {
+        lineupSize: 3,
+        shotPoints: { freeThrows: 1, fieldGoals: 1, threePointers: 2 },
+        shotNames: { freeThrows: 'FT', fieldGoals: '1PT', threePointers: '2PT' },
+        shotButtons: { freeThrows: 'FT', fieldGoals: '1', threePointers: '2' },
+        winningScore: 21,
+        overtimeTarget: 2,
+        // From the 7th team foul every foul gives 2 free throws, from the 10th the ball too
+        bonusLabels: { bonus: '2 FT', double: '2 FT + BALL' }
+    }
+};
+
+const RULESETS = {
+    fiba: {
+        name: 'FIBA',
+        format: '5x5',
+        periodType: 'quarter',
+        periodDuration: 10,
+        overtimeDuration: 5,
+        intervalDuration: 2,
+        halftimeDuration: 15,
+        timeoutDuration: 60,
+        shotClockDuration: 24,
+        shotClockReset: 14,
+        timeouts: { firstHalf: 2, secondHalf: 3, overtime: 1, carryOver: 'none', lateLimit: { minutes: 2, max: 2 } },
+        bonusFouls: 4,
+        doubleBonusFouls: 0,
+        foulOutLimit: 5,
+        technicalsCountTowardFoulOut: true,
+        foulsCarryIntoOvertime: true
+    },
+    nba: {
+        name: 'NBA',
+        format: '5x5',
+        periodType: 'quarter',
+        periodDuration: 12,
+        overtimeDuration: 5,
+        intervalDuration: 2,
+        halftimeDuration: 15,
+        timeoutDuration: 75,
+        shotClockDuration: 24,
+        shotClockReset: 14,
+        timeouts: { firstHalf: 7, secondHalf: 0, overtime: 2, carryOver: 'half', lateLimit: { minutes: 3, max: 2 } },
+        bonusFouls: 5,
+        doubleBonusFouls: 0,
+        foulOutLimit: 6,
+        technicalsCountTowardFoulOut: false,
+        foulsCarryIntoOvertime: false
+    },
+    ncaa: {
+        name: 'NCAA',
+        format: '5x5',
+        periodType: 'half',
+        periodDuration: 20,
+        overtimeDuration: 5,
+        intervalDuration: 1,
+        halftimeDuration: 15,
+        timeoutDuration: 75,
+        shotClockDuration: 30,
+        shotClockReset: 20,
+        timeouts: { firstHalf: 4, secondHalf: 0, overtime: 1, carryOver: 'all', lateLimit: null },
+        bonusFouls: 7,
+        doubleBonusFouls: 10,
+        foulOutLimit: 5,
+        technicalsCountTowardFoulOut: true,
+        foulsCarryIntoOvertime: true
+    },
+    highSchool: {
+        name: 'High School',
+        format: '5x5',
+        periodType: 'quarter',
+        periodDuration: 8,
+        overtimeDuration: 4,
+        intervalDuration: 1,
+        halftimeDuration: 10,
+        timeoutDuration: 60,
+        shotClockDuration: 35,
+        shotClockReset: 20,
+        timeouts: { firstHalf: 5, secondHalf: 0, overtime: 1, carryOver: 'all', lateLimit: null },
+        bonusFouls: 5,
+        doubleBonusFouls: 0,
+        foulOutLimit: 5,
+        technicalsCountTowardFoulOut: true,
+        foulsCarryIntoOvertime: true
+    },
+    '3x3': {
+        name: '3x3',
+        format: '3x3',
+        periodType: 'game',
+        periodDuration: 10,
+        overtimeDuration: 0, // Overtime isn't timed
+        intervalDuration: 1,
+        halftimeDuration: 0,
+        timeoutDuration: 30,
+        shotClockDuration: 12,
+        shotClockReset: 12,
+        timeouts: { firstHalf: 1, secondHalf: 0, overtime: 0, carryOver: 'all', lateLimit: null },
+        bonusFouls: 7,
+        doubleBonusFouls: 10,
+        foulOutLimit: 0,
+        technicalsCountTowardFoulOut: true,
+        foulsCarryIntoOvertime: true
+    }
+};
+
+/**
+ * The format a game's settings are played in
+ */
+function getFormat(settings) {
+    return FORMATS[settings.format] || FORMATS['5x5'];
+}
+
+/**
+ * The settings a ruleset gives a new game, or null for an unknown id
+ */
+function getRulesetSettings(id) {
+    const ruleset = RULESETS[id];
+    if (!ruleset) return null;
+    const { name, ...settings } = ruleset;
+    return {
+        ...settings,
+        rules: id,
+        periodCount: PERIOD_TYPES[ruleset.periodType].count,
+        timeouts: { ...ruleset.timeouts, lateLimit: ruleset.timeouts.lateLimit && { ...ruleset.timeouts.lateLimit } }
+    };
+}
+
+/**
+ * The period that starts the second half, or null if the game has no halves
+ */
+function getSecondHalfPeriod(settings) {
+    return settings.periodCount >= 2 ? settings.periodCount / 2 + 1 : null;
+}
+
+/**
+ * The timeouts a team has at the start of a period, given how many it had
+ * left at the end of the one before. Between the other periods of a half
+ * they simply carry on.
+ */
+function getTimeoutsAtPeriodStart(settings, period, remaining) {
+    const { firstHalf, secondHalf, overtime, carryOver } = settings.timeouts;
+    if (period === 1) return firstHalf;
+    if (period > settings.periodCount) {
+        return overtime + (carryOver === 'all' ? remaining : 0);
+    }
+    if (period === getSecondHalfPeriod(settings)) {
+        return secondHalf + (carryOver === 'none' ? 0 : remaining);
+    }
+    return remaining;
+}
+
+/**
+ * Line score heading for a period: 1st, 2nd, ... for regulation, then OT, 2OT, ...
+ */
+function getLineScoreLabel(settings, period) {
+    const { periodCount } = settings;
+    if (period <= periodCount) return formatOrdinal(period);
+    return period === periodCount + 1 ? 'OT' : `${period - periodCount}OT`;
+}
+
+/**
+ * One line describing a ruleset's clock and timeout rules, for the config view
+ */
+function describeRuleset(settings) {
+    const { firstHalf, secondHalf, overtime } = settings.timeouts;
+    const shotClock = settings.shotClockDuration > 0
+        ? `${settings.shotClockDuration}s/${settings.shotClockReset}s shot clock`
+        : 'no shot clock';
+    const timeouts = secondHalf > 0
+        ? `${firstHalf}+${secondHalf} timeouts`
+        : `${firstHalf} timeout${firstHalf === 1 ? '' : 's'}`;
+    const { winningScore, overtimeTarget } = getFormat(settings);
+    let overtimeRule = 'untimed OT';
+    if (overtimeTarget > 0) {
+        overtimeRule = `OT to ${overtimeTarget} points`;
+    } else if (settings.overtimeDuration > 0) {
+        overtimeRule = `${settings.overtimeDuration}-min OT${overtime > 0 ? ` (+${overtime} timeout${overtime === 1 ? '' : 's'})` : ''}`;
+    }
+    const { lateLimit } = settings.timeouts;
+    const timeoutRules = [timeouts, `${settings.timeoutDuration}s each`];
+    if (lateLimit) timeoutRules.push(`max ${lateLimit.max} in the last ${lateLimit.minutes} min`);
+    const parts = [shotClock, timeoutRules.join(', '), overtimeRule];
+    if (settings.halftimeDuration > 0) parts.push(`${settings.halftimeDuration}-min halftime`);
+    if (winningScore > 0) parts.unshift(`first to ${winningScore}`);
+    return parts.join(' • ');
+}
+
+export {
+    TIMEOUT_WARNING_SECONDS,
+    PERIOD_TYPES,
+    FORMATS,
+    RULESETS,
+    getFormat,
+    getRulesetSettings,
+    getSecondHalfPeriod,
+    getTimeoutsAtPeriodStart,
+    getLineScoreLabel,
+    describeRuleset
+};
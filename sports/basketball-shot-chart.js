@@ -0,0 +1,164 @@
+// Shot locations for basketball. A shot's location is stored with its
+// 'point' or 'miss' event as { x, y } in feet on a half court: x runs
+// 0-50 from the left sideline, y runs 0-47 from the baseline, and the
+// basket sits at (25, 5.25). The court drawing is an SVG in tenths of a foot.
+
+const COURT_WIDTH = 50;
+const COURT_LENGTH = 47;
+const BASKET = { x: 25, y: 5.25 };
+const THREE_POINT_RADIUS = 23.75;
+const CORNER_THREE_X = 22; // Distance from the basket's centre line to the corner three
+const KEY_HALF_WIDTH = 8;
+const FREE_THROW_LINE_Y = 19;
+const SCALE = 10; // SVG units per foot
+
+const SHOT_ZONES = [
+    { id: 'paint', name: 'Paint' },
+    { id: 'midRange', name: 'Mid-Range' },
+    { id: 'corner3', name: 'Corner 3' },
+    { id: 'aboveBreak3', name: 'Above the Break 3' }
+];
+
+// Where the corner three lines meet the arc
+const CORNER_Y = BASKET.y + Math.sqrt(THREE_POINT_RADIUS ** 2 - CORNER_THREE_X ** 2);
+
+/**
+ * The zone a location falls in (one of SHOT_ZONES' ids)
+ */
+function getShotZone({ x, y }) {
+    const dx = x - BASKET.x;
+    if (y <= CORNER_Y && Math.abs(dx) >= CORNER_THREE_X) return 'corner3';
+    if (Math.hypot(dx, y - BASKET.y) >= THREE_POINT_RADIUS) return 'aboveBreak3';
+    if (Math.abs(dx) <= KEY_HALF_WIDTH && y <= FREE_THROW_LINE_Y) return 'paint';
+    return 'midRange';
+}
+
+/**
+ * True if a location is behind the three-point line
+ */
+function isThreePointLocation(location) {
+    const zone = getShotZone(location);
+    return zone === 'corner3' || zone === 'aboveBreak3';
+}
+
+/**
+ * Made and attempted shots in each zone
+ * @param {{ made: boolean, location: object }[]} shots
+ * @returns {{ id, name, made, attempts }[]}
+ */
+function summarizeZones(shots) {
+    const zones = SHOT_ZONES.map(zone => ({ ...zone, made: 0, attempts: 0 }));
+    shots.forEach(shot => {
+        const zone = zones.find(z => z.id === getShotZone(shot.location));
+        zone.attempts++;
+        if (shot.made) zone.made++;
+    });
+    return zones;
+}
+
+// Court lines, in SVG units
+function courtLines(color) {
+    const s = value => (value * SCALE).toFixed(1);
+    const cornerY = s(CORNER_Y);
+    const leftCorner = s(BASKET.x - CORNER_THREE_X);
+    const rightCorner = s(BASKET.x + CORNER_THREE_X);
+    const arc = s(THREE_POINT_RADIUS);
+    return `
+        <g fill="none" stroke="${color}" stroke-width="3">
+            <rect x="0" y="0" width="${s(COURT_WIDTH)}" height="${s(COURT_LENGTH)}"/>
+            <rect x="${s(BASKET.x - KEY_HALF_WIDTH)}" y="0" width="${s(KEY_HALF_WIDTH * 2)}" height="${s(FREE_THROW_LINE_Y)}"/>
+            <circle cx="${s(BASKET.x)}" cy="${s(FREE_THROW_LINE_Y)}" r="${s(6)}"/>
+            <line x1="${s(BASKET.x - 3)}" y1="${s(4)}" x2="${s(BASKET.x + 3)}" y2="${s(4)}"/>
+            <circle cx="${s(BASKET.x)}" cy="${s(BASKET.y)}" r="${s(0.75)}"/>
+            <path d="M ${s(BASKET.x - 4)} ${s(BASKET.y)} A ${s(4)} ${s(4)} 0 0 0 ${s(BASKET.x + 4)} ${s(BASKET.y)}"/>
+            <line x1="${leftCorner}" y1="0" x2="${leftCorner}" y2="${cornerY}"/>
+            <line x1="${rightCorner}" y1="0" x2="${rightCorner}" y2="${cornerY}"/>
+            <path d="M ${leftCorner} ${cornerY} A ${arc} ${arc} 0 0 0 ${rightCorner} ${cornerY}"/>
+            <path d="M ${s(BASKET.x - 6)} ${s(COURT_LENGTH)} A ${s(6)} ${s(6)} 0 0 1 ${s(BASKET.x + 6)} ${s(COURT_LENGTH)}"/>
+        </g>`;
+}
+
+// A filled circle for a make, a cross for a miss
+function shotMarker(shot, color) {
+    const x = shot.location.x * SCALE;
+    const y = shot.location.y * SCALE;
+    if (shot.made) {
+        return `<circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="8" fill="${color}" stroke="#FFFFFF" stroke-width="2"/>`;
+    }
+    return `<path d="M ${x - 7} ${y - 7} L ${x + 7} ${y + 7} M ${x - 7} ${y + 7} L ${x + 7} ${y - 7}" stroke="${color}" stroke-width="4" stroke-linecap="round"/>`;
+}
+
+/**
+ * Draws a half court with shots on it
+ * @param {object[]} shots - { made, location } for each shot
+ * @param {object} options
+ * @param {string} options.color - Marker colour (usually the team's)
+ * @param {string} options.lineColor - Court line colour
+ * @param {string} options.background - Court fill
+ * @returns {string} SVG markup
+ */
+function renderShotChart(shots, { color = '#EA4335', lineColor = '#5F6368', background = '#F4E4C9' } = {}) {
+    return `
+        <svg class="shot-chart-svg" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${COURT_WIDTH * SCALE} ${COURT_LENGTH * SCALE}">
+            <rect x="0" y="0" width="${COURT_WIDTH * SCALE}" height="${COURT_LENGTH * SCALE}" fill="${background}"/>
+            ${courtLines(lineColor)}
+            ${shots.map(shot => shotMarker(shot, color)).join('')}
+        </svg>`;
+}
+
+/**
+ * Converts a click on a rendered chart to a court location in feet
+ */
+function getClickLocation(svg, clientX, clientY) {
+    const rect = svg.getBoundingClientRect();
+    const x = ((clientX - rect.left) / rect.width) * COURT_WIDTH;
+    const y = ((clientY - rect.top) / rect.height) * COURT_LENGTH;
+    const round = value => Math.round(value * 10) / 10;
+    return {
+        x: round(Math.min(COURT_WIDTH, Math.max(0, x))),
+        y: round(Math.min(COURT_LENGTH, Math.max(0, y)))
+    };
+}
+
+/**
+ * Saves a rendered chart as a PNG file
+ * @param {SVGElement} svg
+ * @param {string} fileName
+ * @param {number} width - Image width in pixels
+ */
+function downloadShotChartPng(svg, fileName, width = 1000) {
+    return new Promise((resolve, reject) => {
+        const markup = new XMLSerializer().serializeToString(svg);
+        const image = new Image();
+        image.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = Math.round(width * COURT_LENGTH / COURT_WIDTH);
+            canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+            canvas.toBlob(blob => {
+                if (!blob) {
+                    reject(new Error('Could not draw the shot chart'));
+                    return;
+                }
+                const link = document.createElement('a');
+                link.href = URL.createObjectURL(blob);
+                link.download = fileName;
+                link.click();
+                setTimeout(() => URL.revokeObjectURL(link.href), 0);
+                resolve();
+            }, 'image/png');
+        };
+        image.onerror = () => reject(new Error('Could not draw the shot chart'));
+        image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`;
+    });
+}
+
+export {
+    SHOT_ZONES,
+    getShotZone,
+    isThreePointLocation,
+    summarizeZones,
+    renderShotChart,
+    getClickLocation,
+    downloadShotChartPng
+};
@@ -1,7 +1,18 @@
 // This file exports ONE object: the 'basketball' module.
 
-// Import the firebase services we need
-import { db, firebase } from '../modules/firebase.js';
+// Import the shared game session
+import { createGameSession } from '../modules/game-session.js';
+import { showSyncStatus } from '../modules/sync-status.js';
+import { normalizeGameCode, isValidGameCode } from '../modules/game-codes.js';
+import { CLOCK_SCHEMA, gameDocumentSchema } from '../modules/game-schema.js';
+import { createUndoHistory } from '../modules/undo-history.js';
+import { playBuzzer } from '../modules/buzzer.js';
+import { addPeriodPoints, buildLineScore, renderLineScore } from '../modules/line-score.js';
+import { getVoidedIds, applyEdits, getActiveEvents } from '../modules/event-log.js';
+import { getSport } from './registry.js';
+import { TIMEOUT_WARNING_SECONDS, PERIOD_TYPES, FORMATS, RULESETS, getFormat, getRulesetSettings, getSecondHalfPeriod, getTimeoutsAtPeriodStart, getLineScoreLabel, describeRuleset } from './basketball-rules.js';
+import { isThreePointLocation, summarizeZones, renderShotChart, getClickLocation, downloadShotChartPng } from './basketball-shot-chart.js';
+import { CLOCK_TICK_MS, syncServerTime, createClock, clockRemaining, startClock, pauseClock, setClock, formatClock, clockSeconds, toMs } from '../modules/game-clock.js';
 
 // Get access to the global utilities from main.js
 let $;
@@ -10,6 +21,8 @@ let showToast;
 let copyToClipboard;
 
 // ================== MODULE-SPECIFIC STATE ==================
+const DEFAULT_SETTINGS = getSport('basketball').defaultSettings;
+
 
 const state = {
     view: 'landing', // Default view is the landing/welcome page
@@ -24,9 +37,11 @@ const state = {
         shotClockTimer: null
     },
     selectedPlayer: null,
-    actionHistory: [], // For the Undo feature
+    actionHistory: [], // Clock changes this session can undo (scoring is undone in the event log)
+    history: null, // Undo/redo over the event log (see modules/undo-history.js)
     clockEditing: false,
-    firestoreListener: null
+    timeoutWarned: false, // The horn has sounded for the timeout running now
+    session: null // The shared game session (see modules/game-session.js)
 };
 
 // ================== HTML BUILDER ==================
@@ -44,10 +59,10 @@ function buildHtml() {
                     <div class="card__body">
                         <div class="card-icon">👁️</div>
                         <h3>Watch Game</h3>
-                        <p>Enter a 6-digit code to spectate.</p>
+                        <p>Enter a game code to spectate.</p>
                         <div class="form-group" style="margin-top: 16px;">
                             <label for="watchCodeInput" class="form-label">Game Code</label>
-                            <input id="watchCodeInput" class="form-control" placeholder="e.g., 123456" maxlength="6">
+                            <input id="watchCodeInput" class="form-control" placeholder="e.g., 123456" maxlength="6" autocapitalize="characters">
                         </div>
                         <div id="watchCodeValidation" class="validation-message hidden"></div>
                         <button id="watchGameBtn" class="btn btn--primary btn--full-width" disabled>Watch Game</button>
@@ -61,7 +76,7 @@ function buildHtml() {
                         <p>Enter a code to resume, or leave blank for new.</p>
                         <div class="form-group" style="margin-top: 16px;">
                             <label for="hostCodeInput" class="form-label">Game Code (Optional)</label>
-                            <input id="hostCodeInput" class="form-control" placeholder="Leave empty for random code" maxlength="6">
+                            <input id="hostCodeInput" class="form-control" placeholder="Leave empty for random code" maxlength="6" autocapitalize="characters">
                         </div>
                         <div id="hostCodeValidation" class="validation-message hidden"></div>
                         <button id="hostGameBtn" class="btn btn--primary btn--full-width">Host/Resume Game</button>
@@ -117,6 +132,16 @@ function buildHtml() {
                             <input id="gameNameInput" class="form-control" placeholder="Championship Final" maxlength="50">
                         </div>
                         
+                        <div class="form-group">
+                            <label class="form-label" for="rulesSelect">Rules</label>
+                            <select id="rulesSelect" class="form-control" data-base="${DEFAULT_SETTINGS.rules}">
+                                ${Object.entries(RULESETS).map(([id, ruleset]) => `
+                                <option value="${id}" ${id === DEFAULT_SETTINGS.rules ? 'selected' : ''}>${ruleset.name}</option>`).join('')}
+                                <option value="custom">Custom</option>
+                            </select>
+                            <p id="rulesSummary" style="font-size: 13px; color: var(--color-text-secondary); margin-top: 6px;"></p>
+                        </div>
+
                         <div class="form-row">
                             <div class="form-group">
                                 <label class="form-label">Game Format</label>
@@ -127,6 +152,9 @@ function buildHtml() {
                                     <label style="display: flex; align-items: center; gap: 8px; font-size: 16px;">
                                         <input type="radio" name="periodType" value="half"> Halves (2)
                                     </label>
+                                    <label style="display: flex; align-items: center; gap: 8px; font-size: 16px;">
+                                        <input type="radio" name="periodType" value="game"> Single Period
+                                    </label>
                                 </div>
                             </div>
                             <div class="form-group">
@@ -139,10 +167,49 @@ function buildHtml() {
                                     <option value="20">20 minutes</option>
                                 </select>
                             </div>
+                            <div class="form-group">
+                                <label class="form-label" for="overtimeDurationSelect">Overtime (Mins)</label>
+                                <select id="overtimeDurationSelect" class="form-control">
+                                    <option value="3">3 minutes</option>
+                                    <option value="4">4 minutes</option>
+                                    <option value="5" selected>5 minutes</option>
+                                    <option value="10">10 minutes</option>
+                                    <option value="0">Untimed</option>
+                                </select>
+                            </div>
+                        </div>
+
+                        <div class="form-group">
+                            <label class="form-label" for="bonusFoulsSelect">Team Foul Bonus</label>
+                            <select id="bonusFoulsSelect" class="form-control">
+                                <option value="4/0">FIBA: bonus after 4 fouls per period</option>
+                                <option value="5/0" selected>NBA: bonus after 5 fouls per quarter</option>
+                                <option value="7/10">NCAA: bonus after 7, double bonus after 10</option>
+                                <option value="0/0">No bonus</option>
+                            </select>
+                        </div>
+
+                        <div class="form-group">
+                            <label class="form-label" for="foulOutSelect">Foul-Out Limit</label>
+                            <select id="foulOutSelect" class="form-control">
+                                <option value="5/true">5 fouls, technicals count (FIBA/NCAA)</option>
+                                <option value="6/false" selected>6 fouls, technicals don't count (NBA)</option>
+                                <option value="0/false">No foul-outs</option>
+                            </select>
                         </div>
 
                         <div class="form-group">
-                            <label class="form-label">Shot Clock (Defaults to 24s)</label>
+                            <label class="form-label" for="timeoutDurationSelect">Timeout Length</label>
+                            <select id="timeoutDurationSelect" class="form-control">
+                                <option value="30">30 seconds (3x3)</option>
+                                <option value="60">60 seconds (FIBA/High School)</option>
+                                <option value="75" selected>75 seconds (NBA/NCAA)</option>
+                                <option value="100">100 seconds</option>
+                            </select>
+                        </div>
+
+                        <div class="form-group">
+                            <label class="form-label">Shot Clock (length set by the rules)</label>
                             <div class="theme-switch-container">
                                 <span>Off</span>
                                 <label class="theme-switch">
@@ -308,10 +375,12 @@ function buildHtml() {
                             <tr><td style="font-weight: 600;">Spacebar</td><td>Start / Pause Game Clock</td></tr>
                             <tr><td style="font-weight: 600;">Enter</td><td>Reset Shot Clock to Full & START</td></tr>
                             <tr><td style="font-weight: 600;">R (Shift+r)</td><td>Reset Shot Clock to Full (No Start)</td></tr>
-                            <tr><td style="font-weight: 600;">r</td><td>Reset Shot Clock to 14s (No Start)</td></tr>
+                            <tr><td style="font-weight: 600;">r</td><td>Reset Shot Clock to Short Reset, e.g. 14s (No Start)</td></tr>
                             <tr><td style="font-weight: 600;">s</td><td>Start Shot Clock Only</td></tr>
                             <tr><td style="font-weight: 600;">p</td><td>Toggle Possession</td></tr>
+                            <tr><td style="font-weight: 600;">a</td><td>Held Ball (Alternating Possession)</td></tr>
                             <tr><td style="font-weight: 600;">z</td><td>Undo Last Action</td></tr>
+                            <tr><td style="font-weight: 600;">y</td><td>Redo Undone Action</td></tr>
                             <tr><td style="font-weight: 600;">h</td><td>Show Help Menu</td></tr>
                         </tbody>
                     </table>
@@ -337,8 +406,11 @@ function buildHtml() {
                     </div>
                 </div>
                 <div class="control-actions">
+                    <span id="syncStatus" class="hidden"></span>
                     <button id="helpBtn" class="btn btn--outline">Help (h)</button>
                     <button id="undoBtn" class="btn btn--secondary" disabled>Undo (z)</button>
+                    <button id="redoBtn" class="btn btn--secondary" disabled>Redo (y)</button>
+                    <button id="historyBtn" class="btn btn--outline">History</button>
                     <button id="shareGameBtn" class="btn btn--outline">Share</button>
                     <button id="exportGame" class="btn btn--outline">Export</button>
                     <button id="finalizeGameBtn" class="btn btn--danger">End Game</button>
@@ -352,6 +424,7 @@ function buildHtml() {
                                 <div class="team-score" id="teamAScoreSection">
                                     <h3 id="teamAName">Team A</h3>
                                     <div class="score-display" id="teamAScore">0</div>
+                                    <div class="bonus-indicator hidden" id="teamABonus">BONUS</div>
                                     <div class="top-scorer" id="teamATopScorer">No scorer yet</div>
                                     <div class="score-controls">
                                         <button class="btn btn--sm score-btn btn--score-1" data-team="teamA" data-points="1">+1</button>
@@ -370,12 +443,21 @@ function buildHtml() {
                                             <button id="editGameClock" class="btn btn--secondary btn--sm">Edit Time</button>
                                             <button id="nextPeriod" class="btn btn--secondary btn--sm">Next</button>
                                         </div>
+                                        <div class="clock-control-row">
+                                            <span id="intervalDisplay" class="interval-display hidden"></span>
+                                            <button id="endIntervalBtn" class="btn btn--outline btn--sm hidden">End Break</button>
+                                            <span id="timeoutDisplay" class="timeout-display hidden"></span>
+                                            <button id="endTimeoutBtn" class="btn btn--outline btn--sm hidden">End Timeout</button>
+                                            <label class="shot-location-toggle" title="Sound a horn when the period or a break ends">
+                                                <input type="checkbox" id="buzzerToggle"> Buzzer
+                                            </label>
+                                        </div>
                                     </div>
                                     <div class="shot-clock-section" id="shotClockSection">
                                         <div class="shot-clock-display" id="shotClockDisplay" title="Click to edit">24</div>
                                         <div class="shot-clock-label">Shot Clock</div>
                                         <div class="shot-clock-actions">
-                                            <button id="resetShotClock14" class="btn btn--warning btn--sm">14s</button>
+                                            <button id="resetShotClockShort" class="btn btn--warning btn--sm">14s</button>
                                             <button id="resetShotClockFull" class="btn btn--warning btn--sm">Full</button>
                                             <button id="editShotClock" class="btn btn--secondary btn--sm">Edit</button>
                                             <button id="startShotClock" class="btn btn--success btn--sm">Start</button>
@@ -385,6 +467,7 @@ function buildHtml() {
                                 <div class="team-score" id="teamBScoreSection">
                                     <h3 id="teamBName">Team B</h3>
                                     <div class="score-display" id="teamBScore">0</div>
+                                    <div class="bonus-indicator hidden" id="teamBBonus">BONUS</div>
                                     <div class="top-scorer" id="teamBTopScorer">No scorer yet</div>
                                     <div class="score-controls">
                                         <button class="btn btn--sm score-btn btn--score-1" data-team="teamB" data-points="1">+1</button>
@@ -410,13 +493,21 @@ function buildHtml() {
                                         </div>
                                     </div>
                                     <div class="info-item">
-                                        <span>Team Fouls:</span>
+                                        <span>Timeout clock</span>
+                                        <button class="btn btn--sm btn--warning call-timeout-btn" data-team="teamA">Call Timeout</button>
+                                    </div>
+                                    <div class="info-item">
+                                        <span>Team Fouls (period):</span>
                                         <div class="counter-controls">
                                             <button class="btn btn--sm" data-action="foul-minus" data-team="teamA">-</button>
                                             <span id="teamAFouls">0</span>
                                             <button class="btn btn--sm" data-action="foul-plus" data-team="teamA">+</button>
                                         </div>
                                     </div>
+                                    <div class="info-item">
+                                        <span>Bench Technicals: <span id="teamABenchTechnicals">0</span></span>
+                                        <button class="btn btn--sm btn--outline bench-technical-btn" data-team="teamA">+ Bench T</button>
+                                    </div>
                                 </div>
                             </div>
                         </div>
@@ -427,6 +518,14 @@ function buildHtml() {
                                     <button id="possessionTeamA" class="btn btn--outline possession-btn active">Team A</button>
                                     <button id="possessionTeamB" class="btn btn--outline possession-btn">Team B</button>
                                 </div>
+                                <div class="possession-arrow">
+                                    <span>Arrow: <strong id="arrowDisplay">set by the opening jump ball</strong></span>
+                                    <div class="possession-controls">
+                                        <button id="jumpBallTeamA" class="btn btn--outline btn--sm">Tip won: Team A</button>
+                                        <button id="jumpBallTeamB" class="btn btn--outline btn--sm">Tip won: Team B</button>
+                                        <button id="heldBallBtn" class="btn btn--secondary btn--sm hidden">Held Ball (a)</button>
+                                    </div>
+                                </div>
                             </div>
                         </div>
                         <div class="card">
@@ -442,13 +541,21 @@ function buildHtml() {
                                         </div>
                                     </div>
                                     <div class="info-item">
-                                        <span>Team Fouls:</span>
+                                        <span>Timeout clock</span>
+                                        <button class="btn btn--sm btn--warning call-timeout-btn" data-team="teamB">Call Timeout</button>
+                                    </div>
+                                    <div class="info-item">
+                                        <span>Team Fouls (period):</span>
                                         <div class="counter-controls">
                                             <button class="btn btn--sm" data-action="foul-minus" data-team="teamB">-</button>
                                             <span id="teamBFouls">0</span>
                                             <button class="btn btn--sm" data-action="foul-plus" data-team="teamB">+</button>
                                         </div>
                                     </div>
+                                    <div class="info-item">
+                                        <span>Bench Technicals: <span id="teamBBenchTechnicals">0</span></span>
+                                        <button class="btn btn--sm btn--outline bench-technical-btn" data-team="teamB">+ Bench T</button>
+                                    </div>
                                 </div>
                             </div>
                         </div>
@@ -464,8 +571,19 @@ function buildHtml() {
                                         <option value="teamA">Team A</option>
                                         <option value="teamB">Team B</option>
                                     </select>
+                                    <button id="setLineupBtn" class="btn btn--outline btn--sm">Starting Five</button>
+                                    <button id="substitutionBtn" class="btn btn--secondary btn--sm">Substitution</button>
+                                    <label class="shot-location-toggle" title="Tap where each field goal was taken">
+                                        <input type="checkbox" id="trackShotLocations"> Shot locations
+                                    </label>
                                 </div>
                             </div>
+                            <div class="stats-tabs">
+                                <button class="stats-tab-btn active" data-tab="statsTabPlayers">Players</button>
+                                <button class="stats-tab-btn" data-tab="statsTabAnalytics">Analytics</button>
+                            </div>
+                            <div id="statsTabPlayers">
+                            <div id="lineupStatus" class="lineup-status"></div>
                             <div class="player-scoring-grid" id="playerScoringGrid"></div>
                             <div class="comprehensive-stats-section">
                                 <h5>Full Statistics Table</h5>
@@ -476,9 +594,17 @@ function buildHtml() {
                                                 <th class="sticky-col">#</th>
                                                 <th class="sticky-col">Name</th>
                                                 <th>PTS</th>
-                                                <th>FT</th>
-                                                <th>2PT</th>
-                                                <th>3PT</th>
+                                                <th>FGM</th>
+                                                <th>FGA</th>
+                                                <th>FG%</th>
+                                                <th class="long-shot-header">3PTM</th>
+                                                <th class="long-shot-header">3PTA</th>
+                                                <th class="long-shot-header">3PT%</th>
+                                                <th>FTM</th>
+                                                <th>FTA</th>
+                                                <th>FT%</th>
+                                                <th>eFG%</th>
+                                                <th>TS%</th>
                                                 <th>ORB</th>
                                                 <th>DRB</th>
                                                 <th>REB</th>
@@ -487,6 +613,8 @@ function buildHtml() {
                                                 <th>BLK</th>
                                                 <th>TO</th>
                                                 <th>PF</th>
+                                                <th>TF</th>
+                                                <th>UF</th>
                                                 <th>MIN</th>
                                             </tr>
                                         </thead>
@@ -509,9 +637,41 @@ function buildHtml() {
                                         <button class="btn btn--sm stat-btn" data-stat="blocks">+BLK</button>
                                         <button class="btn btn--sm stat-btn" data-stat="turnovers">+TO</button>
                                         <button class="btn btn--sm stat-btn" data-stat="fouls">+PF</button>
+                                        <button class="btn btn--sm stat-btn" data-foul="technical">+TF</button>
+                                        <button class="btn btn--sm stat-btn" data-foul="unsportsmanlike">+UF</button>
+                                        <button class="btn btn--sm stat-btn" data-foul="disqualifying">+DQ</button>
                                     </div>
                                 </div>
                             </div>
+                            </div>
+                            <div id="statsTabAnalytics" class="hidden">
+                                <h5>Shot Chart</h5>
+                                <div class="shot-chart-controls">
+                                    <select id="shotChartPlayer" class="form-control"></select>
+                                    <button id="downloadShotChart" class="btn btn--outline btn--sm">Download PNG</button>
+                                </div>
+                                <div id="shotChartPanel" class="shot-chart-panel"></div>
+                                <h5>Player +/-</h5>
+                                <p class="analytics-note">The score change while each player was on court.</p>
+                                <div class="stats-table-container">
+                                    <table class="comprehensive-stats-table analytics-table">
+                                        <thead>
+                                            <tr><th>#</th><th>Name</th><th>MIN</th><th>PTS</th><th>+/-</th></tr>
+                                        </thead>
+                                        <tbody id="plusMinusTableBody"></tbody>
+                                    </table>
+                                </div>
+                                <h5>Lineups</h5>
+                                <p class="analytics-note">Every lineup that has played together, most minutes first. NET/10 is the points margin per 10 minutes on court.</p>
+                                <div class="stats-table-container">
+                                    <table class="comprehensive-stats-table analytics-table">
+                                        <thead>
+                                            <tr><th>Lineup</th><th>MIN</th><th>PF</th><th>PA</th><th>+/-</th><th>NET/10</th></tr>
+                                        </thead>
+                                        <tbody id="lineupTableBody"></tbody>
+                                    </table>
+                                </div>
+                            </div>
                         </div>
                     </div>
                 </div>
@@ -526,6 +686,7 @@ function buildHtml() {
             <div id="viewerPossession" class="viewer-possession">
                 <span class="possession-dot"></span>
                 <span id="viewerPossessionTeamName">Team A</span>
+                <span id="viewerArrow" class="viewer-arrow hidden"></span>
             </div>
         </header>
 
@@ -533,6 +694,8 @@ function buildHtml() {
             <div class="viewer-team-panel left" id="viewerTeamA">
                 <div id="viewerTeamAName" class="viewer-team-name">TEAM A</div>
                 <div id="viewerTeamAScore" class="viewer-team-score">0</div>
+                <div id="viewerTeamAShooting" class="viewer-team-shooting"></div>
+                <div id="viewerTeamABonus" class="bonus-indicator hidden">BONUS</div>
             </div>
 
             <div class="viewer-center-panel">
@@ -541,6 +704,8 @@ function buildHtml() {
                     <div id="viewerPeriod" class="viewer-quarter">1</div>
                 </div>
                 <div id="viewerGameClock" class="viewer-game-clock">12:00</div>
+                <div id="viewerInterval" class="interval-display hidden"></div>
+                <div id="viewerTimeout" class="timeout-display hidden"></div>
                 <div class="viewer-sc-box" id="viewerShotClockBox">
                     <div class="viewer-sc-label">SHOT</div>
                     <div id="viewerShotClock" class="viewer-shot-clock">24</div>
@@ -550,6 +715,8 @@ function buildHtml() {
             <div class="viewer-team-panel right" id="viewerTeamB">
                 <div id="viewerTeamBName" class="viewer-team-name">TEAM B</div>
                 <div id="viewerTeamBScore" class="viewer-team-score">0</div>
+                <div id="viewerTeamBShooting" class="viewer-team-shooting"></div>
+                <div id="viewerTeamBBonus" class="bonus-indicator hidden">BONUS</div>
             </div>
         </main>
 
@@ -575,6 +742,24 @@ function buildHtml() {
                 <div id="viewerTeamBFouls" class="viewer-stat-value">0</div>
             </div>
         </footer>
+
+        <div class="play-by-play-feed">
+            <div class="play-by-play-title">LINE SCORE</div>
+            <div id="viewerLineScore"></div>
+        </div>
+
+        <div class="play-by-play-feed">
+            <div class="play-by-play-title">PLAY-BY-PLAY</div>
+            <ol id="viewerPlayByPlay" class="play-by-play-list"></ol>
+        </div>
+
+        <div class="play-by-play-feed shot-chart-feed hidden">
+            <div class="play-by-play-title">SHOT CHARTS</div>
+            <div class="shot-chart-pair">
+                <div id="viewerShotChartA" class="shot-chart-panel"></div>
+                <div id="viewerShotChartB" class="shot-chart-panel"></div>
+            </div>
+        </div>
     </section>
 
     <section id="viewer-view-classic" class="view hidden">
@@ -585,25 +770,45 @@ function buildHtml() {
                 <div class="possession-indicator">
                     <span>Possession:</span>
                     <span id="classicViewerPossession">Team A</span>
+                    <span id="classicViewerArrow" class="viewer-arrow hidden"></span>
                 </div>
             </div>
             <div class="viewer-scoreboard">
                 <div class="viewer-team" id="classicViewerTeamA">
                     <h2 id="classicViewerTeamAName">Team A</h2>
                     <div id="classicViewerTeamAScore" class="viewer-score">0</div>
+                    <div id="classicViewerTeamABonus" class="bonus-indicator hidden">BONUS</div>
                     <div id="classicViewerTeamATopScorer" class="viewer-top-scorer">No scorer yet</div>
                 </div>
                 <div class="viewer-center">
                     <div id="classicViewerGameClock" class="viewer-clock">12:00</div>
+                    <div id="classicViewerInterval" class="interval-display hidden"></div>
+                    <div id="classicViewerTimeout" class="timeout-display hidden"></div>
                     <div class="viewer-period"><span id="classicQuarterHalfLabel">Quarter</span> <span id="classicViewerPeriod">1</span></div>
                     <div id="classicViewerShotClock" class="viewer-shot-clock" style="display: none;">24</div>
                 </div>
                 <div class="viewer-team" id="classicViewerTeamB">
                     <h2 id="classicViewerTeamBName">Team B</h2>
                     <div id="classicViewerTeamBScore" class="viewer-score">0</div>
+                    <div id="classicViewerTeamBBonus" class="bonus-indicator hidden">BONUS</div>
                     <div id="classicViewerTeamBTopScorer" class="viewer-top-scorer">No scorer yet</div>
                 </div>
             </div>
+            <div class="play-by-play-feed">
+                <div class="play-by-play-title">Line Score</div>
+                <div id="classicViewerLineScore"></div>
+            </div>
+            <div class="play-by-play-feed">
+                <div class="play-by-play-title">Play-by-Play</div>
+                <ol id="classicViewerPlayByPlay" class="play-by-play-list"></ol>
+            </div>
+            <div class="play-by-play-feed shot-chart-feed hidden">
+                <div class="play-by-play-title">Shot Charts</div>
+                <div class="shot-chart-pair">
+                    <div id="classicViewerShotChartA" class="shot-chart-panel"></div>
+                    <div id="classicViewerShotChartB" class="shot-chart-panel"></div>
+                </div>
+            </div>
         </div>
     </section>
 
@@ -646,10 +851,105 @@ function buildHtml() {
         </div>
     </div>
 
+    <div id="historyModal" class="modal hidden">
+        <div class="modal-content" style="max-width: 720px; text-align: left;">
+            <h3>Play-by-Play</h3>
+            <p style="color: var(--color-text-secondary); margin: 8px 0 16px;">
+                Newest first. Undone plays are struck through. Edit a play to fix the player, time or add a note.
+            </p>
+            <div style="max-height: 60vh; overflow-y: auto;">
+                <table class="comprehensive-stats-table" style="font-size: 14px; table-layout: auto;">
+                    <thead>
+                        <tr><th>Time</th><th>Play</th><th>Score</th><th>By</th><th></th></tr>
+                    </thead>
+                    <tbody id="historyList"></tbody>
+                </table>
+            </div>
+            <div class="modal-actions">
+                <button id="closeHistoryModal" class="btn btn--primary">Close</button>
+            </div>
+        </div>
+    </div>
+
+    <div id="lineupModal" class="modal hidden">
+        <div class="modal-content" style="text-align: left;">
+            <h3 id="lineupTitle">Starting Five</h3>
+            <p style="color: var(--color-text-secondary); margin: 8px 0 16px;">
+                Pick the players on court. Playing time is counted from the game clock while they are on.
+            </p>
+            <div id="lineupChoices" class="lineup-choices"></div>
+            <div class="modal-actions">
+                <button id="cancelLineup" class="btn btn--outline">Cancel</button>
+                <button id="saveLineup" class="btn btn--primary">Save Lineup</button>
+            </div>
+        </div>
+    </div>
+
+    <div id="substitutionModal" class="modal hidden">
+        <div class="modal-content" style="text-align: left;">
+            <h3 id="substitutionTitle">Substitution</h3>
+            <div class="form-group">
+                <label class="form-label" for="substitutionOut">Player Out</label>
+                <select id="substitutionOut" class="form-control"></select>
+            </div>
+            <div class="form-group">
+                <label class="form-label" for="substitutionIn">Player In</label>
+                <select id="substitutionIn" class="form-control"></select>
+            </div>
+            <div class="modal-actions">
+                <button id="cancelSubstitution" class="btn btn--outline">Cancel</button>
+                <button id="confirmSubstitution" class="btn btn--primary">Substitute</button>
+            </div>
+        </div>
+    </div>
+
+    <div id="shotLocationModal" class="modal hidden">
+        <div class="modal-content">
+            <h3 id="shotLocationTitle">Shot Location</h3>
+            <p style="color: var(--color-text-secondary); margin: 8px 0 16px;">Tap where the shot was taken.</p>
+            <div id="shotLocationCourt" class="shot-location-court"></div>
+            <div class="modal-actions">
+                <button id="cancelShotLocation" class="btn btn--outline">Cancel</button>
+                <button id="skipShotLocation" class="btn btn--secondary">Skip Location</button>
+            </div>
+        </div>
+    </div>
+
+    <div id="editPlayModal" class="modal hidden">
+        <div class="modal-content" style="text-align: left;">
+            <h3>Edit Play</h3>
+            <p id="editPlayOriginal" style="color: var(--color-text-secondary); margin: 8px 0 16px;"></p>
+            <div id="editPlayPlayerGroup" class="form-group">
+                <label class="form-label" for="editPlayPlayer">Player</label>
+                <select id="editPlayPlayer" class="form-control"></select>
+            </div>
+            <div id="editPlayShotGroup" class="form-group">
+                <label class="form-label" for="editPlayShot">Shot</label>
+                <select id="editPlayShot" class="form-control"></select>
+            </div>
+            <div class="form-group">
+                <label class="form-label">Game Clock</label>
+                <div style="display: flex; gap: 8px; align-items: center;">
+                    <input type="number" id="editPlayMinutes" class="form-control" min="0" max="99" placeholder="MM">
+                    <span>:</span>
+                    <input type="number" id="editPlaySeconds" class="form-control" min="0" max="59" placeholder="SS">
+                </div>
+            </div>
+            <div class="form-group">
+                <label class="form-label" for="editPlayNote">Note</label>
+                <input type="text" id="editPlayNote" class="form-control" maxlength="80" placeholder="e.g. and-one, fast break">
+            </div>
+            <div class="modal-actions">
+                <button id="cancelEditPlay" class="btn btn--outline">Cancel</button>
+                <button id="saveEditPlay" class="btn btn--primary">Save</button>
+            </div>
+        </div>
+    </div>
+
     <div id="undoModal" class="modal hidden">
         <div class="modal-content">
-            <h3>Undo Last Action</h3>
-            <p style="color: var(--color-text-secondary); margin: 16px 0;">
+            <h3 id="undoTitle">Undo Last Action</h3>
+            <p id="undoPrompt" style="color: var(--color-text-secondary); margin: 16px 0;">
                 Are you sure you want to undo this action?
             </p>
             <p id="undoMessage" style="font-weight: 600; text-align: center; color: var(--color-warning);"></p>
@@ -677,10 +977,12 @@ function buildHtml() {
                     <tr><td style="font-weight: 600;">Spacebar</td><td>Start / Pause Game Clock</td></tr>
                     <tr><td style="font-weight: 600;">Enter</td><td>Reset Shot Clock to Full & START</td></tr>
                     <tr><td style="font-weight: 600;">R (Shift+r)</td><td>Reset Shot Clock to Full (No Start)</td></tr>
-                    <tr><td style="font-weight: 600;">r</td><td>Reset Shot Clock to 14s (No Start)</td></tr>
+                    <tr><td style="font-weight: 600;">r</td><td>Reset Shot Clock to Short Reset, e.g. 14s (No Start)</td></tr>
                     <tr><td style="font-weight: 600;">s</td><td>Start Shot Clock Only</td></tr>
                     <tr><td style="font-weight: 600;">p</td><td>Toggle Possession</td></tr>
+                    <tr><td style="font-weight: 600;">a</td><td>Held Ball (Alternating Possession)</td></tr>
                     <tr><td style="font-weight: 600;">z</td><td>Undo Last Action</td></tr>
+                    <tr><td style="font-weight: 600;">y</td><td>Redo Undone Action</td></tr>
                     <tr><td style="font-weight: 600;">h</td><td>Show this Help Menu</td></tr>
                 </tbody>
             </table>
@@ -700,14 +1002,28 @@ function buildHtml() {
                 <li><b>Start/Pause (Space):</b> Toggles the main game clock. This will also pause the shot clock.</li>
                 <li><b>Reset Full & Start (Enter):</b> This is for a new possession after a score. It resets the shot clock to its full time (e.g., 24s) and starts it instantly.</li>
                 <li><b>Reset Full (R):</b> Resets the shot clock to full but does NOT start it. Useful for setting up before a play.</li>
-                <li><b>Reset 14s (r):</b> Resets the shot clock to 14s (or the offensive rebound time) and does NOT start it. Use this after an offensive rebound.</li>
+                <li><b>Reset Short (r):</b> Resets the shot clock to the ruleset's offensive rebound time (14s under FIBA/NBA) and does NOT start it. Use this after an offensive rebound.</li>
                 <li><b>Start Shot Clock (s):</b> Starts *only* the shot clock. The game clock remains paused. Use this for inbounding at the start of a period.</li>
             </ul>
 
             <h5 style="margin-top: 16px;">Game Management</h5>
             <ul style="font-size: 14px; color: var(--color-text-secondary); margin-left: 20px; line-height: 1.6;">
                 <li><b>Undo (z):</b> Reverts the last major action (e.g., score, clock edit, foul). A confirmation is required.</li>
-                <li><b>Toggle Possession (p):</b> Manually switches the possession arrow.</li>
+                <li><b>Redo (y):</b> Brings back the last undone score, stat, foul or timeout, until a new action is recorded.</li>
+                <li><b>Starting Five / Substitution:</b> Set who is on court for the team picked in the stats panel, then record each substitution. Playing time (MIN) runs with the game clock for players on court.</li>
+                <li><b>Made / Missed Shots:</b> On each player card, +1/+2/+3 log a made free throw, 2-pointer or 3-pointer and ✗1/✗2/✗3 log a miss. Attempts give FG%, 3PT%, FT%, eFG% (shots behind the arc count for their extra point; in 3x3 that doubles them) and TS% (points per shooting possession, free throws included).</li>
+                <li><b>Shot Locations:</b> With "Shot locations" ticked, every made or missed 2 or 3 asks you to tap the spot on a half court (or skip). The Analytics tab draws the shot chart for the team or one player with FG% by zone and can download it as a PNG; spectators see both teams' charts.</li>
+                <li><b>Analytics tab:</b> Each player's +/- (the score change while they were on court) and every lineup's minutes, points for and against, and NET/10 (margin per 10 minutes). Both need the starting five and substitutions to be entered.</li>
+                <li><b>History:</b> The play-by-play: every action with its period, game clock and the score after it. "Edit" fixes a play (wrong player, shot value or time, or adds a note); "Revert to here" undoes everything after it. The history is saved with the game, so it survives a refresh or a change of laptop. Spectators see the same feed live, and it is included in the export.</li>
+                <li><b>Line Score:</b> Each team's points in every period and overtime, with the total. Spectators see it under the scoreboard, and it heads the exported box score.</li>
+                <li><b>Toggle Possession (p):</b> Manually switches which team has the ball.</li>
+                <li><b>Alternating Possession Arrow:</b> Log who won the opening tip; the arrow then points to the other team. Each held ball (a) gives the ball to the team the arrow points to and flips the arrow. Spectators see the arrow next to possession.</li>
+                <li><b>Rules:</b> The ruleset picked at setup (FIBA, NBA, NCAA, High School or 3x3) sets the period and overtime lengths, the full and short shot clock, the timeouts each team gets per half and per overtime, how long a timeout lasts, and the foul limits. Timeouts can't be added beyond a team's allowance.</li>
+                <li><b>Timeouts:</b> "Call Timeout" on a team's card stops the game and shot clocks, logs the timeout with the game time and counts it down for you and spectators. The horn sounds ${TIMEOUT_WARNING_SECONDS} seconds before the end and again when it is over; "End Timeout" or starting the clock ends it early. A team can't call a timeout it doesn't have, or more than the ruleset allows late in the last period (FIBA: 2 in the last 2 minutes, NBA: 2 in the last 3).</li>
+                <li><b>3x3:</b> With the 3x3 rules, shots inside the arc are worth 1 and behind it 2, lineups are three players, and the first team to 21 wins before time runs out. From a team's 7th foul every foul gives 2 free throws, from the 10th 2 free throws and the ball. Overtime has no game clock: the first team to score 2 points wins, and you are asked to finalize the game.</li>
+                <li><b>End of Period:</b> When the game clock runs out the buzzer sounds (turn it off with the Buzzer checkbox) and the next period is set up, with the break or halftime counting down for you and spectators. "End Break" or starting the clock ends it early. If regulation or an overtime ends tied you are offered overtime; otherwise you are offered to finalize the game.</li>
+                <li><b>Team Fouls &amp; Bonus:</b> Team fouls count per period and go back to 0 on "Next" (except going into overtime under rules like FIBA's and NCAA's, where they carry on from the last period). Once a team reaches the bonus limit chosen at setup, BONUS (or DOUBLE BONUS) lights up for the other team, on this screen and for spectators.</li>
+                <li><b>Foul Types:</b> +PF on a player card is a personal foul; Quick Stat Entry also has technical (+TF), unsportsmanlike (+UF) and disqualifying (+DQ). A player at the foul-out limit, or with a DQ or two technical/unsportsmanlike fouls, is greyed out and you are asked to sub them. "+ Bench T" charges a coach/bench technical to the team fouls.</li>
                 <li><b>Friendly vs. Full Game:</b> "Friendly" is for quick games with no player stats. "Full Game" enables player rosters and tracking of individual stats (PTS, REB, AST, etc.).</li>
             </ul>
 
@@ -753,21 +1069,28 @@ function buildHtml() {
 
 // ================== ALL BASKETBALL FUNCTIONS ==================
 
-function formatTime(minutes, seconds) {
-    return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+// True while either the game clock or the shot clock is running
+function isClockRunning() {
+    const { clocks } = state.game.gameState;
+    return clocks.game.running || clocks.shot.running;
 }
 
-function generateGameCode() {
-    return Math.floor(100000 + Math.random() * 900000).toString();
+// The master timer also ticks for a break between periods or a timeout
+function isTimerNeeded() {
+    const { clocks } = state.game.gameState;
+    return isClockRunning() || clocks.interval.running || clocks.timeout.running;
 }
 
 // --- NEW: Snapshot state for Undo feature ---
+// Only clock changes take snapshots; scoring actions are undone through the
+// event log. Snapshots last for this session only.
 function snapshotState(actionDescription) {
     if (!state.isHost) return;
     
     state.actionHistory.push({ 
         description: actionDescription, 
-        gameData: JSON.parse(JSON.stringify(state.game)) // Deep copy
+        gameData: JSON.parse(JSON.stringify(state.game)), // Deep copy
+        at: Date.now()
     });
     
     // Limit history size
@@ -775,49 +1098,108 @@ function snapshotState(actionDescription) {
         state.actionHistory.shift();
     }
     
-    // Enable the undo button
+    updateUndoButtons();
+}
+
+// --- Record a scoring event (see modules/event-log.js) ---
+// The label is what undo prompts and the history panel show for it.
+function recordEvent(type, payload, label) {
+    const event = state.session.record(state.game, type, { ...payload, label });
+    updateUndoButtons();
+    return event;
+}
+
+// Short text for an event (older events may have no label)
+function describeEvent(event, game) {
+    return event.payload.label || describePlay(event, game);
+}
+
+// Undo reverts whichever came last: a clock snapshot or a scoring event
+function getLastUndoable() {
+    const snapshot = state.actionHistory[state.actionHistory.length - 1] || null;
+    const event = state.history.peekUndo();
+    if (snapshot && (!event || snapshot.at > event.at)) {
+        return { snapshot, description: snapshot.description };
+    }
+    if (event) return { event, description: describeEvent(event, state.game) };
+    return null;
+}
+
+function updateUndoButtons() {
     const undoBtn = $('undoBtn');
-    if (undoBtn) undoBtn.disabled = false;
+    const redoBtn = $('redoBtn');
+    const lastAction = getLastUndoable();
+    const redoTarget = state.history.peekRedo();
+    if (undoBtn) {
+        undoBtn.disabled = !lastAction;
+        undoBtn.title = lastAction ? `Undo: ${lastAction.description}` : 'Nothing to undo';
+    }
+    if (redoBtn) {
+        redoBtn.disabled = !redoTarget;
+        redoBtn.title = redoTarget ? `Redo: ${describeEvent(redoTarget, state.game)}` : 'Nothing to redo';
+    }
 }
 
 // --- NEW: Undo last action ---
 function handleUndo() {
-    if (!state.isHost || state.actionHistory.length === 0) {
+    if (!state.isHost) return;
+    const lastAction = getLastUndoable();
+    if (!lastAction) {
         showToast("Nothing to undo", "warning");
         return;
     }
     
-    const lastAction = state.actionHistory[state.actionHistory.length - 1];
-    showUndoConfirmation(lastAction.description);
+    showConfirmation('Undo Last Action', 'Are you sure you want to undo this action?', `Undo: "${lastAction.description}"?`, 'Undo', () => {
+        if (lastAction.event) {
+            // Scoring actions are undone in the event log, clocks keep running
+            // (except the clock of an undone timeout call)
+            state.history.undo({ confirmed: true });
+            if (clearUndoneTimeout()) saveGameState();
+        } else {
+            state.actionHistory.pop();
+            state.game = lastAction.snapshot.gameData; // Revert to the old state
+            state.session.replay(state.game); // Keep scoring in line with the event log
+            
+            // Need to stop/start timers based on reverted state
+            stopMasterTimer();
+            if (isTimerNeeded()) {
+                startMasterTimer();
+            }
+            saveGameState(); // Save the reverted state
+        }
+        updateControlDisplay();
+        showToast("Action undone", "success");
+    });
+}
+
+function handleRedo() {
+    if (!state.isHost) return;
+    const target = state.history.peekRedo();
+    if (!target) {
+        showToast("Nothing to redo", "warning");
+        return;
+    }
+
+    showConfirmation('Redo Action', 'Bring back this undone action?', `Redo: "${describeEvent(target, state.game)}"?`, 'Redo', () => {
+        state.history.redo({ confirmed: true });
+        updateControlDisplay();
+        showToast("Action redone", "success");
+    });
 }
 
-function showUndoConfirmation(description) {
+function showConfirmation(title, prompt, message, confirmLabel, onConfirm) {
     const modal = $('undoModal');
     if (!modal) return;
     
-    $('undoMessage').textContent = `Undo: "${description}"?`;
+    $('undoTitle').textContent = title;
+    $('undoPrompt').textContent = prompt;
+    $('undoMessage').textContent = message;
+    $('confirmUndo').textContent = confirmLabel;
     modal.classList.remove('hidden');
 
     $('confirmUndo').onclick = () => {
-        const lastState = state.actionHistory.pop();
-        if (lastState) {
-            state.game = lastState.gameData; // Revert to the old state
-            
-            if (state.actionHistory.length === 0) {
-                $('undoBtn').disabled = true;
-            }
-            
-            // Need to stop/start timers based on reverted state
-            stopMasterTimer();
-            if (state.game.gameState.gameRunning || state.game.gameState.shotClockRunning) {
-                startMasterTimer();
-            }
-            
-            updateControlDisplay();
-            saveGameState(); // Save the reverted state
-            showToast("Action undone", "success");
-        }
         modal.classList.add('hidden');
+        onConfirm();
     };
     
     $('cancelUndo').onclick = () => {
@@ -825,6 +1207,133 @@ function showUndoConfirmation(description) {
     };
 }
 
+// --- History panel: the play-by-play, with edit and revert for the host ---
+function showHistoryModal() {
+    renderHistoryList();
+    $('historyModal').classList.remove('hidden');
+}
+
+function renderHistoryList() {
+    const list = $('historyList');
+    if (!list || !state.game) return;
+
+    const plays = buildPlayByPlay(state.game, state.session.events).reverse(); // Newest first
+    if (plays.length === 0) {
+        list.innerHTML = '<tr><td colspan="5" style="text-align: center;">No plays yet</td></tr>';
+        return;
+    }
+
+    list.innerHTML = plays.map(({ event, undone, stamp, text, score }) => {
+        const style = undone ? 'text-decoration: line-through; color: var(--color-text-secondary);' : '';
+        // Older games can't replay their log, so plays can't be changed there
+        const actions = undone || !state.game.eventLog ? '' : `
+            <button class="btn btn--outline btn--sm history-edit" data-event="${event.id}">Edit</button>
+            <button class="btn btn--outline btn--sm history-revert" data-event="${event.id}">Revert to here</button>`;
+        return `
+            <tr style="${style}">
+                <td style="white-space: nowrap;">${stamp}</td>
+                <td>${text}${event.edited ? ' <small>(edited)</small>' : ''}</td>
+                <td style="white-space: nowrap;">${score ? `${score.teamA}–${score.teamB}` : ''}</td>
+                <td>${event.actor?.name || ''}</td>
+                <td style="white-space: nowrap;">${actions}</td>
+            </tr>`;
+    }).join('');
+
+    $$('.history-edit').forEach(btn => {
+        btn.onclick = () => showEditPlayModal(btn.dataset.event);
+    });
+    $$('.history-revert').forEach(btn => {
+        btn.onclick = () => revertToEvent(btn.dataset.event);
+    });
+}
+
+// --- Edit a play: recorded as an 'edit' event, so the original is kept ---
+function showEditPlayModal(eventId) {
+    const event = applyEdits(state.session.events).find(e => e.id === eventId);
+    if (!event) return;
+    const { team, player, stat, note } = event.payload;
+    const hasPlayer = player !== undefined;
+    const isShot = (event.type === 'point' || event.type === 'miss') && hasPlayer;
+
+    $('editPlayOriginal').textContent = formatPlay({ stamp: formatPlayStamp(event, state.game), text: describePlay(event, state.game) });
+
+    $('editPlayPlayerGroup').style.display = hasPlayer ? 'block' : 'none';
+    if (hasPlayer) {
+        $('editPlayPlayer').innerHTML = state.game[team].roster
+            .map(p => `<option value="${p.number}">#${p.number} ${p.name}</option>`)
+            .join('');
+        $('editPlayPlayer').value = player;
+    }
+    $('editPlayShotGroup').style.display = isShot ? 'block' : 'none';
+    if (isShot) {
+        const { shotNames, shotPoints } = getFormat(state.game.settings);
+        $('editPlayShot').innerHTML = Object.keys(shotNames)
+            .map(shot => `<option value="${shot}">${shotNames[shot]} (${shotPoints[shot]})</option>`)
+            .join('');
+        $('editPlayShot').value = stat;
+    }
+
+    const totalSeconds = event.clock ? clockSeconds(event.clock.remainingMs) : 0;
+    $('editPlayMinutes').value = Math.floor(totalSeconds / 60);
+    $('editPlaySeconds').value = totalSeconds % 60;
+    $('editPlayNote').value = note || '';
+
+    $('editPlayModal').classList.remove('hidden');
+    $('cancelEditPlay').onclick = () => $('editPlayModal').classList.add('hidden');
+    $('saveEditPlay').onclick = () => saveEditedPlay(event, { hasPlayer, isShot });
+}
+
+function saveEditedPlay(event, { hasPlayer, isShot }) {
+    const minutes = parseInt($('editPlayMinutes').value, 10) || 0;
+    const seconds = parseInt($('editPlaySeconds').value, 10) || 0;
+    if (seconds > 59 || minutes < 0 || seconds < 0) {
+        showToast('Invalid time', 'error', 1500);
+        return;
+    }
+
+    const changes = {};
+    if (hasPlayer) {
+        const player = $('editPlayPlayer').value;
+        if (!state.game[event.payload.team].stats[player]) {
+            showToast('Pick a player on the roster', 'error', 1500);
+            return;
+        }
+        changes.player = player;
+    }
+    if (isShot) {
+        changes.stat = $('editPlayShot').value;
+        if (event.type === 'point') changes.points = getShotPoints(state.game, changes.stat);
+    }
+    const note = $('editPlayNote').value.trim();
+    if (note || event.payload.note) changes.note = note;
+
+    const clock = event.clock ? { ...event.clock, remainingMs: toMs(minutes, seconds) } : null;
+    const edited = { ...event, payload: { ...event.payload, ...changes }, clock: clock || event.clock };
+    changes.label = describePlay(edited, state.game); // Undo prompts show the corrected play
+
+    state.session.record(state.game, 'edit', { target: event.id, changes, ...(clock ? { clock } : {}) });
+    $('editPlayModal').classList.add('hidden');
+
+    if (state.game.gameType === 'full') {
+        setupPlayerScoringGrid();
+        updateComprehensiveStatsTable();
+    }
+    updateControlDisplay();
+    showToast('Play updated', 'success', 1500);
+}
+
+function revertToEvent(eventId) {
+    const target = state.session.events.find(event => event.id === eventId);
+    if (!target) return;
+
+    showConfirmation('Revert Game', 'Undo every action after this one? Redo brings them back one at a time.', `Revert to: "${describeEvent(target, state.game)}"`, 'Revert', () => {
+        const count = state.history.revertTo(eventId);
+        if (clearUndoneTimeout()) saveGameState();
+        updateControlDisplay();
+        showToast(count > 0 ? `Reverted ${count} action${count === 1 ? '' : 's'}` : 'Nothing after this action', count > 0 ? 'success' : 'info');
+    });
+}
+
 
 function showView(viewName) {
     console.log(`Switching to view: ${viewName}`);
@@ -850,14 +1359,12 @@ function showView(viewName) {
     }
 
     if (viewName === 'landing-view' || viewName === 'config-view') {
-        if (state.firestoreListener) {
-            state.firestoreListener(); 
-            state.firestoreListener = null;
-            console.log('Detached Firestore listener.');
-        }
+        state.session.unsubscribe();
         stopMasterTimer();
         state.actionHistory = []; // Clear undo history
         if($('undoBtn')) $('undoBtn').disabled = true;
+        if($('redoBtn')) $('redoBtn').disabled = true;
+        if($('historyModal')) $('historyModal').classList.add('hidden');
     }
 }
 
@@ -883,14 +1390,13 @@ function handleShotClockViolation() {
     showToast('SHOT CLOCK VIOLATION!', 'error', 3000);
     
     if (state.game) {
-        snapshotState("Shot Clock Violation"); // Log for undo
-        state.game.gameState.shotClockRunning = false;
+        const shotClock = state.game.gameState.clocks.shot;
+        pauseClock(shotClock);
+        setClock(shotClock, 0);
         const currentPossession = state.game.gameState.possession;
         const newPossession = currentPossession === 'teamA' ? 'teamB' : 'teamA';
-        state.game.gameState.possession = newPossession;
-        state.game.gameState.shotClock = 0;
+        recordEvent('possession', { team: newPossession, reason: 'shot-clock' }, 'Shot Clock Violation');
         updateControlDisplay();
-        saveGameState();
         showToast('Shot clock stopped - use restart buttons', 'warning', 4000);
     }
 }
@@ -899,63 +1405,47 @@ function startMasterTimer() {
     if (state.timers.masterTimer) {
         clearInterval(state.timers.masterTimer);
     }
+    state.timers.masterTimer = setInterval(tickMasterTimer, CLOCK_TICK_MS);
+}
+
+// Redraws the clocks and handles them running out. The clocks are stored as
+// timestamps (see modules/game-clock.js), so ticking never changes the time.
+function tickMasterTimer() {
+    if (!state.game) {
+        stopMasterTimer();
+        return;
+    }
     
-    state.timers.masterTimer = setInterval(() => {
-        if (!state.game) {
-            stopMasterTimer();
-            return;
-        }
-        
-        let updated = false;
-        
-        if (state.game.gameState.gameRunning) {
-            if (state.game.gameState.gameTime.seconds > 0) {
-                state.game.gameState.gameTime.seconds--;
-                updated = true;
-            } else if (state.game.gameState.gameTime.minutes > 0) {
-                state.game.gameState.gameTime.minutes--;
-                state.game.gameState.gameTime.seconds = 59;
-                updated = true;
-            } else {
-                state.game.gameState.gameRunning = false;
-                state.game.gameState.shotClockRunning = false;
-                if(state.isHost) {
-                    showToast('Period ended!', 'warning', 3000);
-                    saveGameState();
-                }
-            }
+    const { clocks } = state.game.gameState;
+    
+    // Only the host stops clocks; spectators wait for the host's update
+    if (state.isHost) {
+        if (clocks.game.running && isPeriodTimed(state.game) && clockRemaining(clocks.game) <= 0) {
+            pauseClock(clocks.game);
+            pauseClock(clocks.shot);
+            soundBuzzer();
+            showToast('Period ended!', 'warning', 3000);
+            saveGameState();
+            handlePeriodEnd();
         }
-        
-        if (state.game.gameState.shotClockRunning && state.game.settings.shotClockDuration > 0) {
-            if (state.game.gameState.shotClock > 0) {
-                state.game.gameState.shotClock--;
-                updated = true;
-                
-                if (state.game.gameState.shotClock <= 5) {
-                    $('shotClockDisplay')?.classList.add('warning');
-                    $('viewerShotClock')?.classList.add('warning');
-                    $('classicViewerShotClock')?.classList.add('warning');
-                }
-            } else {
-                if (state.isHost) {
-                    handleShotClockViolation();
-                } else {
-                    state.game.gameState.shotClockRunning = false;
-                }
-                updated = true;
-            }
+        if (clocks.interval.running && clockRemaining(clocks.interval) <= 0) {
+            pauseClock(clocks.interval);
+            soundBuzzer();
+            showToast(`Break over: ready for the ${getPeriodLabel(state.game.gameState.period)}`, 'info', 3000);
+            saveGameState();
         }
-        
-        if (updated) {
-            if (state.view.startsWith('control')) updateControlDisplay();
-            if (state.view.startsWith('viewer')) updateSpectatorView();
+        if (clocks.timeout.running) checkTimeoutClock();
+        if (clocks.shot.running && state.game.settings.shotClockDuration > 0 && clockRemaining(clocks.shot) <= 0) {
+            handleShotClockViolation();
         }
+    }
+    
+    updateClockDisplays();
+    updateMinutesDisplay();
 
-        if (!state.game.gameState.gameRunning && !state.game.gameState.shotClockRunning) {
-            stopMasterTimer();
-            if (state.view.startsWith('control') && $('startGameBtn')) updateMasterStartButton();
-        }
-    }, 1000);
+    if (!isTimerNeeded()) {
+        stopMasterTimer();
+    }
 }
 
 function stopMasterTimer() {
@@ -969,18 +1459,26 @@ function stopMasterTimer() {
 function toggleMasterGame() {
     if (!state.game || !state.isHost) return;
     
+    const { clocks } = state.game.gameState;
+    const running = isClockRunning();
+
     // Snapshot the state BEFORE changing it
-    snapshotState(state.game.gameState.gameRunning || state.game.gameState.shotClockRunning ? "Pause Game" : "Start Game");
+    snapshotState(running ? "Pause Game" : "Start Game");
 
-    if (state.game.gameState.gameRunning || state.game.gameState.shotClockRunning) {
-        state.game.gameState.gameRunning = false;
-        state.game.gameState.shotClockRunning = false;
+    if (running) {
+        pauseClock(clocks.game);
+        pauseClock(clocks.shot);
         stopMasterTimer();
         showToast('Game paused', 'info', 1500);
     } else {
-        state.game.gameState.gameRunning = true;
-        if (state.game.settings.shotClockDuration > 0 && state.game.gameState.shotClock > 0) {
-            state.game.gameState.shotClockRunning = true;
+        // Play starts again, so any break or timeout is over
+        pauseClock(clocks.interval);
+        setClock(clocks.interval, 0);
+        clearTimeoutClock();
+        // Untimed overtime (3x3) only runs the shot clock
+        if (isPeriodTimed(state.game)) startClock(clocks.game);
+        if (state.game.settings.shotClockDuration > 0) {
+            startClock(clocks.shot);
         }
         startMasterTimer();
         showToast('Game started!', 'success', 1500);
@@ -994,7 +1492,7 @@ function updateMasterStartButton() {
     const btn = $('startGameBtn');
     if (!btn || !state.game) return;
     
-    if (state.game.gameState.gameRunning || state.game.gameState.shotClockRunning) {
+    if (isClockRunning()) {
         btn.textContent = 'PAUSE (Space)';
         btn.className = 'btn btn--primary master-start-btn pause';
     } else {
@@ -1020,14 +1518,14 @@ function resetAllClocks() {
     if (!state.game || !state.isHost) return;
     snapshotState("Reset All Clocks"); // Log for undo
     
-    state.game.gameState.gameTime.minutes = state.game.settings.periodDuration;
-    state.game.gameState.gameTime.seconds = 0;
+    const { clocks } = state.game.gameState;
+    pauseClock(clocks.game);
+    pauseClock(clocks.shot);
+    setClock(clocks.game, getPeriodLengthMs(state.game, state.game.gameState.period));
     
     if (state.game.settings.shotClockDuration > 0) {
-        state.game.gameState.shotClock = state.game.settings.shotClockDuration;
+        setClock(clocks.shot, state.game.settings.shotClockDuration * 1000);
     }
-    state.game.gameState.gameRunning = false;
-    state.game.gameState.shotClockRunning = false;
     removeShotClockWarning();
     updateControlDisplay();
     saveGameState();
@@ -1040,15 +1538,17 @@ function removeShotClockWarning() {
     $('classicViewerShotClock')?.classList.remove('warning');
 }
 
-function resetShotClockTo14() {
+// Offensive rebound reset (14s under FIBA/NBA rules)
+function resetShotClockShort() {
     if (!state.game || !state.isHost || state.game.settings.shotClockDuration === 0) return;
-    snapshotState("Reset Shot Clock (14s)"); // Log for undo
+    const seconds = state.game.settings.shotClockReset;
+    snapshotState(`Reset Shot Clock (${seconds}s)`); // Log for undo
     
-    state.game.gameState.shotClock = 14;
+    setClock(state.game.gameState.clocks.shot, seconds * 1000);
     removeShotClockWarning();
     updateControlDisplay();
     saveGameState();
-    showToast('Shot clock reset to 14s', 'info', 1500);
+    showToast(`Shot clock reset to ${seconds}s`, 'info', 1500);
 }
 
 // Renamed from resetShotClockTo24
@@ -1056,7 +1556,7 @@ function resetShotClockDefault() {
     if (!state.game || !state.isHost || state.game.settings.shotClockDuration === 0) return;
     snapshotState("Reset Shot Clock (Full)"); // Log for undo
     
-    state.game.gameState.shotClock = state.game.settings.shotClockDuration;
+    setClock(state.game.gameState.clocks.shot, state.game.settings.shotClockDuration * 1000);
     removeShotClockWarning();
     updateControlDisplay();
     saveGameState();
@@ -1068,15 +1568,14 @@ function resetShotClockDefaultAndStart() {
     if (!state.game || !state.isHost || state.game.settings.shotClockDuration === 0) return;
     snapshotState("Reset Shot Clock & Start"); // Log for undo
     
-    state.game.gameState.shotClock = state.game.settings.shotClockDuration;
+    const { clocks } = state.game.gameState;
+    setClock(clocks.shot, state.game.settings.shotClockDuration * 1000);
     removeShotClockWarning();
     
     // Auto-start game clock if it's paused
-    if (!state.game.gameState.gameRunning) {
-        state.game.gameState.gameRunning = true;
-    }
-    state.game.gameState.shotClockRunning = true;
-    startMasterTimer(); // This will start both
+    if (isPeriodTimed(state.game)) startClock(clocks.game);
+    startClock(clocks.shot);
+    startMasterTimer();
     
     updateControlDisplay();
     saveGameState();
@@ -1086,13 +1585,14 @@ function resetShotClockDefaultAndStart() {
 
 function startShotClockOnly() {
     if (!state.game || !state.isHost || state.game.settings.shotClockDuration === 0) return;
-    if (state.game.gameState.shotClock <= 0) {
+    const shotClock = state.game.gameState.clocks.shot;
+    if (clockRemaining(shotClock) <= 0) {
         showToast('Reset shot clock first', 'warning', 2000);
         return;
     }
     snapshotState("Start Shot Clock Only"); // Log for undo
     
-    state.game.gameState.shotClockRunning = true;
+    startClock(shotClock);
     startMasterTimer();
     showToast('Shot clock started', 'success', 1500);
     updateControlDisplay();
@@ -1106,15 +1606,17 @@ function showEditClockModal() {
     const editSeconds = $('editSeconds');
     if (!modal || !state.game) return;
     
-    editMinutes.value = state.game.gameState.gameTime.minutes;
-    editSeconds.value = state.game.gameState.gameTime.seconds;
+    const secondsLeft = clockSeconds(clockRemaining(state.game.gameState.clocks.game));
+    editMinutes.value = Math.floor(secondsLeft / 60);
+    editSeconds.value = secondsLeft % 60;
     modal.classList.remove('hidden');
     state.clockEditing = true;
     
     $('saveClockEdit').onclick = () => {
         snapshotState("Edit Game Clock"); // Log for undo
-        state.game.gameState.gameTime.minutes = Math.max(0, parseInt(editMinutes.value) || 0);
-        state.game.gameState.gameTime.seconds = Math.max(0, Math.min(59, parseInt(editSeconds.value) || 0));
+        const minutes = Math.max(0, parseInt(editMinutes.value) || 0);
+        const seconds = Math.max(0, Math.min(59, parseInt(editSeconds.value) || 0));
+        setClock(state.game.gameState.clocks.game, toMs(minutes, seconds));
         updateControlDisplay();
         saveGameState();
         modal.classList.add('hidden');
@@ -1133,13 +1635,14 @@ function showEditShotClockModal() {
     const editShotClockSeconds = $('editShotClockSeconds');
     if (!modal || !state.game || state.game.settings.shotClockDuration === 0) return;
     
-    editShotClockSeconds.value = state.game.gameState.shotClock;
+    editShotClockSeconds.value = clockSeconds(clockRemaining(state.game.gameState.clocks.shot));
     modal.classList.remove('hidden');
     state.clockEditing = true;
     
     $('saveShotClockEdit').onclick = () => {
         snapshotState("Edit Shot Clock"); // Log for undo
-        state.game.gameState.shotClock = Math.max(0, Math.min(60, parseInt(editShotClockSeconds.value) || 0));
+        const seconds = Math.max(0, Math.min(60, parseInt(editShotClockSeconds.value) || 0));
+        setClock(state.game.gameState.clocks.shot, seconds * 1000);
         removeShotClockWarning();
         updateControlDisplay();
         saveGameState();
@@ -1186,15 +1689,12 @@ async function finalizeGame() {
     snapshotState("Finalize Game"); // Log for undo (though it's final)
     
     // Stop all clocks
-    state.game.gameState.gameRunning = false;
-    state.game.gameState.shotClockRunning = false;
+    pauseClock(state.game.gameState.clocks.game);
+    pauseClock(state.game.gameState.clocks.shot);
     stopMasterTimer();
     
-    // Set status to final
-    state.game.status = 'final';
-    
-    // Save one last time
-    await saveGameState();
+    // Set status to final and save one last time
+    await state.session.finalize(state.game);
     
     showToast('Game finalized! Returning to home.', 'success', 3000);
     
@@ -1210,29 +1710,42 @@ async function finalizeGame() {
 }
 
 
-function createGameSkeleton(code, config = {}) {
-    const hostId = state.user ? state.user.uid : null;
-    
+function createGameSkeleton(config = {}) {
+    const periodType = config.periodType || DEFAULT_SETTINGS.periodType;
+    const timeouts = (config.timeouts || DEFAULT_SETTINGS.timeouts).firstHalf;
     return {
-        hostId: hostId, // This will be null for guests
-        code: code,
         gameType: state.gameType,
         sport: 'basketball', 
         status: 'live', 
         settings: {
-            gameName: config.gameName || 'Basketball Game',
-            periodDuration: config.periodDuration || 12,
-            shotClockDuration: config.shotClockDuration || 24,
-            timeoutsPerTeam: config.timeoutsPerTeam || 7,
-            periodType: config.periodType || 'quarter', // NEW
-            periodCount: config.periodType === 'half' ? 2 : 4 // NEW
+            gameName: config.gameName || DEFAULT_SETTINGS.gameName,
+            rules: config.rules || DEFAULT_SETTINGS.rules,
+            format: config.format || DEFAULT_SETTINGS.format,
+            periodDuration: config.periodDuration || DEFAULT_SETTINGS.periodDuration,
+            overtimeDuration: config.overtimeDuration ?? DEFAULT_SETTINGS.overtimeDuration,
+            intervalDuration: config.intervalDuration ?? DEFAULT_SETTINGS.intervalDuration,
+            halftimeDuration: config.halftimeDuration ?? DEFAULT_SETTINGS.halftimeDuration,
+            shotClockDuration: config.shotClockDuration ?? DEFAULT_SETTINGS.shotClockDuration,
+            shotClockReset: config.shotClockReset ?? DEFAULT_SETTINGS.shotClockReset,
+            timeouts: { ...(config.timeouts || DEFAULT_SETTINGS.timeouts) },
+            timeoutDuration: config.timeoutDuration || DEFAULT_SETTINGS.timeoutDuration,
+            periodType,
+            periodCount: PERIOD_TYPES[periodType].count,
+            bonusFouls: config.bonusFouls ?? DEFAULT_SETTINGS.bonusFouls,
+            doubleBonusFouls: config.doubleBonusFouls ?? DEFAULT_SETTINGS.doubleBonusFouls,
+            foulOutLimit: config.foulOutLimit ?? DEFAULT_SETTINGS.foulOutLimit,
+            technicalsCountTowardFoulOut: config.technicalsCountTowardFoulOut ?? DEFAULT_SETTINGS.technicalsCountTowardFoulOut,
+            foulsCarryIntoOvertime: config.foulsCarryIntoOvertime ?? DEFAULT_SETTINGS.foulsCarryIntoOvertime
         },
         teamA: {
             name: config.teamAName || 'Team A',
             color: config.teamAColor || '#EA4335',
             score: 0,
-            timeouts: config.timeoutsPerTeam || 7,
+            periodScores: [0],
+            timeouts,
+            timeoutsGranted: timeouts,
             fouls: 0,
+            benchTechnicals: 0,
             roster: [],
             stats: {}
         },
@@ -1240,102 +1753,709 @@ function createGameSkeleton(code, config = {}) {
             name: config.teamBName || 'Team B',
             color: config.teamBColor || '#4285F4',
             score: 0,
-            timeouts: config.timeoutsPerTeam || 7,
+            periodScores: [0],
+            timeouts,
+            timeoutsGranted: timeouts,
             fouls: 0,
+            benchTechnicals: 0,
             roster: [],
             stats: {}
         },
         gameState: {
             period: 1, // Store period as a 1-based number
-            gameTime: {
-                minutes: config.periodDuration || 12,
-                seconds: 0
+            clocks: {
+                game: createClock(toMs(config.periodDuration || DEFAULT_SETTINGS.periodDuration)),
+                shot: createClock((config.shotClockDuration ?? DEFAULT_SETTINGS.shotClockDuration) * 1000),
+                interval: createClock(0), // Break between periods
+                timeout: createClock(0)
             },
-            shotClock: config.shotClockDuration || 24,
             possession: 'teamA',
-            gameRunning: false,
-            shotClockRunning: false
+            arrow: null,
+            timeoutTeam: null, // Whose timeout the timeout clock is counting
+            timeoutEventId: null, // The called 'timeout' event it belongs to
+            onCourt: { teamA: {}, teamB: {} }
         },
         lastUpdate: Date.now()
     };
 }
 
-async function saveGameState() {
-    if (!state.isHost) return; 
+// ================== EVENT REDUCER ==================
+// Scores, player stats, fouls, timeouts, possession, period and who is on
+// court are rebuilt from the game's event log (see modules/event-log.js).
+// Clocks, rosters and settings are not events and stay on the document.
+const STAT_FIELDS = [
+    'freeThrows', 'fieldGoals', 'threePointers',
+    'freeThrowAttempts', 'twoPointAttempts', 'threePointAttempts',
+    'offensiveRebounds', 'defensiveRebounds', 'assists',
+    'steals', 'blocks', 'turnovers', 'fouls', 'totalPoints', 'playedMs', 'plusMinus',
+    'technicalFouls', 'unsportsmanlikeFouls', 'disqualifyingFouls'
+];
+
+// Foul type -> the player stat that counts it. Every foul a player commits
+// also goes into `fouls` (PF) and the team fouls, except technicals when the
+// rules say they don't count toward fouling out.
+const FOUL_TYPES = {
+    personal: { name: 'Personal Foul' },
+    technical: { name: 'Technical Foul', field: 'technicalFouls' },
+    unsportsmanlike: { name: 'Unsportsmanlike Foul', field: 'unsportsmanlikeFouls' },
+    disqualifying: { name: 'Disqualifying Foul', field: 'disqualifyingFouls' }
+};
 
-    if (state.game && state.gameCode && db) {
-        try {
-            state.game.lastUpdate = Date.now();
-            await db.collection('games').doc(state.gameCode).set(state.game);
-        } catch (e) {
-            console.warn('Failed to save game to Firebase:', e);
-            showToast('Game sync failed. Check connection.', 'error', 3000);
-        }
-    }
+// Made-shot stat -> its attempts field ('fieldGoals' counts made 2-pointers)
+const ATTEMPT_FIELDS = { freeThrows: 'freeThrowAttempts', fieldGoals: 'twoPointAttempts', threePointers: 'threePointAttempts' };
+
+// Shot names and values depend on the format (3x3 scores 1 and 2)
+function getShotName(game, stat) {
+    return getFormat(game.settings).shotNames[stat];
 }
 
-async function updateUserProfileWithGame(gameCode) {
-    if (!state.user || !db || !firebase) return; 
-    
-    const userRef = db.collection('users').doc(state.user.uid);
-    
-    try {
-        await userRef.update({
-            hostedGames: firebase.firestore.FieldValue.arrayUnion(gameCode) 
-        });
-        console.log('User profile updated with new game.');
-    } catch (error) {
-        if (error.code === 'not-found') {
-            console.warn('User profile not found, could not update hosted games.');
-        } else {
-            console.error('Error updating user profile:', error);
-        }
-    }
+function getShotPoints(game, stat) {
+    return getFormat(game.settings).shotPoints[stat];
 }
 
-async function loadGameState(code) {
-    if (!db) {
-        showToast('Database not connected', 'error', 3000);
-        return null;
-    }
-    try {
-        const doc = await db.collection('games').doc(code).get();
-        if (doc.exists) {
-            return doc.data();
-        } else {
-            console.warn(`Game doc '${code}' does not exist`);
-            return null;
-        }
-    } catch (e) {
-        console.warn('Failed to load game from Firebase:', e);
-        return null;
+function getPeriodLengthMs(game, period) {
+    const { periodDuration, overtimeDuration, periodCount } = game.settings;
+    return toMs(period > periodCount ? overtimeDuration : periodDuration);
+}
+
+// Game time that ran between two clock stamps ({ period, remainingMs }),
+// counting any whole periods in between
+function getElapsedMs(game, since, until) {
+    if (!since || !until || until.period < since.period) return 0;
+    if (since.period === until.period) return Math.max(0, since.remainingMs - until.remainingMs);
+    let elapsed = since.remainingMs;
+    for (let period = since.period + 1; period < until.period; period++) {
+        elapsed += getPeriodLengthMs(game, period);
     }
+    return elapsed + Math.max(0, getPeriodLengthMs(game, until.period) - until.remainingMs);
 }
 
-function getTopScorer(team) {
-    if (!state.game || !state.game[team] || !state.game[team].stats) return null;
-    let topScorer = null;
-    let highestPoints = 0;
-    const stats = state.game[team].stats;
-    const roster = state.game[team].roster;
-    
-    Object.keys(stats).forEach(playerNumber => {
-        const playerStats = stats[playerNumber];
-        if (playerStats && playerStats.totalPoints > highestPoints) {
-            highestPoints = playerStats.totalPoints;
-            topScorer = {
-                number: playerNumber,
-                name: roster.find(p => p.number == playerNumber)?.name || `#${playerNumber}`,
-                points: playerStats.totalPoints
-            };
-        }
-    });
-    return topScorer;
+// Players on court carry the clock stamp they came on at. Minutes are
+// credited when they go off, so nothing has to run on every clock tick.
+function checkIn(game, team, player, clock) {
+    if (!game[team].stats?.[player] || !clock) return;
+    game.gameState.onCourt[team][player] = { period: clock.period, remainingMs: clock.remainingMs };
 }
 
-function updateTopScorerDisplay() {
-    const teamATopScorer = getTopScorer('teamA');
-    const teamBTopScorer = getTopScorer('teamB');
+function checkOut(game, team, player, clock) {
+    const since = game.gameState.onCourt[team][player];
+    if (!since) return;
+    const playerStats = game[team].stats?.[player];
+    if (playerStats) playerStats.playedMs += getElapsedMs(game, since, clock);
+    delete game.gameState.onCourt[team][player];
+}
+
+// +/-: every score change counts for the players on court at the time
+function creditPlusMinus(game, team, change) {
+    if (change === 0) return;
+    const opponent = team === 'teamA' ? 'teamB' : 'teamA';
+    Object.keys(game.gameState.onCourt[team]).forEach(number => {
+        const playerStats = game[team].stats?.[number];
+        if (playerStats) playerStats.plusMinus += change;
+    });
+    Object.keys(game.gameState.onCourt[opponent]).forEach(number => {
+        const playerStats = game[opponent].stats?.[number];
+        if (playerStats) playerStats.plusMinus -= change;
+    });
+}
+
+const reducer = {
+    reset(game) {
+        ['teamA', 'teamB'].forEach(team => {
+            game[team].score = 0;
+            game[team].periodScores = [0];
+            game[team].fouls = 0;
+            game[team].benchTechnicals = 0;
+            game[team].timeouts = getTimeoutsAtPeriodStart(game.settings, 1, 0);
+            game[team].timeoutsGranted = game[team].timeouts;
+            Object.values(game[team].stats || {}).forEach(playerStats => {
+                STAT_FIELDS.forEach(field => { playerStats[field] = 0; });
+            });
+        });
+        game.gameState.period = 1;
+        game.gameState.possession = 'teamA';
+        game.gameState.arrow = null;
+        game.gameState.onCourt = { teamA: {}, teamB: {} };
+    },
+    apply(game, event) {
+        const { team, player, points, stat, delta } = event.payload;
+        const playerStats = player !== undefined ? game[team]?.stats?.[player] : null;
+
+        switch (event.type) {
+            case 'point': {
+                const scoreBefore = game[team].score;
+                if (playerStats) {
+                    playerStats[stat]++;
+                    if (ATTEMPT_FIELDS[stat]) playerStats[ATTEMPT_FIELDS[stat]]++;
+                    playerStats.totalPoints += points;
+                    game[team].score += points;
+                } else {
+                    game[team].score = Math.max(0, game[team].score + points);
+                }
+                creditPlusMinus(game, team, game[team].score - scoreBefore);
+                addPeriodPoints(game[team], game.gameState.period, game[team].score - scoreBefore);
+                break;
+            }
+            case 'miss':
+                if (playerStats && ATTEMPT_FIELDS[stat]) playerStats[ATTEMPT_FIELDS[stat]]++;
+                break;
+            case 'stat':
+                if (playerStats) playerStats[stat]++;
+                break;
+            case 'foul': {
+                const foulType = FOUL_TYPES[event.payload.foulType] || FOUL_TYPES.personal;
+                if (playerStats) {
+                    if (foulType !== FOUL_TYPES.technical || game.settings.technicalsCountTowardFoulOut) {
+                        playerStats.fouls++;
+                    }
+                    if (foulType.field) playerStats[foulType.field]++;
+                    game[team].fouls++;
+                } else if (event.payload.bench) {
+                    // Coach/bench technicals count toward the team fouls
+                    game[team].benchTechnicals++;
+                    game[team].fouls++;
+                } else {
+                    game[team].fouls = Math.max(0, game[team].fouls + (delta ?? 1));
+                }
+                break;
+            }
+            case 'timeout':
+                // Timeouts can't go above what the team got for this half/overtime
+                game[team].timeouts = Math.max(0, Math.min(game[team].timeoutsGranted, game[team].timeouts + delta));
+                break;
+            case 'possession':
+                game.gameState.possession = team;
+                break;
+            // Alternating possession: the arrow points to the team that gets
+            // the next held ball. The tip winner has the ball and the arrow
+            // points to the other team; a held ball goes to the arrow team
+            // (recorded as `team`) and flips it.
+            case 'jumpball':
+            case 'heldball':
+                game.gameState.possession = team;
+                game.gameState.arrow = team === 'teamA' ? 'teamB' : 'teamA';
+                break;
+            case 'period': {
+                const period = ++game.gameState.period;
+                const newAllocation = period === getSecondHalfPeriod(game.settings) || period > game.settings.periodCount;
+                ['teamA', 'teamB'].forEach(side => {
+                    addPeriodPoints(game[side], period, 0);
+                    // Team fouls count per period (they decide the bonus);
+                    // some rules count overtime as part of the last period
+                    if (period <= game.settings.periodCount || !game.settings.foulsCarryIntoOvertime) {
+                        game[side].fouls = 0;
+                    }
+                    // A new half or overtime brings new timeouts
+                    if (newAllocation) {
+                        game[side].timeouts = getTimeoutsAtPeriodStart(game.settings, period, game[side].timeouts);
+                        game[side].timeoutsGranted = game[side].timeouts;
+                    }
+                });
+                break;
+            }
+            case 'lineup': {
+                const lineup = event.payload.players.map(String);
+                Object.keys(game.gameState.onCourt[team])
+                    .filter(number => !lineup.includes(number))
+                    .forEach(number => checkOut(game, team, number, event.clock));
+                lineup
+                    .filter(number => !game.gameState.onCourt[team][number])
+                    .forEach(number => checkIn(game, team, number, event.clock));
+                break;
+            }
+            case 'sub':
+                checkOut(game, team, String(event.payload.out), event.clock);
+                checkIn(game, team, String(event.payload.in), event.clock);
+                break;
+        }
+    },
+    clock(game) {
+        const { period, clocks } = game.gameState;
+        return { period, remainingMs: clockRemaining(clocks.game) };
+    }
+};
+
+// ================== GAME SCHEMA ==================
+// Shape of a basketball game document and the steps that bring older saved
+// games up to it (see modules/game-schema.js). Bump version and add a
+// migration whenever the document changes shape.
+const PLAYER_STATS_SCHEMA = {
+    type: 'object',
+    properties: {
+        ...Object.fromEntries(STAT_FIELDS.map(field => [field, { type: 'number', minimum: 0 }])),
+        plusMinus: { type: 'integer' }
+    }
+};
+
+const STINT_SCHEMA = {
+    type: 'object',
+    required: ['period', 'remainingMs'],
+    properties: {
+        period: { type: 'integer', minimum: 1 },
+        remainingMs: { type: 'number', minimum: 0 }
+    }
+};
+
+const schema = {
+    version: 13,
+    document: gameDocumentSchema({
+        team: {
+            color: { type: 'string' },
+            fouls: { type: 'integer', minimum: 0 },
+            timeouts: { type: 'integer', minimum: 0 },
+            timeoutsGranted: { type: 'integer', minimum: 0 },
+            periodScores: { type: 'array', items: { type: ['integer', 'null'] } }, // Points in each period (null if not counted)
+            benchTechnicals: { type: 'integer', minimum: 0 },
+            roster: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['number', 'name'],
+                    properties: {
+                        number: { type: 'integer', minimum: 0, maximum: 99 },
+                        name: { type: 'string' },
+                        position: { type: 'string' }
+                    }
+                }
+            },
+            stats: { type: 'object', additionalProperties: PLAYER_STATS_SCHEMA }
+        },
+        required: ['settings', 'gameState'],
+        properties: {
+            gameType: { enum: ['friendly', 'full'] },
+            settings: {
+                type: 'object',
+                required: ['periodDuration', 'shotClockDuration', 'timeouts', 'periodType', 'periodCount'],
+                properties: {
+                    gameName: { type: 'string' },
+                    rules: { enum: [...Object.keys(RULESETS), 'custom'] },
+                    format: { enum: Object.keys(FORMATS) },
+                    periodDuration: { type: 'number', minimum: 1 },
+                    overtimeDuration: { type: 'number', minimum: 0 },
+                    intervalDuration: { type: 'number', minimum: 0 },
+                    halftimeDuration: { type: 'number', minimum: 0 },
+                    shotClockDuration: { type: 'number', minimum: 0 }, // 0 = no shot clock
+                    shotClockReset: { type: 'number', minimum: 0 },
+                    timeouts: {
+                        type: 'object',
+                        required: ['firstHalf', 'secondHalf', 'overtime', 'carryOver'],
+                        properties: {
+                            firstHalf: { type: 'integer', minimum: 0 },
+                            secondHalf: { type: 'integer', minimum: 0 },
+                            overtime: { type: 'integer', minimum: 0 },
+                            carryOver: { enum: ['none', 'half', 'all'] },
+                            lateLimit: {
+                                type: ['object', 'null'],
+                                required: ['minutes', 'max'],
+                                properties: {
+                                    minutes: { type: 'number', minimum: 0 },
+                                    max: { type: 'integer', minimum: 0 }
+                                }
+                            }
+                        }
+                    },
+                    timeoutDuration: { type: 'number', minimum: 1 },
+                    periodType: { enum: Object.keys(PERIOD_TYPES) },
+                    periodCount: { type: 'integer', minimum: 1 },
+                    bonusFouls: { type: 'integer', minimum: 0 },
+                    doubleBonusFouls: { type: 'integer', minimum: 0 },
+                    foulOutLimit: { type: 'integer', minimum: 0 },
+                    technicalsCountTowardFoulOut: { type: 'boolean' },
+                    foulsCarryIntoOvertime: { type: 'boolean' } // Team fouls keep counting from the last period
+                }
+            },
+            gameState: {
+                type: 'object',
+                required: ['period', 'clocks', 'possession'],
+                properties: {
+                    period: { type: 'integer', minimum: 1 },
+                    possession: { enum: ['teamA', 'teamB'] },
+                    arrow: { enum: ['teamA', 'teamB', null] }, // Null until the opening jump ball
+                    timeoutTeam: { enum: ['teamA', 'teamB', null] },
+                    timeoutEventId: { type: ['string', 'null'] },
+                    clocks: {
+                        type: 'object',
+                        required: ['game', 'shot'],
+                        properties: { game: CLOCK_SCHEMA, shot: CLOCK_SCHEMA, interval: CLOCK_SCHEMA, timeout: CLOCK_SCHEMA }
+                    },
+                    // Player number -> clock stamp they came on at
+                    onCourt: {
+                        type: 'object',
+                        properties: {
+                            teamA: { type: 'object', additionalProperties: STINT_SCHEMA },
+                            teamB: { type: 'object', additionalProperties: STINT_SCHEMA }
+                        }
+                    }
+                }
+            }
+        }
+    }),
+    migrations: [
+        {
+            version: 1,
+            description: 'fill in settings and team fields added after launch',
+            up(game) {
+                game.gameType = game.gameType || 'friendly';
+                // The defaults as they were at v1, not DEFAULT_SETTINGS: those keep
+                // changing, and later migrations expect exactly these fields
+                game.settings = {
+                    gameName: 'Basketball Game',
+                    periodDuration: 12,
+                    shotClockDuration: 24,
+                    timeoutsPerTeam: 7,
+                    periodType: 'quarter',
+                    ...game.settings
+                };
+                // Period halves/quarters came later; older games were always quarters
+                if (!game.settings.periodCount) {
+                    game.settings.periodCount = game.settings.periodType === 'half' ? 2 : 4;
+                }
+                ['teamA', 'teamB'].forEach((team, i) => {
+                    game[team] = {
+                        color: i === 0 ? '#EA4335' : '#4285F4',
+                        fouls: 0,
+                        timeouts: game.settings.timeoutsPerTeam,
+                        roster: [],
+                        stats: {},
+                        ...game[team]
+                    };
+                });
+            }
+        },
+        {
+            // Clocks used to be minutes/seconds plus running flags. They come
+            // back paused, since we can't tell when they started.
+            version: 2,
+            description: 'store clocks as server-stamped timestamps',
+            up(game) {
+                const gameState = game.gameState || { period: 1, possession: 'teamA' };
+                if (!gameState.clocks) {
+                    gameState.clocks = {
+                        game: createClock(toMs(gameState.gameTime?.minutes, gameState.gameTime?.seconds)),
+                        shot: createClock((gameState.shotClock || 0) * 1000)
+                    };
+                }
+                delete gameState.gameTime;
+                delete gameState.shotClock;
+                delete gameState.gameRunning;
+                delete gameState.shotClockRunning;
+                game.gameState = gameState;
+            }
+        },
+        {
+            version: 3,
+            description: 'track playing time in ms from lineups',
+            up(game) {
+                ['teamA', 'teamB'].forEach(team => {
+                    Object.values(game[team].stats || {}).forEach(playerStats => {
+                        playerStats.playedMs = (playerStats.minutes || 0) * 60000;
+                        delete playerStats.minutes;
+                    });
+                });
+                game.gameState.onCourt = game.gameState.onCourt || { teamA: {}, teamB: {} };
+            }
+        },
+        {
+            version: 4,
+            description: 'add player plus/minus',
+            up(game) {
+                ['teamA', 'teamB'].forEach(team => {
+                    Object.values(game[team].stats || {}).forEach(playerStats => {
+                        playerStats.plusMinus = playerStats.plusMinus || 0;
+                    });
+                });
+            }
+        },
+        {
+            version: 5,
+            description: 'add shot attempts (misses were not recorded, so attempts start equal to makes)',
+            up(game) {
+                ['teamA', 'teamB'].forEach(team => {
+                    Object.values(game[team].stats || {}).forEach(playerStats => {
+                        Object.entries(ATTEMPT_FIELDS).forEach(([made, attempts]) => {
+                            playerStats[attempts] = playerStats[attempts] ?? (playerStats[made] || 0);
+                        });
+                    });
+                });
+            }
+        },
+        {
+            version: 6,
+            description: 'add team foul bonus settings',
+            up(game) {
+                game.settings.bonusFouls = game.settings.bonusFouls ?? 5;
+                game.settings.doubleBonusFouls = game.settings.doubleBonusFouls ?? 0;
+            }
+        },
+        {
+            version: 7,
+            description: 'add foul types, foul-out limit and bench technicals',
+            up(game) {
+                game.settings.foulOutLimit = game.settings.foulOutLimit ?? 6;
+                game.settings.technicalsCountTowardFoulOut = game.settings.technicalsCountTowardFoulOut ?? false;
+                ['teamA', 'teamB'].forEach(team => {
+                    game[team].benchTechnicals = game[team].benchTechnicals || 0;
+                    Object.values(game[team].stats || {}).forEach(playerStats => {
+                        Object.values(FOUL_TYPES).filter(type => type.field).forEach(type => {
+                            playerStats[type.field] = playerStats[type.field] || 0;
+                        });
+                    });
+                });
+            }
+        },
+        {
+            // Older games keep playing as they were set up: overtime as long
+            // as a period, a 14s short reset, one timeout allowance and team
+            // fouls starting again in overtime
+            version: 8,
+            description: 'replace timeoutsPerTeam with ruleset settings',
+            up(game) {
+                const timeoutsPerTeam = game.settings.timeoutsPerTeam ?? 7;
+                game.settings.rules = 'custom';
+                game.settings.overtimeDuration = game.settings.periodDuration;
+                game.settings.shotClockReset = 14;
+                game.settings.timeouts = { firstHalf: timeoutsPerTeam, secondHalf: 0, overtime: 0, carryOver: 'all' };
+                game.settings.foulsCarryIntoOvertime = false;
+                delete game.settings.timeoutsPerTeam;
+                ['teamA', 'teamB'].forEach(team => {
+                    game[team].timeoutsGranted = timeoutsPerTeam;
+                });
+            }
+        },
+        {
+            version: 9,
+            description: 'add the 5x5/3x3 format',
+            up(game) {
+                game.settings.format = game.settings.format || '5x5';
+            }
+        },
+        {
+            version: 10,
+            description: 'add breaks between periods',
+            up(game) {
+                game.settings.intervalDuration = game.settings.intervalDuration ?? 2;
+                game.settings.halftimeDuration = game.settings.halftimeDuration ?? 15;
+                game.gameState.clocks.interval = game.gameState.clocks.interval || createClock(0);
+            }
+        },
+        {
+            version: 11,
+            description: 'add the alternating possession arrow',
+            up(game) {
+                game.gameState.arrow = game.gameState.arrow ?? null;
+            }
+        },
+        {
+            version: 12,
+            description: 'add the timeout clock and late-game timeout limit',
+            up(game) {
+                game.settings.timeoutDuration = game.settings.timeoutDuration ?? 75;
+                game.settings.timeouts.lateLimit = game.settings.timeouts.lateLimit ?? null;
+                game.gameState.clocks.timeout = game.gameState.clocks.timeout || createClock(0);
+                game.gameState.timeoutTeam = game.gameState.timeoutTeam ?? null;
+            }
+        },
+        {
+            // Games with an event log get their periods back on replay;
+            // older ones only know the total
+            version: 13,
+            description: 'add points by period for the line score',
+            up(game) {
+                ['teamA', 'teamB'].forEach(team => {
+                    game[team].periodScores = game[team].periodScores || [];
+                });
+            }
+        }
+    ]
+};
+
+// ================== PLAY-BY-PLAY ==================
+// Every host action is an event stamped with the period and game clock, so
+// the play-by-play is read straight from the event log. The host's history
+// panel, both viewer feeds and the export all list the same plays.
+const STAT_NAMES = {
+    'offensiveRebounds': 'Off. Rebound', 'defensiveRebounds': 'Def. Rebound', 
+    'assists': 'Assist', 'steals': 'Steal', 'blocks': 'Block',
+    'turnovers': 'Turnover', 'fouls': 'Personal Foul'
+};
+
+// "Q2", "H1" or "OT1"
+function getPeriodShortLabel(game, period) {
+    const { periodType, periodCount } = game.settings;
+    if (period > periodCount) return `OT${period - periodCount}`;
+    return `${PERIOD_TYPES[periodType].short}${period}`;
+}
+
+function getPlayerLabel(game, team, number) {
+    const player = game[team]?.roster.find(p => p.number == number);
+    return player ? `#${player.number} ${player.name}` : `#${number}`;
+}
+
+// The play as it reads in the feed, e.g. "#23 Rao 3PT made"
+function describePlay(event, game) {
+    const { team, player, points, stat, delta, reason, note } = event.payload;
+    const teamName = game[team]?.name || team;
+    const who = player !== undefined ? getPlayerLabel(game, team, player) : teamName;
+    let text;
+    switch (event.type) {
+        case 'point':
+            text = player !== undefined
+                ? `${who} ${getShotName(game, stat) || `${points}PT`} made`
+                : `${teamName} ${points > 0 ? '+' : ''}${points}`;
+            break;
+        case 'miss':
+            text = `${who} ${getShotName(game, stat) || stat} missed`;
+            break;
+        case 'stat':
+            text = `${who} ${STAT_NAMES[stat] || stat}`;
+            break;
+        case 'foul': {
+            const foulName = (FOUL_TYPES[event.payload.foulType] || FOUL_TYPES.personal).name;
+            if (event.payload.bench) {
+                text = `${teamName} Bench Technical`;
+            } else {
+                text = player !== undefined || delta === undefined || delta > 0
+                    ? `${who} ${foulName}`
+                    : `${teamName} foul removed`;
+            }
+            break;
+        }
+        case 'timeout':
+            if (delta >= 0) {
+                text = `${teamName} timeout given back`;
+            } else {
+                text = event.payload.called ? `Timeout called by ${teamName}` : `${teamName} Timeout`;
+            }
+            break;
+        case 'possession':
+            text = reason === 'shot-clock'
+                ? `Shot clock violation, ${teamName} ball`
+                : `Possession: ${teamName}`;
+            break;
+        case 'jumpball':
+            text = `Jump ball won by ${teamName}, arrow to ${game[team === 'teamA' ? 'teamB' : 'teamA'].name}`;
+            break;
+        case 'heldball':
+            text = `Held ball, ${teamName} ball on the arrow`;
+            break;
+        case 'period':
+            text = event.clock ? `End of ${getPeriodShortLabel(game, event.clock.period)}` : 'End of period';
+            break;
+        case 'lineup':
+            text = `${teamName} lineup: ${event.payload.players.map(number => getPlayerLabel(game, team, number)).join(', ')}`;
+            break;
+        case 'sub':
+            text = `${teamName} sub: ${getPlayerLabel(game, team, event.payload.in)} in, ${getPlayerLabel(game, team, event.payload.out)} out`;
+            break;
+        default:
+            text = `${event.type} ${teamName}`;
+    }
+    return note ? `${text} (${note})` : text;
+}
+
+// "Q2 04:31" (empty for events without a clock stamp)
+function formatPlayStamp(event, game) {
+    if (!event.clock) return '';
+    return `${getPeriodShortLabel(game, event.clock.period)} ${formatClock(event.clock.remainingMs)}`;
+}
+
+/**
+ * Lists every play, oldest first, with the score after it. Undone plays
+ * stay in the list (marked) but don't count. Games from before the event
+ * log only have part of their history, so they get no running score.
+ * @returns {{ event, undone, stamp, text, score }[]}
+ */
+function buildPlayByPlay(game, events) {
+    const voided = getVoidedIds(events);
+    const scratch = JSON.parse(JSON.stringify(game));
+    reducer.reset(scratch);
+    return applyEdits(events).map(event => {
+        const undone = voided.has(event.id);
+        if (!undone) reducer.apply(scratch, event);
+        return {
+            event,
+            undone,
+            stamp: formatPlayStamp(event, game),
+            text: describePlay(event, game),
+            score: game.eventLog ? { teamA: scratch.teamA.score, teamB: scratch.teamB.score } : null
+        };
+    });
+}
+
+// "Q2 04:31 — #23 Rao 3PT made, 34–29"
+function formatPlay(play) {
+    const score = play.score ? `, ${play.score.teamA}–${play.score.teamB}` : '';
+    return `${play.stamp ? `${play.stamp} — ` : ''}${play.text}${score}`;
+}
+
+// Live feed on the viewer screens, newest first
+// ================== LINE SCORE ==================
+// Points by period (see modules/line-score.js): every regulation period,
+// then each overtime played
+function getLineScore(game) {
+    return buildLineScore(game, {
+        periods: Math.max(game.settings.periodCount, game.gameState.period),
+        label: period => getLineScoreLabel(game.settings, period)
+    });
+}
+
+function renderLineScorePanel(containerId) {
+    const container = $(containerId);
+    if (!container || !state.game) return;
+    container.innerHTML = renderLineScore(getLineScore(state.game));
+}
+
+function renderPlayByPlayFeed(listId) {
+    const list = $(listId);
+    if (!list || !state.game) return;
+
+    const plays = buildPlayByPlay(state.game, state.session.events)
+        .filter(play => !play.undone)
+        .reverse();
+    list.innerHTML = '';
+    if (plays.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'play-by-play-empty';
+        empty.textContent = 'No plays yet';
+        list.appendChild(empty);
+        return;
+    }
+    plays.forEach(play => {
+        const item = document.createElement('li');
+        item.textContent = formatPlay(play);
+        if (play.event.payload.team) item.style.borderLeftColor = state.game[play.event.payload.team]?.color;
+        list.appendChild(item);
+    });
+}
+
+function saveGameState() {
+    return state.session.save(state.game);
+}
+
+function getTopScorer(team) {
+    if (!state.game || !state.game[team] || !state.game[team].stats) return null;
+    let topScorer = null;
+    let highestPoints = 0;
+    const stats = state.game[team].stats;
+    const roster = state.game[team].roster;
+    
+    Object.keys(stats).forEach(playerNumber => {
+        const playerStats = stats[playerNumber];
+        if (playerStats && playerStats.totalPoints > highestPoints) {
+            highestPoints = playerStats.totalPoints;
+            topScorer = {
+                number: playerNumber,
+                name: roster.find(p => p.number == playerNumber)?.name || `#${playerNumber}`,
+                points: playerStats.totalPoints
+            };
+        }
+    });
+    return topScorer;
+}
+
+function updateTopScorerDisplay() {
+    const teamATopScorer = getTopScorer('teamA');
+    const teamBTopScorer = getTopScorer('teamB');
     
     // Control View
     const teamADisplay = $('teamATopScorer');
@@ -1387,16 +2507,15 @@ function setupLandingHandlers() {
     $('watchCodeInput').addEventListener('input', handleWatchCodeInput);
     $('hostGameBtn').addEventListener('click', handleHostGame);
     $('hostCodeInput').addEventListener('input', (e) => {
-        const value = e.target.value.replace(/\D/g, '').slice(0, 6);
-        e.target.value = value;
+        e.target.value = normalizeGameCode(e.target.value);
     });
 }
 
 async function handleWatchGame() {
     console.log('✓ handleWatchGame called');
-    const code = $('watchCodeInput').value.trim();
-    if (code.length !== 6) {
-        showToast('Enter a valid 6-digit code', 'error', 2000);
+    const code = normalizeGameCode($('watchCodeInput').value);
+    if (!isValidGameCode(code)) {
+        showToast('Enter a valid game code', 'error', 2000);
         return;
     }
     await joinSpectatorMode(code);
@@ -1405,16 +2524,22 @@ async function handleWatchGame() {
 async function handleHostGame() {
     console.log('✓ handleHostGame called');
     state.isHost = true;
-    let code = $('hostCodeInput').value.trim();
+    const code = normalizeGameCode($('hostCodeInput').value);
 
-    // Generate default code if empty
+    // Reserve a random code if none was entered
     if (code === "") {
-        code = generateGameCode();
-        showToast(`Generated random code: ${code}`, 'info', 2000);
+        try {
+            state.gameCode = await state.session.reserveCode();
+        } catch (e) {
+            return; // The session has told the host why
+        }
+        showToast(`Generated random code: ${state.gameCode}`, 'info', 2000);
+        showConfigurationView();
+        return;
     }
 
-    if (code.length !== 6 || !/^\d+$/.test(code)) {
-        showToast('Please enter a valid 6-digit code', 'error', 3000);
+    if (!isValidGameCode(code)) {
+        showToast('Please enter a valid game code', 'error', 3000);
         return;
     }
 
@@ -1427,20 +2552,20 @@ async function checkCodeAndProceed(code) {
     validationMsg.className = 'validation-message info';
     validationMsg.classList.remove('hidden');
 
-    const existingGame = await loadGameState(code);
+    const existingGame = await state.session.load(code);
 
     if (state.user) {
         // --- Logged-in Host ---
         if (existingGame) {
-            if (existingGame.hostId === state.user.uid) {
+            if (state.session.canHost(existingGame)) {
                 // It's THEIR game, let them resume
                 validationMsg.textContent = 'Resuming your existing game...';
                 validationMsg.className = 'validation-message success';
                 showToast('Resuming your existing game...', 'success', 2000);
                 
-                state.game = existingGame;
+                state.game = await state.session.resume(code);
                 state.gameCode = code;
-                state.gameType = existingGame.gameType;
+                state.gameType = state.game.gameType;
 
                 if (state.game.status === 'final') {
                     showToast('This game is finalized. Viewing stats.', 'info', 2000);
@@ -1458,9 +2583,7 @@ async function checkCodeAndProceed(code) {
             }
         } else {
             // Logged in host + new code = OK
-            validationMsg.classList.add('hidden');
-            state.gameCode = code;
-            showConfigurationView();
+            await reserveCodeAndProceed(code);
         }
     } else {
         // --- Free Host ---
@@ -1472,19 +2595,37 @@ async function checkCodeAndProceed(code) {
             return;
         } else {
             // Free host + new code = OK
-            validationMsg.classList.add('hidden');
-            state.gameCode = code;
-            showConfigurationView();
+            await reserveCodeAndProceed(code);
+        }
+    }
+}
+
+// Another host may claim the same code between the check above and now,
+// so the reservation has the final say
+async function reserveCodeAndProceed(code) {
+    const validationMsg = $('hostCodeValidation');
+    try {
+        state.gameCode = await state.session.reserveCode(code);
+    } catch (e) {
+        validationMsg.className = 'validation-message error';
+        if (e.code === 'already-exists') {
+            validationMsg.textContent = 'This code is already in use. Try another.';
+            showToast('Code already in use. Try another.', 'error', 3000);
+        } else {
+            validationMsg.textContent = 'Could not reserve this code. Check your connection and try again.';
         }
+        return;
     }
+    validationMsg.classList.add('hidden');
+    showConfigurationView();
 }
 
 async function handleWatchCodeInput() {
-    const value = $('watchCodeInput').value.replace(/\D/g, '').slice(0, 6);
+    const value = normalizeGameCode($('watchCodeInput').value);
     $('watchCodeInput').value = value;
-    $('watchGameBtn').disabled = value.length !== 6;
+    $('watchGameBtn').disabled = !isValidGameCode(value);
     
-    if (value.length === 6) {
+    if (isValidGameCode(value)) {
         await validateWatchCode(value);
     } else {
         $('watchCodeValidation').classList.add('hidden');
@@ -1498,7 +2639,7 @@ async function validateWatchCode(code) {
     message.className = 'validation-message info';
     message.classList.remove('hidden');
     
-    const gameExists = await loadGameState(code);
+    const gameExists = await state.session.load(code);
     
     if (gameExists) {
         message.textContent = 'Game found!';
@@ -1512,7 +2653,7 @@ async function validateWatchCode(code) {
 // --- UPDATED: Spectator View Logic ---
 async function joinSpectatorMode(code) {
     console.log('Joining spectator mode for code:', code);
-    const savedGame = await loadGameState(code);
+    const savedGame = await state.session.watch(code);
     if (!savedGame) {
         showToast('Game not found', 'error', 2000);
         if($('watchCodeValidation')) {
@@ -1559,38 +2700,25 @@ function showSpectatorView() {
     $('toggleViewClassic').onclick = toggleSpectatorView;
 
     // All controls are naturally hidden in this view
-    if(state.game) updateSpectatorView();
-
-    if (db && state.gameCode) {
-        if (state.firestoreListener) state.firestoreListener();
-        state.firestoreListener = db.collection('games').doc(state.gameCode)
-          .onSnapshot((doc) => {
-              console.log('SpectatorView received snapshot');
-              if (doc.exists) {
-                  state.game = doc.data();
-                  updateSpectatorView();
-                  const newState = state.game.gameState;
-                  if ((newState.gameRunning || newState.shotClockRunning) && !state.timers.masterTimer) {
-                      startMasterTimer();
-                  } else if (!newState.gameRunning && !newState.shotClockRunning && state.timers.masterTimer) {
-                      stopMasterTimer();
-                  }
-              } else {
-                  showToast('Game session has ended', 'error', 3000);
-              }
-          }, (error) => {
-              console.error("Error in Firestore listener:", error);
-              showToast('Connection lost', 'error', 3000);
-          });
+    if(state.game) {
+        updateSpectatorView();
+        syncMasterTimer(); // The clock may already be running
     }
+
+    state.session.subscribe((newGame) => {
+        console.log('SpectatorView received snapshot');
+        state.game = newGame;
+        updateSpectatorView();
+        syncMasterTimer();
+    });
 }
 // --- END: Spectator View Logic ---
 
-function showConfigurationView() {
+async function showConfigurationView() {
     console.log('✓ Showing configuration view');
     
     if (!state.gameCode) {
-        state.gameCode = generateGameCode();
+        state.gameCode = await state.session.reserveCode();
     }
     
     showView('config-view');
@@ -1617,6 +2745,20 @@ function setupConfigurationHandlers() {
     $('teamAColor').onchange = updateColorPreviews;
     $('teamBColor').onchange = updateColorPreviews;
 
+    $('rulesSelect').onchange = (e) => {
+        if (e.target.value !== 'custom') applyRulesetToForm(e.target.value);
+        updateRulesSummary();
+    };
+    // Changing any setting a ruleset fills in makes the rules custom
+    ['periodDurationSelect', 'overtimeDurationSelect', 'bonusFoulsSelect', 'foulOutSelect', 'timeoutDurationSelect', 'shotClockToggle'].forEach(id => {
+        $(id).onchange = () => { $('rulesSelect').value = 'custom'; updateRulesSummary(); };
+    });
+    $$('input[name="periodType"]').forEach(radio => {
+        radio.onchange = () => { $('rulesSelect').value = 'custom'; updateRulesSummary(); };
+    });
+    applyRulesetToForm($('rulesSelect').value === 'custom' ? $('rulesSelect').dataset.base : $('rulesSelect').value);
+    updateRulesSummary();
+
     const backBtn = $('backToLanding');
     if (backBtn) {
         backBtn.onclick = (e) => {
@@ -1631,12 +2773,10 @@ function setupConfigurationHandlers() {
         const config = gatherConfigurationData();
 
         if (validateConfiguration(config)) {
-            state.game = createGameSkeleton(state.gameCode, config);
-            saveGameState(); // Initial save
+            state.game = createGameSkeleton(config);
+            state.session.create(state.gameCode, state.game); // Initial save
             
-            if (state.user) {
-                updateUserProfileWithGame(state.gameCode);
-            } else {
+            if (!state.user) {
                 // Show guest disclaimer
                 showGuestHostModal();
             }
@@ -1651,21 +2791,52 @@ function setupConfigurationHandlers() {
     };
 }
 
+// Fills the config form in from a ruleset. Rules the form has no field for
+// (breaks, short shot clock, timeout allowances) come from the ruleset that was
+// picked last, which custom rules keep as their base.
+function applyRulesetToForm(id) {
+    const ruleset = RULESETS[id];
+    $('rulesSelect').dataset.base = id;
+    $$('input[name="periodType"]').forEach(radio => { radio.checked = radio.value === ruleset.periodType; });
+    $('periodDurationSelect').value = String(ruleset.periodDuration);
+    $('overtimeDurationSelect').value = String(ruleset.overtimeDuration);
+    $('bonusFoulsSelect').value = `${ruleset.bonusFouls}/${ruleset.doubleBonusFouls}`;
+    $('foulOutSelect').value = ruleset.foulOutLimit ? `${ruleset.foulOutLimit}/${ruleset.technicalsCountTowardFoulOut}` : '0/false';
+    $('timeoutDurationSelect').value = String(ruleset.timeoutDuration);
+    $('shotClockToggle').checked = ruleset.shotClockDuration > 0;
+}
+
+function updateRulesSummary() {
+    const summary = $('rulesSummary');
+    if (summary) summary.textContent = describeRuleset(gatherConfigurationData());
+}
+
 function gatherConfigurationData() {
-    // NEW: Read toggle switch
-    const shotClockEnabled = $('shotClockToggle').checked;
-    let shotClockDuration = shotClockEnabled ? 24 : 0; // Default to 24s if on, 0 if off.
+    const rules = $('rulesSelect').value;
+    const base = getRulesetSettings(rules === 'custom' ? $('rulesSelect').dataset.base : rules);
+    const periodType = document.querySelector('input[name="periodType"]:checked').value || base.periodType;
+    
+    const [bonusFouls, doubleBonusFouls] = $('bonusFoulsSelect').value.split('/').map(Number);
+    const [foulOutLimit, technicalsCount] = $('foulOutSelect').value.split('/');
     
     return {
+        ...base,
+        rules,
         gameName: $('gameNameInput').value.trim() || 'Basketball Game',
-        periodDuration: parseInt($('periodDurationSelect').value || '12'),
-        shotClockDuration: shotClockDuration,
-        timeoutsPerTeam: 7, 
+        bonusFouls,
+        doubleBonusFouls,
+        foulOutLimit: Number(foulOutLimit),
+        technicalsCountTowardFoulOut: technicalsCount === 'true',
+        periodDuration: parseInt($('periodDurationSelect').value) || base.periodDuration,
+        overtimeDuration: parseInt($('overtimeDurationSelect').value) || 0,
+        timeoutDuration: parseInt($('timeoutDurationSelect').value) || base.timeoutDuration,
+        shotClockDuration: $('shotClockToggle').checked ? base.shotClockDuration : 0,
         teamAName: $('teamAName').value.trim() || 'Team A',
         teamBName: $('teamBName').value.trim() || 'Team B',
         teamAColor: $('teamAColor').value || '#EA4335',
         teamBColor: $('teamBColor').value || '#4285F4',
-        periodType: document.querySelector('input[name="periodType"]:checked').value || 'quarter' // NEW
+        periodType,
+        periodCount: PERIOD_TYPES[periodType].count
     };
 }
 
@@ -1833,9 +3004,11 @@ function initializePlayerStats() {
         state.game[team].roster.forEach(player => {
             state.game[team].stats[player.number] = {
                 freeThrows: 0, fieldGoals: 0, threePointers: 0,
+                freeThrowAttempts: 0, twoPointAttempts: 0, threePointAttempts: 0,
                 offensiveRebounds: 0, defensiveRebounds: 0, assists: 0,
                 steals: 0, blocks: 0, turnovers: 0, fouls: 0,
-                minutes: 0, totalPoints: 0
+                technicalFouls: 0, unsportsmanlikeFouls: 0, disqualifyingFouls: 0,
+                playedMs: 0, plusMinus: 0, totalPoints: 0
             };
         });
     });
@@ -1865,6 +3038,12 @@ function showControlView() {
     
     // Update button text for shot clock
     $('resetShotClockFull').textContent = `${state.game.settings.shotClockDuration}s`;
+    $('resetShotClockShort').textContent = `${state.game.settings.shotClockReset}s`;
+    
+    // 3x3 has no 3-point shot
+    const format = getFormat(state.game.settings);
+    $$('.score-btn.btn--score-3').forEach(btn => { btn.style.display = format.shotPoints.threePointers === 3 ? '' : 'none'; });
+    $('setLineupBtn').textContent = getStartersLabel(state.game);
     
     $('controlGameCode').textContent = state.gameCode;
     $('copyControlCode').onclick = (e) => { e.preventDefault(); copyToClipboard(state.gameCode); };
@@ -1892,6 +3071,8 @@ function showControlView() {
     setupControlHandlers();
     updateControlDisplay();
     updateMasterStartButton();
+    showSyncStatus($('syncStatus'));
+    syncMasterTimer(); // A resumed game's clock keeps running after a reload
     setupAutoSave();
 
     // Hide finalize/export for guests, but show share
@@ -1900,37 +3081,27 @@ function showControlView() {
         $('exportGame').classList.add('hidden');
     }
 
-    if (db && state.isHost) { // Listen for both guests and logged-in hosts
-        if (state.firestoreListener) state.firestoreListener();
-
-        state.firestoreListener = db.collection('games').doc(state.gameCode)
-          .onSnapshot((doc) => {
-              console.log('ControlView received snapshot');
-              if (doc.exists) {
-                  const newGame = doc.data();
-                  if (!state.game || newGame.lastUpdate > state.game.lastUpdate) {
-                      state.game = newGame;
-                      updateControlDisplay();
-                      if (state.game.gameType === 'full') {
-                          setupPlayerScoringGrid();
-                          updateComprehensiveStatsTable();
-                      }
-                  }
-                  
-                  const newState = state.game.gameState;
-                  if ((newState.gameRunning || newState.shotClockRunning) && !state.timers.masterTimer) {
-                      startMasterTimer();
-                  } else if (!newState.gameRunning && !newState.shotClockRunning && state.timers.masterTimer) {
-                      stopMasterTimer();
-                  }
-              } else {
-                  showToast('Game session not found', 'error', 3000);
-              }
-          }, (error) => {
-              console.error("Error in Firestore listener:", error);
-              showToast('Connection lost', 'error', 3000);
-          });
+    // Listen for both guests and logged-in hosts
+    state.session.subscribe((newGame) => {
+        console.log('ControlView received snapshot');
+        state.game = newGame;
+        updateControlDisplay();
+        if (state.game.gameType === 'full') {
+            setupPlayerScoringGrid();
+            updateComprehensiveStatsTable();
+        }
+        syncMasterTimer();
+    });
+}
+
+// Starts or stops the local timer to match the running flags in state.game
+function syncMasterTimer() {
+    if (isTimerNeeded() && !state.timers.masterTimer) {
+        startMasterTimer();
+    } else if (!isTimerNeeded() && state.timers.masterTimer) {
+        stopMasterTimer();
     }
+    updateClockDisplays();
 }
 
 function setupPlayerScoringGrid() {
@@ -1940,34 +3111,47 @@ function setupPlayerScoringGrid() {
     grid.innerHTML = '';
     
     const roster = state.game[selectedTeam].roster;
+    updateLineupStatus(selectedTeam);
     if (roster.length === 0) {
         grid.innerHTML = '<p style="text-align: center; color: var(--color-text-secondary);">No players added yet</p>';
         return;
     }
     
-    roster.forEach(player => {
+    // Players on court first
+    const onCourt = getOnCourt(state.game, selectedTeam);
+    const ordered = [...roster].sort((a, b) => onCourt.includes(String(b.number)) - onCourt.includes(String(a.number)));
+    const format = getFormat(state.game.settings);
+    const shots = Object.keys(format.shotPoints);
+    ordered.forEach(player => {
         const stats = state.game[selectedTeam].stats[player.number] || { totalPoints: 0, freeThrows: 0, fieldGoals: 0, threePointers: 0, offensiveRebounds: 0, defensiveRebounds: 0, assists: 0, steals: 0, blocks: 0, turnovers: 0, fouls: 0 };
         const totalRebounds = stats.offensiveRebounds + stats.defensiveRebounds;
+        const shooting = getShootingStats(stats, state.game.settings);
         
         const card = document.createElement('div');
         card.className = 'player-score-card';
+        card.classList.toggle('on-court', onCourt.includes(String(player.number)));
+        const foulStatus = getFoulStatus(state.game, stats);
+        card.classList.toggle('disqualified', !!foulStatus);
         card.innerHTML = `
             <div class="player-info">
                 <div class="player-number">${player.number}</div>
                 <div class="player-name">${player.name}</div>
+                ${foulStatus ? `<span class="player-foul-status">${FOUL_STATUS_NAMES[foulStatus]}</span>` : ''}
             </div>
             <div class="player-stats">
-                ${stats.totalPoints} PTS • ${stats.freeThrows} FT • ${stats.fieldGoals} 2PT • ${stats.threePointers} 3PT<br>
-                ${totalRebounds} REB • ${stats.assists} AST • ${stats.steals} STL • ${stats.blocks} BLK • ${stats.turnovers} TO
+                ${stats.totalPoints} PTS • FG ${shooting.fieldGoalsMade}/${shooting.fieldGoalAttempts} • ${format.shotNames.threePointers} ${shooting.threeMade}/${shooting.threeAttempts} • FT ${shooting.freeThrowsMade}/${shooting.freeThrowAttempts}<br>
+                ${totalRebounds} REB • ${stats.assists} AST • ${stats.steals} STL • ${stats.blocks} BLK • ${stats.turnovers} TO • ${stats.fouls} PF
             </div>
             <div class="player-scoring-buttons">
-                <button class="btn btn--sm btn--score-pts" data-team="${selectedTeam}" data-player="${player.number}" data-stat="freeThrows" data-points="1">+1</button>
-                <button class="btn btn--sm btn--score-pts" data-team="${selectedTeam}" data-player="${player.number}" data-stat="fieldGoals" data-points="2">+2</button>
-                <button class="btn btn--sm btn--score-pts" data-team="${selectedTeam}" data-player="${player.number}" data-stat="threePointers" data-points="3">+3</button>
+                ${shots.map(shot => `<button class="btn btn--sm btn--score-pts" data-team="${selectedTeam}" data-player="${player.number}" data-stat="${shot}" data-points="${format.shotPoints[shot]}" title="Made ${format.shotNames[shot]}">+${format.shotButtons[shot]}</button>`).join('')}
+                ${shots.map(shot => `<button class="btn btn--sm btn--score-miss" data-team="${selectedTeam}" data-player="${player.number}" data-stat="${shot}" data-miss="true" title="Missed ${format.shotNames[shot]}">✗${format.shotButtons[shot]}</button>`).join('')}
                 <button class="btn btn--sm btn--score-reb" data-team="${selectedTeam}" data-player="${player.number}" data-stat="defensiveRebounds">+REB</button>
                 <button class="btn btn--sm btn--score-to" data-team="${selectedTeam}" data-player="${player.number}" data-stat="turnovers">+TO</button>
+                <button class="btn btn--sm btn--score-foul" data-team="${selectedTeam}" data-player="${player.number}" data-stat="fouls">+PF</button>
             </div>
         `;
+        // Players who can't play any more can't score either
+        if (foulStatus) card.querySelectorAll('.player-scoring-buttons .btn').forEach(btn => { btn.disabled = true; });
         grid.appendChild(card);
     });
     
@@ -1975,11 +3159,13 @@ function setupPlayerScoringGrid() {
     $$('#playerScoringGrid .player-scoring-buttons .btn').forEach(btn => {
         btn.onclick = () => {
             const points = parseInt(btn.dataset.points) || 0;
-            if (points > 0) {
+            if (btn.dataset.miss) {
+                logShot(btn.dataset.team, btn.dataset.player, btn.dataset.stat, false);
+            } else if (points > 0) {
                 // It's a score button
-                addPlayerScore(btn.dataset.team, btn.dataset.player, btn.dataset.stat, points);
+                logShot(btn.dataset.team, btn.dataset.player, btn.dataset.stat, true);
             } else {
-                // It's a stat-only button (REB or TO)
+                // It's a stat-only button (REB, TO or PF)
                 addPlayerStat(btn.dataset.team, btn.dataset.player, btn.dataset.stat);
             }
         };
@@ -2021,59 +3207,681 @@ function setupQuickStatControls() {
                 showToast('Select a player first', 'warning', 2000);
                 return;
             }
-            addPlayerStat(selectedTeam, playerNumber, statType);
+            if (e.target.dataset.foul) {
+                addPlayerFoul(selectedTeam, playerNumber, e.target.dataset.foul);
+            } else {
+                addPlayerStat(selectedTeam, playerNumber, statType);
+            }
         };
     });
 }
 
-function addPlayerScore(team, playerNumber, statType, points) {
+function addPlayerScore(team, playerNumber, statType, points, location = null) {
     if (!state.game || !state.isHost || !state.game[team].stats[playerNumber]) return;
     
     const playerName = state.game[team].roster.find(p => p.number == playerNumber)?.name || `#${playerNumber}`;
-    snapshotState(`+${points}pts for ${playerName}`); // Log for undo
-
-    const playerStats = state.game[team].stats[playerNumber];
-    
-    playerStats[statType]++;
-    playerStats.totalPoints += points;
-    state.game[team].score += points;
+    const payload = { team, player: playerNumber, stat: statType, points, ...(location ? { location } : {}) };
+    const wasDecided = !!getSuddenWinner(state.game, state.session.events);
+    recordEvent('point', payload, `+${points}pts for ${playerName}`);
     
     showScoreAnimation(points, team);
     setupPlayerScoringGrid();
     updateControlDisplay();
     updateTopScorerDisplay();
     updateComprehensiveStatsTable();
-    saveGameState();
     
-    const statDisplay = statType === 'freeThrows' ? 'Free Throw' : 
-                          statType === 'fieldGoals' ? 'Field Goal' : '3-Pointer';
-    showToast(`+${points} ${statDisplay} for ${playerName}`, 'success', 1500);
+    showToast(`+${points} ${getShotName(state.game, statType)} for ${playerName}`, 'success', 1500);
+    if (!wasDecided) checkSuddenWin();
 }
 
 function addPlayerStat(team, playerNumber, statType) {
     if (!state.game || !state.isHost || !state.game[team].stats[playerNumber]) return;
 
-    const statNames = {
-        'offensiveRebounds': 'Off. Rebound', 'defensiveRebounds': 'Def. Rebound', 
-        'assists': 'Assist', 'steals': 'Steal', 'blocks': 'Block',
-        'turnovers': 'Turnover', 'fouls': 'Personal Foul'
-    };
     const playerName = state.game[team].roster.find(p => p.number == playerNumber)?.name || `#${playerNumber}`;
-    snapshotState(`${statNames[statType]} for ${playerName}`); // Log for undo
+    const label = `${STAT_NAMES[statType]} for ${playerName}`;
 
-    const playerStats = state.game[team].stats[playerNumber];    
-    playerStats[statType]++;
-    
-    if(statType === 'fouls') {
-        state.game[team].fouls++; 
+    if (statType === 'fouls') {
+        addPlayerFoul(team, playerNumber, 'personal');
+        return;
     }
+    recordEvent('stat', { team, player: playerNumber, stat: statType }, label);
     
     setupPlayerScoringGrid();
     updateComprehensiveStatsTable();
-    updateControlDisplay(); 
-    saveGameState();
+    updateControlDisplay();
     
-    showToast(`${statNames[statType]} for ${playerName}`, 'success', 1500);
+    showToast(`${STAT_NAMES[statType]} for ${playerName}`, 'success', 1500);
+}
+
+// ================== FOULS ==================
+
+/**
+ * Whether a player can no longer play: 'fouled-out' at the foul-out limit,
+ * 'ejected' after a disqualifying foul or two technical/unsportsmanlike
+ * fouls, otherwise null
+ */
+function getFoulStatus(game, stats) {
+    if (!stats) return null;
+    const technicals = (stats.technicalFouls || 0) + (stats.unsportsmanlikeFouls || 0);
+    if ((stats.disqualifyingFouls || 0) > 0 || technicals >= 2) return 'ejected';
+    if (game.settings.foulOutLimit && stats.fouls >= game.settings.foulOutLimit) return 'fouled-out';
+    return null;
+}
+
+const FOUL_STATUS_NAMES = { 'fouled-out': 'Fouled out', 'ejected': 'Ejected' };
+
+function isDisqualified(game, team, number) {
+    return !!getFoulStatus(game, game[team].stats[number]);
+}
+
+function addPlayerFoul(team, playerNumber, foulType) {
+    if (!state.game || !state.isHost || !state.game[team].stats[playerNumber]) return;
+
+    const playerLabel = getPlayerLabel(state.game, team, playerNumber);
+    const foulName = FOUL_TYPES[foulType].name;
+    const wasOut = isDisqualified(state.game, team, playerNumber);
+    recordEvent('foul', { team, player: playerNumber, foulType }, `${foulName} for ${playerLabel}`);
+
+    setupPlayerScoringGrid();
+    updateComprehensiveStatsTable();
+    updateControlDisplay();
+
+    const status = getFoulStatus(state.game, state.game[team].stats[playerNumber]);
+    if (status && !wasOut) {
+        showToast(`${playerLabel}: ${FOUL_STATUS_NAMES[status]}`, 'error', 4000);
+        // Make the host replace them straight away
+        if (getOnCourt(state.game, team).includes(String(playerNumber))) {
+            showSubstitutionModal(team, String(playerNumber));
+        }
+        return;
+    }
+    const fouls = state.game[team].stats[playerNumber].fouls;
+    showToast(`${foulName} for ${playerLabel} (${fouls} PF)`, 'success', 1500);
+}
+
+// Coach or bench technical: no player is charged, the team foul count goes up
+function addBenchTechnical(team) {
+    if (!state.game || !state.isHost) return;
+    recordEvent('foul', { team, foulType: 'technical', bench: true }, `Bench Technical for ${state.game[team].name}`);
+    updateControlDisplay();
+    const count = state.game[team].benchTechnicals;
+    showToast(`Bench technical: ${state.game[team].name} (${count})`, count >= 2 ? 'error' : 'warning', 3000);
+}
+
+// ================== SUDDEN WIN (3x3) ==================
+// 3x3 can end before the clock does: the first team to the format's
+// winningScore wins in regulation, and overtime isn't timed but goes to the
+// first team to score overtimeTarget points.
+
+function isPeriodTimed(game) {
+    return getPeriodLengthMs(game, game.gameState.period) > 0;
+}
+
+// Points a team scored after regulation, read from the event log
+function getOvertimePoints(game, events, team) {
+    return getActiveEvents(events)
+        .filter(event => event.type === 'point' && event.payload.team === team && event.clock?.period > game.settings.periodCount)
+        .reduce((total, event) => total + event.payload.points, 0);
+}
+
+/**
+ * The team that has won outright, or null
+ */
+function getSuddenWinner(game, events) {
+    const { winningScore, overtimeTarget } = getFormat(game.settings);
+    const inOvertime = game.gameState.period > game.settings.periodCount;
+    return ['teamA', 'teamB'].find(team => inOvertime
+        ? overtimeTarget > 0 && getOvertimePoints(game, events, team) >= overtimeTarget
+        : winningScore > 0 && game[team].score >= winningScore) || null;
+}
+
+function promptGameOver(winner, message) {
+    showConfirmation('Game Over', `${state.game[winner].name} wins`, message, 'Finalize Game', finalizeGame);
+}
+
+// Stops the clocks and offers to finalize once a score decides the game
+function checkSuddenWin() {
+    const winner = getSuddenWinner(state.game, state.session.events);
+    if (!winner) return;
+    const { winningScore, overtimeTarget } = getFormat(state.game.settings);
+    const { clocks } = state.game.gameState;
+    pauseClock(clocks.game);
+    pauseClock(clocks.shot);
+    stopMasterTimer();
+    saveGameState();
+    promptGameOver(winner, state.game.gameState.period > state.game.settings.periodCount
+        ? `${state.game[winner].name} scored ${overtimeTarget} points first in overtime.`
+        : `${state.game[winner].name} reached ${winningScore} points.`);
+}
+
+// ================== PERIOD TRANSITIONS ==================
+// When the game clock runs out the buzzer sounds. Inside regulation the next
+// period is set up straight away and the break before it counts down. At the
+// end of regulation or an overtime a tie offers overtime, anything else
+// offers to finalize the game.
+const BUZZER_KEY = 'basketballBuzzer';
+
+function soundBuzzer(options) {
+    if ($('buzzerToggle')?.checked) playBuzzer(options);
+}
+
+// The break before a period: halftime before the second half, otherwise
+// the interval between periods (also before each overtime)
+function getIntervalMs(game, period) {
+    const { intervalDuration, halftimeDuration } = game.settings;
+    return toMs(period === getSecondHalfPeriod(game.settings) ? halftimeDuration : intervalDuration);
+}
+
+function getIntervalLabel(game) {
+    return game.gameState.period === getSecondHalfPeriod(game.settings) ? 'Halftime' : 'Break';
+}
+
+function endInterval() {
+    if (!state.game || !state.isHost) return;
+    const { interval } = state.game.gameState.clocks;
+    pauseClock(interval);
+    setClock(interval, 0);
+    updateClockDisplays();
+    saveGameState();
+}
+
+function handlePeriodEnd() {
+    const { period } = state.game.gameState;
+    const { periodCount } = state.game.settings;
+    if (period < periodCount) {
+        nextPeriodFunc();
+        return;
+    }
+    const { teamA, teamB } = state.game;
+    const ended = period > periodCount ? 'Overtime' : 'Regulation';
+    if (teamA.score === teamB.score) {
+        showConfirmation('Tied Game', `${ended} ended tied ${teamA.score}–${teamB.score}`,
+            'Start overtime? The break before it starts counting down.', 'Start Overtime', nextPeriodFunc);
+        return;
+    }
+    const winner = teamA.score > teamB.score ? 'teamA' : 'teamB';
+    promptGameOver(winner, `${ended} ended ${teamA.score}–${teamB.score}.`);
+}
+
+// ================== TIMEOUTS ==================
+// A called timeout is a 'timeout' event like the -/+ counter's, with
+// `called: true`, so it is in the play-by-play with its game time. The
+// timeout clock lives on the document: it stops play and sounds the horn
+// TIMEOUT_WARNING_SECONDS before the end and again when it runs out.
+
+// Timeouts a team has called in the closing minutes of the last regulation
+// period, which some rulesets cap (settings.timeouts.lateLimit). Corrections
+// made with the -/+ counter aren't calls and don't count.
+function getLateTimeouts(game, events, team) {
+    const { lateLimit } = game.settings.timeouts;
+    if (!lateLimit) return 0;
+    return getActiveEvents(events).filter(event => event.type === 'timeout'
+        && event.payload.team === team
+        && event.payload.called
+        && event.clock?.period === game.settings.periodCount
+        && event.clock.remainingMs <= toMs(lateLimit.minutes)).length;
+}
+
+// Why a team can't call a timeout now, or null if it can
+function getTimeoutBlocker(game, events, team) {
+    const { period, clocks } = game.gameState;
+    if (clocks.timeout.running) return 'A timeout is already running';
+    if (game[team].timeouts <= 0) return `${game[team].name} have no timeouts left`;
+    const { lateLimit } = game.settings.timeouts;
+    if (lateLimit && period === game.settings.periodCount
+        && clockRemaining(clocks.game) <= toMs(lateLimit.minutes)
+        && getLateTimeouts(game, events, team) >= lateLimit.max) {
+        return `Only ${lateLimit.max} timeouts are allowed in the last ${lateLimit.minutes} minutes`;
+    }
+    return null;
+}
+
+function callTimeout(team) {
+    if (!state.game || !state.isHost) return;
+    const blocker = getTimeoutBlocker(state.game, state.session.events, team);
+    if (blocker) {
+        showToast(blocker, 'warning', 2500);
+        return;
+    }
+    const { clocks } = state.game.gameState;
+    pauseClock(clocks.game);
+    pauseClock(clocks.shot);
+    const event = recordEvent('timeout', { team, delta: -1, called: true }, `Timeout: ${state.game[team].name}`);
+    state.game.gameState.timeoutTeam = team;
+    state.game.gameState.timeoutEventId = event?.id ?? null;
+    state.timeoutWarned = false;
+    setClock(clocks.timeout, state.game.settings.timeoutDuration * 1000);
+    startClock(clocks.timeout);
+    startMasterTimer();
+    updateControlDisplay();
+    saveGameState();
+    showToast(`Timeout: ${state.game[team].name}`, 'info', 1500);
+}
+
+// Stops the timeout clock (the caller saves)
+function clearTimeoutClock() {
+    const { gameState } = state.game;
+    pauseClock(gameState.clocks.timeout);
+    setClock(gameState.clocks.timeout, 0);
+    gameState.timeoutTeam = null;
+    gameState.timeoutEventId = null;
+}
+
+// Stops the timeout clock if the call that started it has been undone.
+// Returns true if it did (the caller saves).
+function clearUndoneTimeout() {
+    const { timeoutEventId } = state.game.gameState;
+    if (!timeoutEventId) return false;
+    if (getActiveEvents(state.session.events).some(event => event.id === timeoutEventId)) return false;
+    clearTimeoutClock();
+    return true;
+}
+
+function endTimeout() {
+    if (!state.game || !state.isHost) return;
+    clearTimeoutClock();
+    updateClockDisplays();
+    saveGameState();
+}
+
+// Runs on each host tick while the timeout clock runs
+function checkTimeoutClock() {
+    const remaining = clockRemaining(state.game.gameState.clocks.timeout);
+    if (remaining <= 0) {
+        clearTimeoutClock();
+        soundBuzzer();
+        showToast('Timeout over', 'info', 2000);
+        saveGameState();
+    } else if (remaining <= TIMEOUT_WARNING_SECONDS * 1000 && !state.timeoutWarned) {
+        state.timeoutWarned = true;
+        soundBuzzer({ durationMs: 500, frequency: 330 });
+    }
+}
+
+// ================== LINEUPS & PLAYING TIME ==================
+// Who is on court comes from 'lineup' and 'sub' events (see EVENT REDUCER),
+// so substitutions can be undone like anything else.
+
+// Player numbers (as strings) on court for a team
+function getOnCourt(game, team) {
+    return Object.keys(game.gameState.onCourt?.[team] || {});
+}
+
+// Playing time so far, including the current stint of a player on court
+function getPlayedMs(game, team, number) {
+    const played = game[team].stats[number]?.playedMs || 0;
+    const since = game.gameState.onCourt?.[team]?.[number];
+    return since ? played + getElapsedMs(game, since, reducer.clock(game)) : played;
+}
+
+// "23:41"
+function formatMinutes(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    return `${Math.floor(totalSeconds / 60)}:${(totalSeconds % 60).toString().padStart(2, '0')}`;
+}
+
+// Called on every clock tick, so it only touches the MIN cells
+function updateMinutesDisplay() {
+    if (!state.isHost || state.view !== 'control-view' || state.game.gameType !== 'full') return;
+    const team = $('statTeamSelect').value || 'teamA';
+    $$('#comprehensiveStatsTableBody [data-minutes]').forEach(cell => {
+        cell.textContent = formatMinutes(getPlayedMs(state.game, team, cell.dataset.minutes));
+    });
+}
+
+function getStartersLabel(game) {
+    return getFormat(game.settings).lineupSize === 3 ? 'Starting Three' : 'Starting Five';
+}
+
+function updateLineupStatus(team) {
+    const status = $('lineupStatus');
+    if (!status) return;
+    const onCourt = getOnCourt(state.game, team);
+    status.textContent = onCourt.length > 0
+        ? `On court: ${onCourt.map(number => getPlayerLabel(state.game, team, number)).join(', ')}`
+        : `No lineup set for ${state.game[team].name}. Set the ${getStartersLabel(state.game).toLowerCase()} to track minutes.`;
+}
+
+function showLineupModal(team) {
+    if (!state.game || !state.isHost) return;
+    const roster = state.game[team].roster;
+    const onCourt = getOnCourt(state.game, team);
+    const size = Math.min(getFormat(state.game.settings).lineupSize, roster.length);
+
+    $('lineupTitle').textContent = onCourt.length > 0 ? `${state.game[team].name} Lineup` : `${state.game[team].name} ${getStartersLabel(state.game)}`;
+    $('lineupChoices').innerHTML = roster.map(player => `
+        <label class="lineup-choice">
+            <input type="checkbox" value="${player.number}" ${onCourt.includes(String(player.number)) ? 'checked' : ''} ${isDisqualified(state.game, team, player.number) ? 'disabled' : ''}>
+            #${player.number} ${player.name}
+        </label>
+    `).join('');
+
+    $('lineupModal').classList.remove('hidden');
+    $('cancelLineup').onclick = () => $('lineupModal').classList.add('hidden');
+    $('saveLineup').onclick = () => {
+        const players = Array.from($$('#lineupChoices input:checked')).map(input => input.value);
+        if (players.length !== size) {
+            showToast(`Pick ${size} players`, 'error', 2000);
+            return;
+        }
+        recordEvent('lineup', { team, players }, `${state.game[team].name} lineup set`);
+        $('lineupModal').classList.add('hidden');
+        setupPlayerScoringGrid();
+        updateComprehensiveStatsTable();
+        updateControlDisplay();
+        showToast('Lineup saved', 'success', 1500);
+    };
+}
+
+function showSubstitutionModal(team, playerOut = null) {
+    if (!state.game || !state.isHost) return;
+    const onCourt = getOnCourt(state.game, team);
+    if (onCourt.length === 0) {
+        showToast(`Set the ${getStartersLabel(state.game).toLowerCase()} first`, 'warning', 2000);
+        showLineupModal(team);
+        return;
+    }
+    const bench = state.game[team].roster.filter(player =>
+        !onCourt.includes(String(player.number)) && !isDisqualified(state.game, team, player.number));
+    if (bench.length === 0) {
+        showToast('No players on the bench', 'warning', 2000);
+        return;
+    }
+
+    const toOption = player => `<option value="${player.number}">#${player.number} ${player.name}</option>`;
+    $('substitutionTitle').textContent = `${state.game[team].name} Substitution`;
+    $('substitutionOut').innerHTML = state.game[team].roster.filter(player => onCourt.includes(String(player.number))).map(toOption).join('');
+    $('substitutionIn').innerHTML = bench.map(toOption).join('');
+    if (playerOut) $('substitutionOut').value = playerOut;
+
+    $('substitutionModal').classList.remove('hidden');
+    $('cancelSubstitution').onclick = () => $('substitutionModal').classList.add('hidden');
+    $('confirmSubstitution').onclick = () => {
+        substitute(team, $('substitutionOut').value, $('substitutionIn').value);
+        $('substitutionModal').classList.add('hidden');
+    };
+}
+
+function substitute(team, playerOut, playerIn) {
+    const outLabel = getPlayerLabel(state.game, team, playerOut);
+    const inLabel = getPlayerLabel(state.game, team, playerIn);
+    recordEvent('sub', { team, out: playerOut, in: playerIn }, `Sub: ${inLabel} for ${outLabel}`);
+    setupPlayerScoringGrid();
+    updateComprehensiveStatsTable();
+    updateControlDisplay();
+    showToast(`${inLabel} in, ${outLabel} out`, 'success', 1500);
+}
+
+// ================== SHOOTING ==================
+
+/**
+ * Shooting totals and percentages for one player's stats, or for a sum of
+ * them (see getTeamShooting). Percentages are null when nothing was attempted.
+ */
+function getShootingStats(stats, settings) {
+    const { shotPoints } = getFormat(settings);
+    const threeMade = stats.threePointers || 0;
+    const fieldGoalsMade = (stats.fieldGoals || 0) + threeMade;
+    const fieldGoalAttempts = (stats.twoPointAttempts || 0) + (stats.threePointAttempts || 0);
+    const freeThrowAttempts = stats.freeThrowAttempts || 0;
+    const points = stats.totalPoints || 0;
+    const ratio = (made, attempts) => attempts > 0 ? made / attempts : null;
+    return {
+        fieldGoalsMade,
+        fieldGoalAttempts,
+        fieldGoalPct: ratio(fieldGoalsMade, fieldGoalAttempts),
+        threeMade,
+        threeAttempts: stats.threePointAttempts || 0,
+        threePct: ratio(threeMade, stats.threePointAttempts || 0),
+        freeThrowsMade: stats.freeThrows || 0,
+        freeThrowAttempts,
+        freeThrowPct: ratio(stats.freeThrows || 0, freeThrowAttempts),
+        // eFG% counts a shot behind the arc for its extra point: a three is
+        // one and a half field goals, a 3x3 two is two
+        effectiveFieldGoalPct: ratio(fieldGoalsMade + (shotPoints.threePointers / shotPoints.fieldGoals - 1) * threeMade, fieldGoalAttempts),
+        // TS% is points per shot worth a field goal inside the arc, with free
+        // throws weighed in: 0.44 FTA is roughly one possession
+        trueShootingPct: ratio(points, shotPoints.fieldGoals * (fieldGoalAttempts + 0.44 * freeThrowAttempts))
+    };
+}
+
+// Sums every player's shooting for a team
+function getTeamShooting(game, team) {
+    const totals = {};
+    Object.values(game[team].stats || {}).forEach(playerStats => {
+        ['fieldGoals', 'threePointers', 'freeThrows', 'totalPoints', ...Object.values(ATTEMPT_FIELDS)].forEach(field => {
+            totals[field] = (totals[field] || 0) + (playerStats[field] || 0);
+        });
+    });
+    return getShootingStats(totals, game.settings);
+}
+
+// Column headers for the shot behind the arc, e.g. 3PTM, 3PTA and 3PT% (2PT in 3x3)
+function getLongShotHeaders(game) {
+    const name = getShotName(game, 'threePointers');
+    return [`${name}M`, `${name}A`, `${name}%`];
+}
+
+// "45.5%", or "-" with no attempts
+function formatPercent(value) {
+    return value === null ? '-' : `${(value * 100).toFixed(1)}%`;
+}
+
+function addPlayerMiss(team, playerNumber, statType, location = null) {
+    if (!state.game || !state.isHost || !state.game[team].stats[playerNumber]) return;
+
+    const playerName = state.game[team].roster.find(p => p.number == playerNumber)?.name || `#${playerNumber}`;
+    const payload = { team, player: playerNumber, stat: statType, ...(location ? { location } : {}) };
+    recordEvent('miss', payload, `${getShotName(state.game, statType)} miss for ${playerName}`);
+
+    setupPlayerScoringGrid();
+    updateComprehensiveStatsTable();
+    updateControlDisplay();
+    showToast(`${getShotName(state.game, statType)} missed by ${playerName}`, 'info', 1500);
+}
+
+// ================== SHOT CHART ==================
+// Field goals can carry the spot they were taken from (see
+// basketball-shot-chart.js). Free throws never ask.
+const SHOT_LOCATIONS_KEY = 'basketballShotLocations';
+
+// Logs a made or missed shot, first asking where it was taken if the host
+// has shot locations turned on
+function logShot(team, playerNumber, statType, made) {
+    const record = location => made
+        ? addPlayerScore(team, playerNumber, statType, getShotPoints(state.game, statType), location)
+        : addPlayerMiss(team, playerNumber, statType, location);
+
+    if (statType === 'freeThrows' || !$('trackShotLocations').checked) {
+        record(null);
+        return;
+    }
+    showShotLocationModal(team, playerNumber, statType, made, record);
+}
+
+function showShotLocationModal(team, playerNumber, statType, made, record) {
+    const modal = $('shotLocationModal');
+    $('shotLocationTitle').textContent = `${getPlayerLabel(state.game, team, playerNumber)}: ${getShotName(state.game, statType)} ${made ? 'made' : 'missed'}`;
+    $('shotLocationCourt').innerHTML = renderShotChart([], { color: state.game[team].color });
+    modal.classList.remove('hidden');
+
+    const close = () => modal.classList.add('hidden');
+    $('shotLocationCourt').querySelector('svg').onclick = (e) => {
+        const location = getClickLocation(e.currentTarget, e.clientX, e.clientY);
+        close();
+        record(location);
+        if (isThreePointLocation(location) !== (statType === 'threePointers')) {
+            showToast(`Logged as ${getShotName(state.game, statType)}, but the spot is ${isThreePointLocation(location) ? 'behind' : 'inside'} the arc`, 'warning', 3000);
+        }
+    };
+    $('skipShotLocation').onclick = () => { close(); record(null); };
+    $('cancelShotLocation').onclick = close;
+}
+
+/**
+ * Located shots for a team (or one player), from the event log
+ * @returns {{ made: boolean, location: object, player: string }[]}
+ */
+function getShots(events, team, player = null) {
+    return getActiveEvents(events)
+        .filter(event => (event.type === 'point' || event.type === 'miss')
+            && event.payload.location
+            && event.payload.team === team
+            && (player === null || event.payload.player == player))
+        .map(event => ({ made: event.type === 'point', location: event.payload.location, player: event.payload.player }));
+}
+
+// A court with the shots on it and a made/attempted line per zone
+function renderShotChartPanel(container, team, player = null) {
+    if (!container || !state.game) return;
+    const shots = getShots(state.session.events, team, player);
+    const zones = summarizeZones(shots).map(zone => `
+        <tr>
+            <td>${zone.name}</td>
+            <td>${zone.made}/${zone.attempts}</td>
+            <td>${formatPercent(zone.attempts > 0 ? zone.made / zone.attempts : null)}</td>
+        </tr>`).join('');
+    container.innerHTML = `
+        ${renderShotChart(shots, { color: state.game[team].color })}
+        <table class="shot-zone-table">
+            <thead><tr><th>Zone</th><th>FG</th><th>%</th></tr></thead>
+            <tbody>${zones}</tbody>
+        </table>`;
+}
+
+function updateShotChartTab(team) {
+    const select = $('shotChartPlayer');
+    const selected = select.dataset.team === team ? select.value : '';
+    select.dataset.team = team;
+    select.innerHTML = `<option value="">All ${state.game[team].name}</option>` + state.game[team].roster
+        .map(player => `<option value="${player.number}">#${player.number} ${player.name}</option>`)
+        .join('');
+    select.value = selected;
+    renderShotChartPanel($('shotChartPanel'), team, select.value || null);
+}
+
+function downloadShotChart() {
+    const team = $('statTeamSelect').value || 'teamA';
+    const player = $('shotChartPlayer').value;
+    const svg = $('shotChartPanel').querySelector('svg');
+    if (!svg) return;
+    const who = player ? getPlayerLabel(state.game, team, player) : state.game[team].name;
+    const fileName = `${state.game.settings.gameName}_${who}_Shot_Chart.png`.replace(/[\s#]+/g, '_');
+    downloadShotChartPng(svg, fileName)
+        .then(() => showToast('Shot chart downloaded', 'success', 2000))
+        .catch(error => { console.error('Shot chart export error:', error); showToast('Export failed', 'error', 2000); });
+}
+
+// Both teams' charts on the spectator screens (full games only)
+function updateViewerShotCharts() {
+    const isFull = state.game.gameType === 'full';
+    $$('.shot-chart-feed').forEach(section => section.classList.toggle('hidden', !isFull));
+    if (!isFull) return;
+    const prefix = state.view === 'viewer-view-classic' ? 'classicViewer' : 'viewer';
+    renderShotChartPanel($(`${prefix}ShotChartA`), 'teamA');
+    renderShotChartPanel($(`${prefix}ShotChartB`), 'teamB');
+}
+
+// ================== ANALYTICS ==================
+// Player +/- is kept by the reducer. Lineup numbers need the order things
+// happened in, so they are worked out from the event log when shown.
+
+const LINEUP_NET_PER_MS = toMs(10); // NET/10: margin per 10 minutes played
+
+function getLineupKey(game, team) {
+    return getOnCourt(game, team).sort((a, b) => a - b).join(',');
+}
+
+/**
+ * Minutes, points for and points against for every lineup that has played.
+ * @returns {{ teamA: object[], teamB: object[] }} Lineups, most minutes first
+ */
+function buildLineupAnalytics(game, events) {
+    const scratch = JSON.parse(JSON.stringify(game));
+    reducer.reset(scratch);
+    const lineups = { teamA: {}, teamB: {} };
+    const current = { teamA: null, teamB: null }; // { key, since }
+
+    const getLineup = (team, key) => {
+        if (!lineups[team][key]) lineups[team][key] = { players: key.split(','), playedMs: 0, pointsFor: 0, pointsAgainst: 0 };
+        return lineups[team][key];
+    };
+    const endStint = (team, clock) => {
+        if (!current[team]) return;
+        getLineup(team, current[team].key).playedMs += getElapsedMs(scratch, current[team].since, clock);
+        current[team] = null;
+    };
+
+    getActiveEvents(events).forEach(event => {
+        const { team } = event.payload;
+        const opponent = team === 'teamA' ? 'teamB' : 'teamA';
+        const scoreBefore = event.type === 'point' ? scratch[team].score : 0;
+        reducer.apply(scratch, event);
+
+        if (event.type === 'point') {
+            const change = scratch[team].score - scoreBefore;
+            if (current[team]) getLineup(team, current[team].key).pointsFor += change;
+            if (current[opponent]) getLineup(opponent, current[opponent].key).pointsAgainst += change;
+        } else if (event.type === 'lineup' || event.type === 'sub') {
+            endStint(team, event.clock);
+            const key = getLineupKey(scratch, team);
+            if (key) current[team] = { key, since: event.clock };
+        }
+    });
+
+    // Lineups on court now are still playing
+    const now = reducer.clock(game);
+    return Object.fromEntries(['teamA', 'teamB'].map(team => {
+        endStint(team, now);
+        return [team, Object.values(lineups[team]).sort((a, b) => b.playedMs - a.playedMs)];
+    }));
+}
+
+function formatPlusMinus(value) {
+    return value > 0 ? `+${value}` : `${value}`;
+}
+
+function getLineupNet(lineup) {
+    if (lineup.playedMs === 0) return '-';
+    return ((lineup.pointsFor - lineup.pointsAgainst) * LINEUP_NET_PER_MS / lineup.playedMs).toFixed(1);
+}
+
+function showStatsTab(tabId) {
+    $$('.stats-tab-btn').forEach(btn => btn.classList.toggle('active', btn.dataset.tab === tabId));
+    $('statsTabPlayers').classList.toggle('hidden', tabId !== 'statsTabPlayers');
+    $('statsTabAnalytics').classList.toggle('hidden', tabId !== 'statsTabAnalytics');
+    updateAnalyticsTab();
+}
+
+function updateAnalyticsTab() {
+    if (!state.game || state.game.gameType !== 'full' || $('statsTabAnalytics').classList.contains('hidden')) return;
+    const team = $('statTeamSelect').value || 'teamA';
+    updateShotChartTab(team);
+
+    $('plusMinusTableBody').innerHTML = state.game[team].roster.map(player => {
+        const stats = state.game[team].stats[player.number] || { totalPoints: 0, plusMinus: 0 };
+        return `
+            <tr>
+                <td>${player.number}</td>
+                <td style="text-align: left; padding-left: 8px;">${player.name}</td>
+                <td>${formatMinutes(getPlayedMs(state.game, team, player.number))}</td>
+                <td>${stats.totalPoints}</td>
+                <td>${formatPlusMinus(stats.plusMinus || 0)}</td>
+            </tr>`;
+    }).join('');
+
+    const lineups = buildLineupAnalytics(state.game, state.session.events)[team];
+    $('lineupTableBody').innerHTML = lineups.length === 0
+        ? `<tr><td colspan="6" style="text-align: center;">No lineups yet. Set the ${getStartersLabel(state.game).toLowerCase()} to start tracking.</td></tr>`
+        : lineups.map(lineup => `
+            <tr>
+                <td style="text-align: left; padding-left: 8px;">${lineup.players.map(number => `#${number}`).join(' ')}</td>
+                <td>${formatMinutes(lineup.playedMs)}</td>
+                <td>${lineup.pointsFor}</td>
+                <td>${lineup.pointsAgainst}</td>
+                <td>${formatPlusMinus(lineup.pointsFor - lineup.pointsAgainst)}</td>
+                <td>${getLineupNet(lineup)}</td>
+            </tr>`).join('');
 }
 
 function updateComprehensiveStatsTable() {
@@ -2081,22 +3889,38 @@ function updateComprehensiveStatsTable() {
     if (!tableBody || !state.game || state.game.gameType !== 'full') return;
     tableBody.innerHTML = '';
     const selectedTeam = $('statTeamSelect').value || 'teamA';
+    const longShotHeaders = getLongShotHeaders(state.game);
+    $$('.long-shot-header').forEach((header, i) => { header.textContent = longShotHeaders[i]; });
     
     state.game[selectedTeam].roster.forEach(player => {
         const stats = state.game[selectedTeam].stats[player.number] || {
             totalPoints: 0, freeThrows: 0, fieldGoals: 0, threePointers: 0,
             offensiveRebounds: 0, defensiveRebounds: 0, assists: 0, steals: 0, 
-            blocks: 0, turnovers: 0, fouls: 0, minutes: 0
+            blocks: 0, turnovers: 0, fouls: 0, playedMs: 0
         };
         const totalRebounds = stats.offensiveRebounds + stats.defensiveRebounds;
+        const shooting = getShootingStats(stats, state.game.settings);
+        const foulStatus = getFoulStatus(state.game, stats);
         const row = document.createElement('tr');
+        if (foulStatus) {
+            row.className = 'disqualified';
+            row.title = FOUL_STATUS_NAMES[foulStatus];
+        }
         row.innerHTML = `
             <td>${player.number}</td>
             <td style="text-align: left; padding-left: 8px;">${player.name}</td>
             <td>${stats.totalPoints}</td>
-            <td>${stats.freeThrows}</td>
-            <td>${stats.fieldGoals}</td>
-            <td>${stats.threePointers}</td>
+            <td>${shooting.fieldGoalsMade}</td>
+            <td>${shooting.fieldGoalAttempts}</td>
+            <td>${formatPercent(shooting.fieldGoalPct)}</td>
+            <td>${shooting.threeMade}</td>
+            <td>${shooting.threeAttempts}</td>
+            <td>${formatPercent(shooting.threePct)}</td>
+            <td>${shooting.freeThrowsMade}</td>
+            <td>${shooting.freeThrowAttempts}</td>
+            <td>${formatPercent(shooting.freeThrowPct)}</td>
+            <td>${formatPercent(shooting.effectiveFieldGoalPct)}</td>
+            <td>${formatPercent(shooting.trueShootingPct)}</td>
             <td>${stats.offensiveRebounds}</td>
             <td>${stats.defensiveRebounds}</td>
             <td>${totalRebounds}</td>
@@ -2105,10 +3929,13 @@ function updateComprehensiveStatsTable() {
             <td>${stats.blocks}</td>
             <td>${stats.turnovers}</td>
             <td>${stats.fouls}</td>
-            <td>${stats.minutes}</td>
+            <td>${stats.technicalFouls || 0}</td>
+            <td>${stats.unsportsmanlikeFouls || 0}</td>
+            <td data-minutes="${player.number}">${formatMinutes(getPlayedMs(state.game, selectedTeam, player.number))}</td>
         `;
         tableBody.appendChild(row);
     });
+    updateAnalyticsTab();
 }
 
 function setupControlHandlers() {
@@ -2121,7 +3948,7 @@ function setupControlHandlers() {
     $('shotClockDisplay').onclick = (e) => { if (state.isHost) showEditShotClockModal(); };
     $('editShotClock').onclick = (e) => { e.preventDefault(); showEditShotClockModal(); };
     $('nextPeriod').onclick = (e) => { e.preventDefault(); nextPeriodFunc(); };
-    $('resetShotClock14').onclick = (e) => { e.preventDefault(); resetShotClockTo14(); };
+    $('resetShotClockShort').onclick = (e) => { e.preventDefault(); resetShotClockShort(); };
     $('resetShotClockFull').onclick = (e) => { e.preventDefault(); resetShotClockDefault(); };
     $('startShotClock').onclick = (e) => { e.preventDefault(); startShotClockOnly(); };
     
@@ -2134,6 +3961,26 @@ function setupControlHandlers() {
     $('detailedHelpBtn').onclick = () => { $('detailedHelpModal').classList.remove('hidden'); };
     $('closeDetailedHelpModal').onclick = () => { $('detailedHelpModal').classList.add('hidden'); };
     $('undoBtn').onclick = (e) => { e.preventDefault(); handleUndo(); };
+    $('redoBtn').onclick = (e) => { e.preventDefault(); handleRedo(); };
+    $('historyBtn').onclick = (e) => { e.preventDefault(); showHistoryModal(); };
+    $$('.stats-tab-btn').forEach(btn => {
+        btn.onclick = (e) => { e.preventDefault(); showStatsTab(btn.dataset.tab); };
+    });
+    $('buzzerToggle').checked = localStorage.getItem(BUZZER_KEY) !== 'off';
+    $('buzzerToggle').onchange = (e) => {
+        localStorage.setItem(BUZZER_KEY, e.target.checked ? 'on' : 'off');
+    };
+    $('endIntervalBtn').onclick = (e) => { e.preventDefault(); endInterval(); };
+    $('endTimeoutBtn').onclick = (e) => { e.preventDefault(); endTimeout(); };
+    $('trackShotLocations').checked = localStorage.getItem(SHOT_LOCATIONS_KEY) === 'on';
+    $('trackShotLocations').onchange = (e) => {
+        localStorage.setItem(SHOT_LOCATIONS_KEY, e.target.checked ? 'on' : 'off');
+    };
+    $('shotChartPlayer').onchange = () => renderShotChartPanel($('shotChartPanel'), $('statTeamSelect').value || 'teamA', $('shotChartPlayer').value || null);
+    $('downloadShotChart').onclick = (e) => { e.preventDefault(); downloadShotChart(); };
+    $('setLineupBtn').onclick = (e) => { e.preventDefault(); showLineupModal($('statTeamSelect').value || 'teamA'); };
+    $('substitutionBtn').onclick = (e) => { e.preventDefault(); showSubstitutionModal($('statTeamSelect').value || 'teamA'); };
+    $('closeHistoryModal').onclick = () => { $('historyModal').classList.add('hidden'); };
     
     // --- BUG FIX: Share Button copies direct scoreboard URL ---
     $('shareGameBtn').onclick = (e) => {
@@ -2162,29 +4009,32 @@ function setupControlHandlers() {
         };
     });
     
+    $$('.bench-technical-btn').forEach(btn => {
+        btn.onclick = (e) => { e.preventDefault(); addBenchTechnical(btn.dataset.team); };
+    });
+    $$('.call-timeout-btn').forEach(btn => {
+        btn.onclick = (e) => { e.preventDefault(); callTimeout(btn.dataset.team); };
+    });
+    
     $('possessionTeamA').onclick = (e) => { e.preventDefault(); if (!state.isHost) return; setPossession('teamA'); };
     $('possessionTeamB').onclick = (e) => { e.preventDefault(); if (!state.isHost) return; setPossession('teamB'); };
+    $('jumpBallTeamA').onclick = (e) => { e.preventDefault(); recordJumpBall('teamA'); };
+    $('jumpBallTeamB').onclick = (e) => { e.preventDefault(); recordJumpBall('teamB'); };
+    $('heldBallBtn').onclick = (e) => { e.preventDefault(); recordHeldBall(); };
 }
 
 
 // --- NEW: Helper function to get the period label ---
 function getPeriodLabel(periodNumber) {
-    const periodType = state.game.settings.periodType;
     const periodCount = state.game.settings.periodCount;
 
     if (periodNumber <= periodCount) {
         // Regular period
-        if (periodType === 'half') {
-            return periodNumber === 1 ? "1st" : "2nd";
-        } else {
-            // Quarters
-            switch (periodNumber) {
-                case 1: return "1st";
-                case 2: return "2nd";
-                case 3: return "3rd";
-                case 4: return "4th";
-                default: return `${periodNumber}th`;
-            }
+        switch (periodNumber) {
+            case 1: return "1st";
+            case 2: return "2nd";
+            case 3: return "3rd";
+            default: return `${periodNumber}th`;
         }
     } else {
         // Overtime
@@ -2194,25 +4044,51 @@ function getPeriodLabel(periodNumber) {
 }
 
 
+// A team is in the bonus once the other team has committed bonusFouls team
+// fouls in the period: 'double', 'bonus' or null
+function getBonus(game, team) {
+    const opponentFouls = game[team === 'teamA' ? 'teamB' : 'teamA'].fouls;
+    const { bonusFouls, doubleBonusFouls } = game.settings;
+    if (doubleBonusFouls && opponentFouls >= doubleBonusFouls) return 'double';
+    if (bonusFouls && opponentFouls >= bonusFouls) return 'bonus';
+    return null;
+}
+
+// BONUS shows on the side of the team that shoots free throws
+function updateBonusDisplay() {
+    ['teamA', 'teamB'].forEach(team => {
+        const bonus = getBonus(state.game, team);
+        const name = team === 'teamA' ? 'TeamA' : 'TeamB';
+        [`${team}Bonus`, `viewer${name}Bonus`, `classicViewer${name}Bonus`].forEach(id => {
+            const indicator = $(id);
+            if (!indicator) return;
+            indicator.classList.toggle('hidden', !bonus);
+            indicator.classList.toggle('double', bonus === 'double');
+            if (bonus) indicator.textContent = getFormat(state.game.settings).bonusLabels[bonus];
+        });
+    });
+}
+
 function nextPeriodFunc() {
     if (!state.game || !state.isHost) return;
-    snapshotState("Next Period"); // Log for undo
-    
-    // Increment period
-    state.game.gameState.period++;
-
-    // Reset clocks
-    state.game.gameState.gameTime.minutes = state.game.settings.periodDuration;
-    state.game.gameState.gameTime.seconds = 0;
+    const { clocks } = state.game.gameState;
+    pauseClock(clocks.game);
+    pauseClock(clocks.shot);
+    stopMasterTimer();
+    // Stamped with the time left in the period that is ending; the clocks
+    // reset for the next one below and are saved along with the event
+    recordEvent('period', {}, 'Next Period');
+    const { period } = state.game.gameState;
+    setClock(clocks.game, getPeriodLengthMs(state.game, period));
     if (state.game.settings.shotClockDuration > 0) {
-        state.game.gameState.shotClock = state.game.settings.shotClockDuration;
+        setClock(clocks.shot, state.game.settings.shotClockDuration * 1000);
     }
-    state.game.gameState.gameRunning = false;
-    state.game.gameState.shotClockRunning = false;
-    stopMasterTimer();
+    // The break before the next period counts down for everyone
+    setClock(clocks.interval, getIntervalMs(state.game, period));
+    if (clockRemaining(clocks.interval) > 0) startClock(clocks.interval);
+    if (clocks.interval.running) startMasterTimer();
     updateControlDisplay();
     updateMasterStartButton();
-    saveGameState();
     
     const periodName = getPeriodLabel(state.game.gameState.period);
     showToast(`Starting ${periodName}`, 'info', 2000);
@@ -2222,13 +4098,12 @@ function updateScore(team, points) {
     if (!state.game || !state.isHost) return;
     
     const teamName = state.game[team].name;
-    snapshotState(`Score ${points > 0 ? '+' : ''}${points} for ${teamName}`); // Log for undo
-
-    state.game[team].score = Math.max(0, state.game[team].score + points);
+    const wasDecided = !!getSuddenWinner(state.game, state.session.events);
+    recordEvent('point', { team, points }, `Score ${points > 0 ? '+' : ''}${points} for ${teamName}`);
     showScoreAnimation(points, team);
     updateControlDisplay();
     updateTopScorerDisplay();
-    saveGameState();
+    if (!wasDecided) checkSuddenWin();
 }
 
 function showScoreAnimation(points, team) {
@@ -2255,26 +4130,35 @@ function updateControlDisplay() {
     $('teamBScore').textContent = state.game.teamB.score;
     $('teamAName').textContent = state.game.teamA.name;
     $('teamBName').textContent = state.game.teamB.name;
-    $('gameClockDisplay').textContent = formatTime(state.game.gameState.gameTime.minutes, state.game.gameState.gameTime.seconds);
-    if ($('shotClockDisplay') && state.game.settings.shotClockDuration > 0) {
-        $('shotClockDisplay').textContent = state.game.gameState.shotClock;
-    }
+    updateClockDisplays();
     
     // Update Quarter/Half label
-    const periodLabel = state.game.settings.periodType === 'half' ? "Half" : "Quarter";
+    const periodLabel = PERIOD_TYPES[state.game.settings.periodType].name;
     $('quarterHalfLabel').textContent = periodLabel;
     $('periodDisplay').textContent = getPeriodLabel(state.game.gameState.period);
     
     $('teamATimeouts').textContent = state.game.teamA.timeouts;
     $('teamBTimeouts').textContent = state.game.teamB.timeouts;
+    $$('.call-timeout-btn').forEach(btn => {
+        btn.disabled = !!getTimeoutBlocker(state.game, state.session.events, btn.dataset.team);
+    });
     $('teamAFouls').textContent = state.game.teamA.fouls;
     $('teamBFouls').textContent = state.game.teamB.fouls;
+    $('teamABenchTechnicals').textContent = state.game.teamA.benchTechnicals || 0;
+    $('teamBBenchTechnicals').textContent = state.game.teamB.benchTechnicals || 0;
+    updateBonusDisplay();
     
     updatePossessionDisplay();
     updateTopScorerDisplay();
     if (state.game.gameType === 'full') {
         updateComprehensiveStatsTable();
     }
+
+    if (state.isHost) {
+        updateUndoButtons();
+        // Keep the history panel current, e.g. when the host scores from another device
+        if (!$('historyModal').classList.contains('hidden')) renderHistoryList();
+    }
 }
 
 function handleCounterAction(action, team) {
@@ -2282,24 +4166,41 @@ function handleCounterAction(action, team) {
     const [type, operation] = action.split('-');
     const change = operation === 'plus' ? 1 : -1;
     
-    snapshotState(`${type} ${operation} for ${state.game[team].name}`); // Log for undo
-    
-    if (type === 'timeout') {
-        state.game[team].timeouts = Math.max(0, Math.min(7, state.game[team].timeouts + change));
-    } else if (type === 'foul') {
-        state.game[team].fouls = Math.max(0, state.game[team].fouls + change);
+    if (type === 'timeout' || type === 'foul') {
+        recordEvent(type, { team, delta: change }, `${type} ${operation} for ${state.game[team].name}`);
     }
     updateControlDisplay();
-    saveGameState();
 }
 
 function setPossession(team) {
     if (!state.game || !state.isHost) return;
-    snapshotState(`Set Possession: ${state.game[team].name}`); // Log for undo
-    
-    state.game.gameState.possession = team;
+    recordEvent('possession', { team }, `Set Possession: ${state.game[team].name}`);
     updatePossessionDisplay();
-    saveGameState();
+}
+
+function recordJumpBall(team) {
+    if (!state.game || !state.isHost) return;
+    recordEvent('jumpball', { team }, `Jump Ball: ${state.game[team].name}`);
+    updatePossessionDisplay();
+}
+
+function recordHeldBall() {
+    if (!state.game || !state.isHost) return;
+    const team = state.game.gameState.arrow;
+    if (!team) {
+        showToast('Log the opening jump ball first', 'warning', 2000);
+        return;
+    }
+    recordEvent('heldball', { team }, `Held Ball: ${state.game[team].name}`);
+    updatePossessionDisplay();
+    showToast(`Held ball: ${state.game[team].name} ball`, 'info', 1500);
+}
+
+// The arrow points toward the side of the team it favours
+function formatArrow(game) {
+    const { arrow } = game.gameState;
+    if (!arrow) return '';
+    return arrow === 'teamA' ? `◀ ${game.teamA.name}` : `${game.teamB.name} ▶`;
 }
 
 function updatePossessionDisplay() {
@@ -2327,6 +4228,23 @@ function updatePossessionDisplay() {
     if (classicPoss && state.game) {
         classicPoss.textContent = state.game.gameState.possession === 'teamA' ? state.game.teamA.name : state.game.teamB.name;
     }
+
+    if (!state.game) return;
+    const arrow = formatArrow(state.game);
+    if ($('arrowDisplay')) {
+        $('arrowDisplay').textContent = arrow || 'set by the opening jump ball';
+        $('jumpBallTeamA').textContent = `Tip won: ${state.game.teamA.name}`;
+        $('jumpBallTeamB').textContent = `Tip won: ${state.game.teamB.name}`;
+        $('jumpBallTeamA').classList.toggle('hidden', !!arrow);
+        $('jumpBallTeamB').classList.toggle('hidden', !!arrow);
+        $('heldBallBtn').classList.toggle('hidden', !arrow);
+    }
+    ['viewerArrow', 'classicViewerArrow'].forEach(id => {
+        const display = $(id);
+        if (!display) return;
+        display.textContent = arrow ? `Arrow ${arrow}` : '';
+        display.classList.toggle('hidden', !arrow);
+    });
 }
 
 // --- STYLED EXPORT FUNCTIONS (Unchanged) ---
@@ -2342,6 +4260,7 @@ function exportGameData() {
     if (!state.game || typeof XLSX === 'undefined') { showToast('Export not available', 'error', 2000); return; }
     try {
         const wb = (state.game.gameType === 'full') ? createComprehensiveBoxScoreData(state.game) : createFriendlyGameExport(state.game);
+        appendPlayByPlaySheet(wb, state.game, state.session.events);
         const wbout = XLSX.write(wb, { bookType: 'xlsx', type: 'array' });
         const blob = new Blob([wbout], { type: "application/octet-stream" });
         const fileName = `${state.game.settings.gameName.replace(/\s+/g, '_')}_Box_Score.xlsx`;
@@ -2359,48 +4278,157 @@ function createFriendlyGameExport(g) {
     ws['A4'] = { v: "Team", s: STYLES.teamHeader }; ws['B4'] = { v: "Final Score", s: STYLES.teamHeader };
     ws['A5'] = { v: g.teamA.name, s: STYLES.cell }; ws['B5'] = { v: g.teamA.score, s: STYLES.cellCenter };
     ws['A6'] = { v: g.teamB.name, s: STYLES.cell }; ws['B6'] = { v: g.teamB.score, s: STYLES.cellCenter };
-    ws['!ref'] = `A1:B6`; ws['!cols'] = colWidths;
+    const end = writeLineScoreRows(ws, g, 7);
+    colWidths.push(...getLineScore(g).headers.map(() => ({ wch: 6 })));
+    ws['!ref'] = `A1:${XLSX.utils.encode_cell({r: end - 1, c: colWidths.length - 1})}`; ws['!cols'] = colWidths;
     XLSX.utils.book_append_sheet(wb, ws, 'Game Summary'); return wb;
 }
 function createComprehensiveBoxScoreData(g) {
     const wb = XLSX.utils.book_new(); const ws = {};
-    const statHeaders = ['#', 'Player', 'PTS', 'FT', '2PT', '3PT', 'ORB', 'DRB', 'REB', 'AST', 'STL', 'BLK', 'TO', 'PF', 'MIN'];
-    const colWidths = [ { wch: 5 }, { wch: 25 }, { wch: 5 }, { wch: 5 }, { wch: 5 }, { wch: 5 }, { wch: 5 }, { wch: 5 }, { wch: 5 }, { wch: 5 }, { wch: 5 }, { wch: 5 }, { wch: 5 }, { wch: 5 }, { wch: 5 } ];
+    const statHeaders = ['#', 'Player', 'PTS', 'FGM', 'FGA', 'FG%', ...getLongShotHeaders(g), 'FTM', 'FTA', 'FT%', 'eFG%', 'TS%', 'ORB', 'DRB', 'REB', 'AST', 'STL', 'BLK', 'TO', 'PF', 'TF', 'UF', 'MIN', 'Status'];
+    const colWidths = statHeaders.map((h, C) => ({ wch: C === 1 ? 25 : (h.endsWith('%') ? 7 : 5) }));
     ws['A1'] = { v: g.settings.gameName, s: STYLES.title };
     ws['!merges'] = [{ s: { r: 0, c: 0 }, e: { r: 0, c: statHeaders.length - 1 } }]; 
     ws['A2'] = { v: `${g.teamA.name}: ${g.teamA.score}  |  ${g.teamB.name}: ${g.teamB.score}`, s: STYLES.subtitle };
     ws['!merges'].push({ s: { r: 1, c: 0 }, e: { r: 1, c: statHeaders.length - 1 } });
-    let R = 3; 
+    let R = writeLineScoreRows(ws, g, 2, 1) + 2; // From the wide Player column
     ws[`A${R}`] = { v: g.teamA.name, s: STYLES.teamHeader };
     ws['!merges'].push({ s: { r: R-1, c: 0 }, e: { r: R-1, c: statHeaders.length - 1 } }); R++;
     statHeaders.forEach((h, C) => { ws[XLSX.utils.encode_cell({r: R-1, c: C})] = { v: h, s: STYLES.statHeader }; }); R++;
-    g.teamA.roster.forEach(p => { const stats = g.teamA.stats[p.number] || {}; const row = playerStatsToArray(p, stats); row.forEach((cell, C) => { ws[XLSX.utils.encode_cell({r: R-1, c: C})] = { v: cell, s: C === 1 ? STYLES.cell : STYLES.cellCenter }; }); R++; });
+    g.teamA.roster.forEach(p => { const stats = g.teamA.stats[p.number] || {}; const row = playerStatsToArray(g, p, stats, formatMinutes(getPlayedMs(g, 'teamA', p.number)), FOUL_STATUS_NAMES[getFoulStatus(g, stats)] || ''); row.forEach((cell, C) => { ws[XLSX.utils.encode_cell({r: R-1, c: C})] = { v: cell, s: C === 1 ? STYLES.cell : STYLES.cellCenter }; }); R++; });
     R++; 
     ws[`A${R}`] = { v: g.teamB.name, s: STYLES.teamHeader };
     ws['!merges'].push({ s: { r: R-1, c: 0 }, e: { r: R-1, c: statHeaders.length - 1 } }); R++;
     statHeaders.forEach((h, C) => { ws[XLSX.utils.encode_cell({r: R-1, c: C})] = { v: h, s: STYLES.statHeader }; }); R++;
-    g.teamB.roster.forEach(p => { const stats = g.teamB.stats[p.number] || {}; const row = playerStatsToArray(p, stats); row.forEach((cell, C) => { ws[XLSX.utils.encode_cell({r: R-1, c: C})] = { v: cell, s: C === 1 ? STYLES.cell : STYLES.cellCenter }; }); R++; });
+    g.teamB.roster.forEach(p => { const stats = g.teamB.stats[p.number] || {}; const row = playerStatsToArray(g, p, stats, formatMinutes(getPlayedMs(g, 'teamB', p.number)), FOUL_STATUS_NAMES[getFoulStatus(g, stats)] || ''); row.forEach((cell, C) => { ws[XLSX.utils.encode_cell({r: R-1, c: C})] = { v: cell, s: C === 1 ? STYLES.cell : STYLES.cellCenter }; }); R++; });
     ws['!ref'] = `A1:${XLSX.utils.encode_cell({r: R-1, c: statHeaders.length - 1})}`; ws['!cols'] = colWidths;
-    XLSX.utils.book_append_sheet(wb, ws, 'Box Score'); return wb;
+    XLSX.utils.book_append_sheet(wb, ws, 'Box Score');
+    appendLineupSheet(wb, g, state.session.events);
+    return wb;
 }
-function playerStatsToArray(player, stats) {
-    const s = stats || { totalPoints: 0, freeThrows: 0, fieldGoals: 0, threePointers: 0, offensiveRebounds: 0, defensiveRebounds: 0, assists: 0, steals: 0, blocks: 0, turnovers: 0, fouls: 0, minutes: 0 };
+// Writes the line score from row r, column c (0-based) and returns the next free row
+function writeLineScoreRows(ws, g, r, c = 0) {
+    const { headers, rows } = getLineScore(g);
+    ['Team', ...headers, 'T'].forEach((h, C) => { ws[XLSX.utils.encode_cell({r, c: c + C})] = { v: h, s: STYLES.statHeader }; });
+    rows.forEach((row, i) => {
+        [row.name, ...row.cells, row.total].forEach((cell, C) => { ws[XLSX.utils.encode_cell({r: r + 1 + i, c: c + C})] = { v: cell, s: C === 0 ? STYLES.cell : STYLES.cellCenter }; });
+    });
+    return r + 1 + rows.length;
+}
+function appendLineupSheet(wb, g, events) {
+    const ws = {};
+    const width = 6;
+    const colWidths = [{ wch: 30 }, { wch: 8 }, { wch: 8 }, { wch: 8 }, { wch: 8 }, { wch: 8 }];
+    const lineups = buildLineupAnalytics(g, events);
+    const writeRow = (R, row, header) => row.forEach((cell, C) => { ws[XLSX.utils.encode_cell({r: R, c: C})] = { v: cell, s: header ? STYLES.statHeader : (C === 0 ? STYLES.cell : STYLES.cellCenter) }; });
+    ws['A1'] = { v: `${g.settings.gameName} - Plus/Minus & Lineups`, s: STYLES.title };
+    ws['!merges'] = [{ s: { r: 0, c: 0 }, e: { r: 0, c: width - 1 } }];
+    let R = 2;
+    ['teamA', 'teamB'].forEach(team => {
+        ws[XLSX.utils.encode_cell({r: R, c: 0})] = { v: g[team].name, s: STYLES.teamHeader };
+        ws['!merges'].push({ s: { r: R, c: 0 }, e: { r: R, c: width - 1 } }); R++;
+        writeRow(R++, ['Player', 'MIN', 'PTS', '+/-'], true);
+        g[team].roster.forEach(p => {
+            const stats = g[team].stats[p.number] || {};
+            writeRow(R++, [`#${p.number} ${p.name}`, formatMinutes(getPlayedMs(g, team, p.number)), stats.totalPoints || 0, formatPlusMinus(stats.plusMinus || 0)]);
+        });
+        R++;
+        writeRow(R++, ['Lineup', 'MIN', 'PF', 'PA', '+/-', 'NET/10'], true);
+        lineups[team].forEach(lineup => {
+            const players = lineup.players.map(number => getPlayerLabel(g, team, number)).join(', ');
+            writeRow(R++, [players, formatMinutes(lineup.playedMs), lineup.pointsFor, lineup.pointsAgainst, formatPlusMinus(lineup.pointsFor - lineup.pointsAgainst), getLineupNet(lineup)]);
+        });
+        R++;
+    });
+    ws['!ref'] = `A1:${XLSX.utils.encode_cell({r: R - 1, c: width - 1})}`; ws['!cols'] = colWidths;
+    XLSX.utils.book_append_sheet(wb, ws, 'Lineups');
+}
+function appendPlayByPlaySheet(wb, g, events) {
+    const ws = {};
+    const headers = ['Period', 'Clock', 'Team', 'Play', g.teamA.name, g.teamB.name];
+    const colWidths = [{ wch: 8 }, { wch: 8 }, { wch: 20 }, { wch: 40 }, { wch: 10 }, { wch: 10 }];
+    ws['A1'] = { v: `${g.settings.gameName} - Play-by-Play`, s: STYLES.title };
+    ws['!merges'] = [{ s: { r: 0, c: 0 }, e: { r: 0, c: headers.length - 1 } }];
+    headers.forEach((h, C) => { ws[XLSX.utils.encode_cell({r: 2, c: C})] = { v: h, s: STYLES.statHeader }; });
+    let R = 3;
+    buildPlayByPlay(g, events).filter(play => !play.undone).forEach(({ event, text, score }) => {
+        const row = [
+            event.clock ? getPeriodShortLabel(g, event.clock.period) : '',
+            event.clock ? formatClock(event.clock.remainingMs) : '',
+            g[event.payload.team]?.name || '',
+            text,
+            score ? score.teamA : '',
+            score ? score.teamB : ''
+        ];
+        row.forEach((cell, C) => { ws[XLSX.utils.encode_cell({r: R, c: C})] = { v: cell, s: C === 3 ? STYLES.cell : STYLES.cellCenter }; });
+        R++;
+    });
+    ws['!ref'] = `A1:${XLSX.utils.encode_cell({r: Math.max(R - 1, 2), c: headers.length - 1})}`; ws['!cols'] = colWidths;
+    XLSX.utils.book_append_sheet(wb, ws, 'Play-by-Play');
+}
+function playerStatsToArray(g, player, stats, minutes, status) {
+    const s = stats || { totalPoints: 0, freeThrows: 0, fieldGoals: 0, threePointers: 0, offensiveRebounds: 0, defensiveRebounds: 0, assists: 0, steals: 0, blocks: 0, turnovers: 0, fouls: 0 };
     const totalRebounds = s.offensiveRebounds + s.defensiveRebounds;
-    return [ player.number, player.name, s.totalPoints, s.freeThrows, s.fieldGoals, s.threePointers, s.offensiveRebounds, s.defensiveRebounds, totalRebounds, s.assists, s.steals, s.blocks, s.turnovers, s.fouls, s.minutes ];
+    const sh = getShootingStats(s, g.settings);
+    return [ player.number, player.name, s.totalPoints, sh.fieldGoalsMade, sh.fieldGoalAttempts, formatPercent(sh.fieldGoalPct), sh.threeMade, sh.threeAttempts, formatPercent(sh.threePct), sh.freeThrowsMade, sh.freeThrowAttempts, formatPercent(sh.freeThrowPct), formatPercent(sh.effectiveFieldGoalPct), formatPercent(sh.trueShootingPct), s.offensiveRebounds, s.defensiveRebounds, totalRebounds, s.assists, s.steals, s.blocks, s.turnovers, s.fouls, s.technicalFouls || 0, s.unsportsmanlikeFouls || 0, minutes, status ];
 }
 // --- END EXPORT FUNCTIONS ---
 
+// Draws the game and shot clocks from their stored timestamps.
+// Called on every tick, so it only touches the clock elements.
+function updateClockDisplays() {
+    if (!state.game) return;
+    
+    const { clocks } = state.game.gameState;
+    const gameTime = isPeriodTimed(state.game) ? formatClock(clockRemaining(clocks.game)) : 'OT';
+    const shotClockOn = state.game.settings.shotClockDuration > 0;
+    const shotClockVal = clockSeconds(clockRemaining(clocks.shot));
+    const shotClockWarning = shotClockOn && shotClockVal <= 5;
+    const intervalMs = clockRemaining(clocks.interval);
+    const intervalText = intervalMs > 0 ? `${getIntervalLabel(state.game)} ${formatClock(intervalMs)}` : '';
+    ['intervalDisplay', 'viewerInterval', 'classicViewerInterval'].forEach(id => {
+        const display = $(id);
+        if (!display) return;
+        display.textContent = intervalText;
+        display.classList.toggle('hidden', !intervalText);
+    });
+    $('endIntervalBtn')?.classList.toggle('hidden', !intervalText || !state.isHost);
+    const timeoutMs = clockRemaining(clocks.timeout);
+    const timeoutTeam = state.game[state.game.gameState.timeoutTeam];
+    const timeoutText = timeoutMs > 0 && timeoutTeam ? `Timeout ${timeoutTeam.name} ${formatClock(timeoutMs)}` : '';
+    ['timeoutDisplay', 'viewerTimeout', 'classicViewerTimeout'].forEach(id => {
+        const display = $(id);
+        if (!display) return;
+        display.textContent = timeoutText;
+        display.classList.toggle('hidden', !timeoutText);
+        display.classList.toggle('warning', timeoutMs <= TIMEOUT_WARNING_SECONDS * 1000);
+    });
+    $('endTimeoutBtn')?.classList.toggle('hidden', !timeoutText || !state.isHost);
+    
+    if (state.view.startsWith('control')) {
+        $('gameClockDisplay').textContent = gameTime;
+        if ($('shotClockDisplay') && shotClockOn) {
+            $('shotClockDisplay').textContent = shotClockVal;
+            $('shotClockDisplay').classList.toggle('warning', shotClockWarning);
+        }
+    } else if (state.view.startsWith('viewer')) {
+        $('viewerGameClock').textContent = gameTime;
+        $('viewerShotClock').textContent = shotClockVal;
+        $('viewerShotClock').classList.toggle('warning', shotClockWarning);
+        $('classicViewerGameClock').textContent = gameTime;
+        $('classicViewerShotClock').textContent = shotClockVal;
+        $('classicViewerShotClock').classList.toggle('warning', shotClockWarning);
+    }
+}
+
 // --- UPDATED: Now updates BOTH spectator views ---
 function updateSpectatorView() {
     if (!state.game) return;
     
     // Common data
-    const gameTime = formatTime(state.game.gameState.gameTime.minutes, state.game.gameState.gameTime.seconds);
-    const periodLabel = state.game.settings.periodType === 'half' ? "HALF" : "QUARTER";
+    const periodLabel = PERIOD_TYPES[state.game.settings.periodType].name.toUpperCase();
     const periodNum = getPeriodLabel(state.game.gameState.period);
-    const shotClockVal = state.game.gameState.shotClock;
     const shotClockOn = state.game.settings.shotClockDuration > 0;
-    const shotClockWarning = shotClockOn && shotClockVal <= 5;
     
     // Pro View
     $('viewerGameName').textContent = state.game.settings.gameName;
@@ -2410,16 +4438,21 @@ function updateSpectatorView() {
     $('viewerTeamBName').textContent = state.game.teamB.name.toUpperCase();
     $('viewerTeamBName').style.color = state.game.teamB.color;
     $('viewerTeamBScore').textContent = state.game.teamB.score;
-    $('viewerGameClock').textContent = gameTime;
     $('viewerQuarterHalfLabel').textContent = periodLabel;
     $('viewerPeriod').textContent = periodNum;
     $('viewerShotClockBox').style.display = shotClockOn ? 'block' : 'none';
-    $('viewerShotClock').textContent = shotClockVal;
-    $('viewerShotClock').classList.toggle('warning', shotClockWarning);
     $('viewerTeamAFouls').textContent = state.game.teamA.fouls;
     $('viewerTeamATimeouts').textContent = state.game.teamA.timeouts;
     $('viewerTeamBFouls').textContent = state.game.teamB.fouls;
     $('viewerTeamBTimeouts').textContent = state.game.teamB.timeouts;
+    updateBonusDisplay();
+    ['teamA', 'teamB'].forEach(team => {
+        // Only full games log shots
+        const shooting = getTeamShooting(state.game, team);
+        $(`viewer${team === 'teamA' ? 'TeamA' : 'TeamB'}Shooting`).textContent = state.game.gameType === 'full' && shooting.fieldGoalAttempts + shooting.freeThrowAttempts > 0
+            ? `FG ${formatPercent(shooting.fieldGoalPct)} • ${getShotName(state.game, 'threePointers')} ${formatPercent(shooting.threePct)} • FT ${formatPercent(shooting.freeThrowPct)}`
+            : '';
+    });
     
     // Classic View
     $('classicViewerGameName').textContent = state.game.settings.gameName;
@@ -2427,16 +4460,17 @@ function updateSpectatorView() {
     $('classicViewerTeamAScore').textContent = state.game.teamA.score;
     $('classicViewerTeamBName').textContent = state.game.teamB.name;
     $('classicViewerTeamBScore').textContent = state.game.teamB.score;
-    $('classicViewerGameClock').textContent = gameTime;
     $('classicQuarterHalfLabel').textContent = periodLabel;
     $('classicViewerPeriod').textContent = periodNum;
     $('classicViewerShotClock').style.display = shotClockOn ? 'block' : 'none';
-    $('classicViewerShotClock').textContent = shotClockVal;
-    $('classicViewerShotClock').classList.toggle('warning', shotClockWarning);
+    updateClockDisplays();
 
     // Update shared data
     updatePossessionDisplay();
     updateTopScorerDisplay();
+    renderLineScorePanel(state.view === 'viewer-view-classic' ? 'classicViewerLineScore' : 'viewerLineScore');
+    renderPlayByPlayFeed(state.view === 'viewer-view-classic' ? 'classicViewerPlayByPlay' : 'viewerPlayByPlay');
+    updateViewerShotCharts();
 }
 
 function setupAutoSave() {
@@ -2473,9 +4507,9 @@ function setupKeyboardShortcuts() {
                 e.preventDefault();
                 startShotClockOnly();
                 break;
-            case 'r': // Reset Shot Clock (14s)
+            case 'r': // Reset Shot Clock (short reset)
                 e.preventDefault();
-                resetShotClockTo14();
+                resetShotClockShort();
                 break;
             case 'R': // Reset Shot Clock (Full, no start)
                 e.preventDefault();
@@ -2486,10 +4520,18 @@ function setupKeyboardShortcuts() {
                 const newPoss = state.game.gameState.possession === 'teamA' ? 'teamB' : 'teamA';
                 setPossession(newPoss);
                 break;
+            case 'a': // Held ball
+                e.preventDefault();
+                recordHeldBall();
+                break;
             case 'z': // Undo
                 e.preventDefault();
                 handleUndo();
                 break;
+            case 'y': // Redo
+                e.preventDefault();
+                handleRedo();
+                break;
             case 'h': // Help
                 e.preventDefault();
                 $('helpModal').classList.toggle('hidden');
@@ -2513,6 +4555,9 @@ function init(utils, user, urlParams) {
     showToast = utils.showToast;
     copyToClipboard = utils.copyToClipboard;
     state.user = user; // Set user state
+    state.session = createGameSession({ sport: 'basketball', user, notify: showToast, reducer, schema });
+    state.history = createUndoHistory({ session: state.session, getGame: () => state.game, describe: describeEvent });
+    syncServerTime(); // Runs in the background; clocks use local time until it's done
 
     // 2. Add global event listeners
     setupKeyboardShortcuts(); 
@@ -2537,7 +4582,7 @@ function init(utils, user, urlParams) {
             state.gameCode = resumeCode; // Set the code from URL
             
             // Need to load the game data first
-            loadGameState(resumeCode).then(gameData => {
+            state.session.resume(resumeCode).then(gameData => {
                 if (gameData) {
                     state.game = gameData;
                     state.gameType = gameData.gameType;
@@ -2576,5 +4621,6 @@ function init(utils, user, urlParams) {
 export default {
     sportName: "Basketball",
     buildHtml,
-    init
+    init,
+    schema // Document shape and migrations (see modules/game-schema.js)
 };
\ No newline at end of file
@@ -1,6 +1,12 @@
 // This file exports ONE object: the 'kabaddi' module.
 
-import { db, firebase } from '../modules/firebase.js';
+import { createGameSession } from '../modules/game-session.js';
+import { showSyncStatus } from '../modules/sync-status.js';
+import { CLOCK_SCHEMA, gameDocumentSchema } from '../modules/game-schema.js';
+import { createUndoHistory } from '../modules/undo-history.js';
+import { formatOrdinal, addPeriodPoints, buildLineScore, renderLineScore } from '../modules/line-score.js';
+import { getSport } from './registry.js';
+import { CLOCK_TICK_MS, syncServerTime, createClock, clockRemaining, startClock, pauseClock, setClock, formatClock, clockSeconds, toMs } from '../modules/game-clock.js';
 
 let $;
 let $$;
@@ -8,6 +14,8 @@ let showToast;
 let copyToClipboard;
 
 // ================== MODULE-SPECIFIC STATE ==================
+const DEFAULT_SETTINGS = getSport('kabaddi').defaultSettings;
+
 const state = {
     view: 'config', // Default view
     isHost: false,
@@ -21,7 +29,8 @@ const state = {
         autoSave: null
     },
     clockEditing: false,
-    firestoreListener: null
+    session: null, // The shared game session (see modules/game-session.js)
+    history: null // Undo/redo over the event log (see modules/undo-history.js)
 };
 
 // ================== HTML BUILDER ==================
@@ -152,6 +161,9 @@ function buildHtml() {
                     </div>
                 </div>
                  <div class="control-actions">
+                    <span id="syncStatus" class="hidden"></span>
+                    <button id="undoBtn" class="btn btn--outline host-control" style="display: none;" disabled>Undo</button>
+                    <button id="redoBtn" class="btn btn--outline host-control" style="display: none;" disabled>Redo</button>
                     <button id="shareGameBtn" class="btn btn--outline">Share Link</button>
                     <button id="finalizeGameBtn" class="btn btn--danger host-control" style="display: none;">End Game</button>
                 </div>
@@ -251,6 +263,10 @@ function buildHtml() {
                     <span id="viewerPossession">Team A</span>
                 </div>
             </div>
+            <div class="play-by-play-feed">
+                <div class="play-by-play-title">LINE SCORE</div>
+                <div id="viewerLineScore"></div>
+            </div>
         </div>
     </section>
 
@@ -291,14 +307,6 @@ function buildHtml() {
 // ================== KABADDI FUNCTIONS ==================
 
 // --- Utility Functions ---
-function formatTime(minutes, seconds) {
-    return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
-}
-
-function generateGameCode() {
-    return Math.floor(100000 + Math.random() * 900000).toString();
-}
-
 function showView(viewName) {
     console.log(`Switching to view: ${viewName}`);
     const views = ['config', 'control', 'viewer-view']; // 'setup' is removed for now
@@ -313,11 +321,7 @@ function showView(viewName) {
     state.view = viewName;
 
     if (viewName === 'config') {
-        if (state.firestoreListener) {
-            state.firestoreListener(); 
-            state.firestoreListener = null;
-            console.log('Detached Firestore listener.');
-        }
+        state.session.unsubscribe();
         stopGameTimer();
         stopRaidTimer();
     }
@@ -339,47 +343,46 @@ function handleRaidClockEnd() {
     playRaidClockBuzzer();
     
     if (state.game) {
-        state.game.gameState.raidRunning = false;
-        state.game.gameState.raidClock = 0;
+        const raidClock = state.game.gameState.clocks.raid;
+        pauseClock(raidClock);
+        setClock(raidClock, 0);
+        stopRaidTimer();
         
         const newPossession = state.game.gameState.possession === 'teamA' ? 'teamB' : 'teamA';
-        state.game.gameState.possession = newPossession;
+        state.session.record(state.game, 'possession', { team: newPossession });
         
         updateControlDisplay();
-        saveGameState();
         showToast('Raid ended. Possession switched.', 'warning', 4000);
     }
 }
 
+// The clocks are stored as timestamps (see modules/game-clock.js). These
+// intervals only redraw them and notice when they run out.
 function startGameTimer() {
     if (state.timers.gameTimer) {
         clearInterval(state.timers.gameTimer);
     }
     
     state.timers.gameTimer = setInterval(() => {
-        if (!state.game || !state.game.gameState.gameRunning) {
+        if (!state.game || !state.game.gameState.clocks.game.running) {
             stopGameTimer();
             return;
         }
         
-        if (state.game.gameState.gameTime.seconds > 0) {
-            state.game.gameState.gameTime.seconds--;
-        } else if (state.game.gameState.gameTime.minutes > 0) {
-            state.game.gameState.gameTime.minutes--;
-            state.game.gameState.gameTime.seconds = 59;
-        } else {
-            state.game.gameState.gameRunning = false;
+        const { clocks } = state.game.gameState;
+        // Only the host stops clocks; spectators wait for the host's update
+        if (state.isHost && clockRemaining(clocks.game) <= 0) {
+            pauseClock(clocks.game);
+            pauseClock(clocks.raid);
             stopGameTimer();
             stopRaidTimer();
-            if(state.isHost) {
-                showToast('Half ended!', 'warning', 3000);
-                saveGameState();
-            }
+            showToast('Half ended!', 'warning', 3000);
+            saveGameState();
         }
         
         updateClocksUI();
 
-    }, 1000);
+    }, CLOCK_TICK_MS);
 }
 
 function stopGameTimer() {
@@ -394,19 +397,21 @@ function stopGameTimer() {
 
 function toggleGameClock(forceStart = false) {
     if (!state.game || !state.isHost) return;
+    const { clocks } = state.game.gameState;
     
-    if (forceStart && !state.game.gameState.gameRunning) {
-        state.game.gameState.gameRunning = true;
+    if (forceStart && !clocks.game.running) {
+        startClock(clocks.game);
         startGameTimer();
         showToast('Game started!', 'success', 1500);
     } else if (!forceStart) {
-        if (state.game.gameState.gameRunning) {
-            state.game.gameState.gameRunning = false;
+        if (clocks.game.running) {
+            pauseClock(clocks.game);
+            pauseClock(clocks.raid); // CLOCK SYNC
             stopGameTimer();
-            stopRaidTimer(); // CLOCK SYNC
+            stopRaidTimer();
             showToast('Game paused', 'info', 1500);
         } else {
-            state.game.gameState.gameRunning = true;
+            startClock(clocks.game);
             startGameTimer();
             showToast('Game started!', 'success', 1500);
         }
@@ -420,7 +425,7 @@ function updateGameClockButton() {
     const btn = $('startGameClockBtn');
     if (!btn || !state.game) return;
     
-    if (state.game.gameState.gameRunning) {
+    if (state.game.gameState.clocks.game.running) {
         btn.textContent = 'PAUSE GAME';
         btn.className = 'btn btn--primary master-start-btn pause';
     } else {
@@ -435,39 +440,34 @@ function startRaidTimerInterval() {
     }
 
     state.timers.raidTimer = setInterval(() => {
-        if (!state.game || !state.game.gameState.raidRunning) {
+        if (!state.game || !state.game.gameState.clocks.raid.running) {
             stopRaidTimer();
             return;
         }
 
-        if (state.game.gameState.raidClock > 0) {
-            state.game.gameState.raidClock--;
-        } else {
-            state.game.gameState.raidRunning = false;
-            stopRaidTimer();
-            if (state.isHost) {
-                handleRaidClockEnd(); 
-            }
+        if (state.isHost && clockRemaining(state.game.gameState.clocks.raid) <= 0) {
+            handleRaidClockEnd();
         }
         
         updateClocksUI();
 
-    }, 1000);
+    }, CLOCK_TICK_MS);
 }
 
 function startRaidTimer() {
     if (!state.game || !state.isHost) return;
+    const { clocks } = state.game.gameState;
 
     // Auto-start game clock if not running
-    if (!state.game.gameState.gameRunning && state.game.settings.enableGameClock) {
+    if (!clocks.game.running && state.game.settings.enableGameClock) {
         toggleGameClock(true); // CLOCK SYNC
     }
     
-    if (state.game.gameState.raidClock === 0) {
-        state.game.gameState.raidClock = state.game.settings.raidClockDuration;
+    if (clockRemaining(clocks.raid) <= 0) {
+        setClock(clocks.raid, state.game.settings.raidClockDuration * 1000);
     }
 
-    state.game.gameState.raidRunning = true;
+    startClock(clocks.raid);
     startRaidTimerInterval();
     showToast('Raid started!', 'success', 1500);
     saveGameState();
@@ -479,15 +479,14 @@ function stopRaidTimer() {
         clearInterval(state.timers.raidTimer);
         state.timers.raidTimer = null;
     }
-    if (state.game) {
-        state.game.gameState.raidRunning = false;
-    }
 }
 
 function resetRaidClock() {
     if (!state.game || !state.isHost) return;
+    const raidClock = state.game.gameState.clocks.raid;
     stopRaidTimer();
-    state.game.gameState.raidClock = state.game.settings.raidClockDuration;
+    pauseClock(raidClock);
+    setClock(raidClock, state.game.settings.raidClockDuration * 1000);
     updateClocksUI();
     saveGameState();
     showToast('Raid clock reset', 'info', 1500);
@@ -500,14 +499,16 @@ function showEditGameClockModal() {
     const editSeconds = $('editSeconds');
     if (!modal || !state.game) return;
     
-    editMinutes.value = state.game.gameState.gameTime.minutes;
-    editSeconds.value = state.game.gameState.gameTime.seconds;
+    const secondsLeft = clockSeconds(clockRemaining(state.game.gameState.clocks.game));
+    editMinutes.value = Math.floor(secondsLeft / 60);
+    editSeconds.value = secondsLeft % 60;
     modal.classList.remove('hidden');
     state.clockEditing = true;
     
     $('saveGameClockEdit').onclick = () => {
-        state.game.gameState.gameTime.minutes = Math.max(0, parseInt(editMinutes.value) || 0);
-        state.game.gameState.gameTime.seconds = Math.max(0, Math.min(59, parseInt(editSeconds.value) || 0));
+        const minutes = Math.max(0, parseInt(editMinutes.value) || 0);
+        const seconds = Math.max(0, Math.min(59, parseInt(editSeconds.value) || 0));
+        setClock(state.game.gameState.clocks.game, toMs(minutes, seconds));
         updateClocksUI();
         saveGameState();
         modal.classList.add('hidden');
@@ -526,12 +527,13 @@ function showEditRaidClockModal() {
     const editRaidClockSeconds = $('editRaidClockSeconds');
     if (!modal || !state.game) return;
     
-    editRaidClockSeconds.value = state.game.gameState.raidClock;
+    editRaidClockSeconds.value = clockSeconds(clockRemaining(state.game.gameState.clocks.raid));
     modal.classList.remove('hidden');
     state.clockEditing = true;
     
     $('saveRaidClockEdit').onclick = () => {
-        state.game.gameState.raidClock = Math.max(0, Math.min(60, parseInt(editRaidClockSeconds.value) || 0));
+        const seconds = Math.max(0, Math.min(60, parseInt(editRaidClockSeconds.value) || 0));
+        setClock(state.game.gameState.clocks.raid, seconds * 1000);
         updateClocksUI();
         saveGameState();
         modal.classList.add('hidden');
@@ -547,19 +549,15 @@ function showEditRaidClockModal() {
 
 // --- Game State & Firebase ---
 
-function createGameSkeleton(code, config = {}) {
-    const hostId = state.user ? state.user.uid : null;
-    
+function createGameSkeleton(config = {}) {
     return {
-        hostId: hostId,
-        code: code,
         sport: 'kabaddi',
         status: 'live',
         gameType: state.gameType,
         settings: {
-            gameName: config.gameName || 'Kabaddi Game',
-            halfDuration: config.halfDuration || 20,
-            raidClockDuration: config.raidClockDuration || 30,
+            gameName: config.gameName || DEFAULT_SETTINGS.gameName,
+            halfDuration: config.halfDuration || DEFAULT_SETTINGS.halfDuration,
+            raidClockDuration: config.raidClockDuration || DEFAULT_SETTINGS.raidClockDuration,
             enableGameClock: config.enableGameClock,
             enableRaidClock: config.enableRaidClock
         },
@@ -567,79 +565,175 @@ function createGameSkeleton(code, config = {}) {
             name: config.teamAName || 'Team A',
             color: config.teamAColor || '#FF6B35',
             score: 0,
+            periodScores: [0],
             allOuts: 0,
         },
         teamB: {
             name: config.teamBName || 'Team B',
             color: config.teamBColor || '#1B263B',
             score: 0,
+            periodScores: [0],
             allOuts: 0,
         },
         gameState: {
             half: 1,
-            gameTime: {
-                minutes: config.halfDuration || 20,
-                seconds: 0
+            clocks: {
+                game: createClock(toMs(config.halfDuration || DEFAULT_SETTINGS.halfDuration)),
+                raid: createClock((config.raidClockDuration || DEFAULT_SETTINGS.raidClockDuration) * 1000)
             },
-            raidClock: config.raidClockDuration || 30,
-            possession: 'teamA',
-            gameRunning: false,
-            raidRunning: false
+            possession: 'teamA'
         },
         lastUpdate: Date.now()
     };
 }
 
-async function saveGameState() {
-    if (!state.isHost) return; 
-
-    if (state.game && state.gameCode && db) {
-        try {
-            state.game.lastUpdate = Date.now();
-            await db.collection('games').doc(state.gameCode).set(state.game);
-        } catch (e) {
-            console.warn('Failed to save game to Firebase:', e);
-            if (state.user) {
-                showToast('Sync failed. Check permissions.', 'error', 2000);
+// --- Event Reducer ---
+// Score (in total and per half, for the line score), all-outs, possession and
+// half are rebuilt from the game's event log (see modules/event-log.js). The
+// clocks are not events and stay on the document.
+const reducer = {
+    reset(game) {
+        ['teamA', 'teamB'].forEach(team => {
+            game[team].score = 0;
+            game[team].periodScores = [0];
+            game[team].allOuts = 0;
+        });
+        game.gameState.possession = 'teamA';
+        game.gameState.half = 1;
+    },
+    apply(game, event) {
+        const { team } = event.payload;
+        switch (event.type) {
+            case 'point': {
+                const scoreBefore = game[team].score;
+                game[team].score = Math.max(0, game[team].score + event.payload.points);
+                addPeriodPoints(game[team], game.gameState.half, game[team].score - scoreBefore);
+                if (event.payload.allOut) game[team].allOuts++;
+                // The raid is over, the other team raids next
+                game.gameState.possession = team === 'teamA' ? 'teamB' : 'teamA';
+                break;
             }
+            case 'possession':
+                game.gameState.possession = team;
+                break;
+            case 'period':
+                game.gameState.half++;
+                ['teamA', 'teamB'].forEach(side => { addPeriodPoints(game[side], game.gameState.half, 0); });
+                break;
         }
+    },
+    clock(game) {
+        const { half, clocks } = game.gameState;
+        return { half, remainingMs: clockRemaining(clocks.game) };
     }
-}
+};
 
-async function updateUserProfileWithGame(gameCode) {
-    if (!state.user || !db || !firebase) return;
-    
-    const userRef = db.collection('users').doc(state.user.uid);
-    
-    try {
-        await userRef.update({
-            hostedGames: firebase.firestore.FieldValue.arrayUnion(gameCode)
-        });
-        console.log('User profile updated with new game.');
-    } catch (error) {
-        console.error('Error updating user profile:', error);
+// --- Game Schema ---
+// Shape of a kabaddi game document and the steps that bring older saved games
+// up to it (see modules/game-schema.js). Bump version and add a migration
+// whenever the document changes shape.
+const schema = {
+    version: 2,
+    document: gameDocumentSchema({
+        team: {
+            color: { type: 'string' },
+            allOuts: { type: 'integer', minimum: 0 },
+            periodScores: { type: 'array', items: { type: ['integer', 'null'] } } // Points in each half (null if not counted)
+        },
+        required: ['settings', 'gameState'],
+        properties: {
+            settings: {
+                type: 'object',
+                required: ['halfDuration', 'raidClockDuration'],
+                properties: {
+                    gameName: { type: 'string' },
+                    halfDuration: { type: 'number', minimum: 1 },
+                    raidClockDuration: { type: 'number', minimum: 1 },
+                    enableGameClock: { type: 'boolean' },
+                    enableRaidClock: { type: 'boolean' }
+                }
+            },
+            gameState: {
+                type: 'object',
+                required: ['half', 'clocks', 'possession'],
+                properties: {
+                    half: { type: 'integer', minimum: 1 },
+                    possession: { enum: ['teamA', 'teamB'] },
+                    clocks: {
+                        type: 'object',
+                        required: ['game', 'raid'],
+                        properties: { game: CLOCK_SCHEMA, raid: CLOCK_SCHEMA }
+                    }
+                }
+            }
+        }
+    }),
+    migrations: [
+        {
+            // Clocks used to be minutes/seconds plus running flags. They come
+            // back paused, since we can't tell when they started.
+            version: 1,
+            description: 'store clocks as server-stamped timestamps',
+            up(game) {
+                game.settings = {
+                    gameName: 'Kabaddi Game',
+                    halfDuration: 20,
+                    raidClockDuration: 30,
+                    ...game.settings
+                };
+                const gameState = game.gameState || { half: 1, possession: 'teamA' };
+                if (!gameState.clocks) {
+                    gameState.clocks = {
+                        game: createClock(toMs(gameState.gameTime?.minutes, gameState.gameTime?.seconds)),
+                        raid: createClock((gameState.raidClock || 0) * 1000)
+                    };
+                }
+                delete gameState.gameTime;
+                delete gameState.raidClock;
+                delete gameState.gameRunning;
+                delete gameState.raidRunning;
+                game.gameState = gameState;
+            }
+        },
+        {
+            // Games with an event log get their halves back on replay;
+            // older ones only know the total
+            version: 2,
+            description: 'add points by half for the line score',
+            up(game) {
+                ['teamA', 'teamB'].forEach(team => {
+                    game[team].periodScores = game[team].periodScores || [];
+                });
+            }
+        }
+    ]
+};
+
+// Short text for an event, shown when confirming an undo or redo
+function describeEvent(event, game) {
+    const { team, points, allOut } = event.payload;
+    const name = game[team]?.name || team;
+    switch (event.type) {
+        case 'point':
+            return `${name} ${points > 0 ? '+' : ''}${points}${allOut ? ' (All Out)' : ''}`;
+        case 'possession':
+            return `Raid to ${name}`;
+        case 'period':
+            return `Start of half ${(event.clock?.half || 1) + 1}`;
+        default:
+            return event.type;
     }
 }
 
-async function loadGameState(code) {
-    if (!db) {
-        showToast('Database not connected', 'error', 3000);
-        return null;
-    }
-    try {
-        const doc = await db.collection('games').doc(code).get();
-        return doc.exists ? doc.data() : null;
-    } catch (e) {
-        console.warn('Failed to load game from Firebase:', e);
-        return null;
-    }
+function saveGameState() {
+    return state.session.save(state.game);
 }
 
 // --- View Handlers ---
 
 async function joinSpectatorMode(code) {
     console.log('Joining spectator mode for code:', code);
-    const savedGame = await loadGameState(code);
+    const savedGame = await state.session.watch(code);
     if (!savedGame) {
         showToast('Game not found', 'error', 2000);
         window.location.href = 'index.html'; // Send home
@@ -654,9 +748,9 @@ async function joinSpectatorMode(code) {
     showSpectatorView(); // Show the spectator view
 }
 
-function showConfigurationView() {
+async function showConfigurationView() {
     console.log('✓ Showing configuration view');
-    state.gameCode = generateGameCode();
+    state.gameCode = await state.session.reserveCode();
     
     showView('config-view');
     $('configGameCode').textContent = state.gameCode;
@@ -676,12 +770,8 @@ function setupConfigurationHandlers() {
         e.preventDefault();
         const config = gatherConfigurationData();
         
-        state.game = createGameSkeleton(state.gameCode, config);
-        
-        saveGameState().then(() => {
-            if (state.user) {
-                updateUserProfileWithGame(state.gameCode);
-            }
+        state.session.create(state.gameCode, createGameSkeleton(config)).then((game) => {
+            state.game = game;
             showControlView(); // Go to control view
         });
     };
@@ -731,6 +821,7 @@ function showControlView() {
     });
     // Handle special cases
     if(state.isHost) {
+        showSyncStatus($('syncStatus'));
         $('teamANameInput').style.display = 'block';
         $('teamBNameInput').style.display = 'block';
         $('teamANameDisplay').style.display = 'none';
@@ -756,6 +847,7 @@ function showControlView() {
     setupControlHandlers();
     updateControlDisplay();
     updateGameClockButton();
+    syncTimers(); // A resumed game's clocks keep running after a reload
     setupAutoSave();
     setupFirebaseListener();
 }
@@ -788,6 +880,20 @@ function setupControlHandlers() {
     $('possessionTeamA').onclick = (e) => { e.preventDefault(); setPossession('teamA'); };
     $('possessionTeamB').onclick = (e) => { e.preventDefault(); setPossession('teamB'); };
 
+    // Undo / redo
+    $('undoBtn').onclick = () => {
+        const undone = state.history.undo();
+        if (!undone) return;
+        updateControlDisplay();
+        showToast(`Undone: ${describeEvent(undone, state.game)}`, 'success', 2000);
+    };
+    $('redoBtn').onclick = () => {
+        const redone = state.history.redo();
+        if (!redone) return;
+        updateControlDisplay();
+        showToast(`Redone: ${describeEvent(redone, state.game)}`, 'success', 2000);
+    };
+
     // Team name inputs
     $('teamANameInput').onchange = (e) => {
         state.game.teamA.name = e.target.value || 'Team A';
@@ -807,10 +913,9 @@ function setupControlHandlers() {
     
     $('finalizeGameBtn').onclick = () => {
         if (confirm('Are you sure you want to end this game?')) {
-            state.game.status = 'final';
             stopGameTimer();
             stopRaidTimer();
-            saveGameState().then(() => {
+            state.session.finalize(state.game).then(() => {
                 showToast('Game finalized!', 'success', 2000);
                 window.location.href = state.user ? 'sports.html?mode=host' : 'index.html';
             });
@@ -820,40 +925,36 @@ function setupControlHandlers() {
 
 function nextHalfFunc() {
     if (!state.game || !state.isHost) return;
-    state.game.gameState.half++;
-    state.game.gameState.gameTime.minutes = state.game.settings.halfDuration;
-    state.game.gameState.gameTime.seconds = 0;
-    state.game.gameState.raidClock = state.game.settings.raidClockDuration;
-    
-    state.game.gameState.gameRunning = false;
-    state.game.gameState.raidRunning = false;
+    const { clocks } = state.game.gameState;
+    pauseClock(clocks.game);
+    pauseClock(clocks.raid);
     stopGameTimer();
     stopRaidTimer();
-    
+
+    // Record the end of the half before the clocks reset for the next one,
+    // so the event is stamped with the time that was left
+    state.session.record(state.game, 'period');
+    setClock(clocks.game, toMs(state.game.settings.halfDuration));
+    setClock(clocks.raid, state.game.settings.raidClockDuration * 1000);
     updateControlDisplay();
     updateGameClockButton();
-    saveGameState();
     showToast(`Half ${state.game.gameState.half} started`, 'info', 2000);
 }
 
 function updateScore(team, points, type = 'default') {
     if (!state.game || !state.isHost) return;
-    state.game[team].score = Math.max(0, state.game[team].score + points);
-    
-    if (type === 'all-out') {
-        state.game[team].allOuts++;
-        showToast('All Out!', 'success', 2000);
-    }
 
     if (state.game.settings.enableRaidClock) {
         resetRaidClock();
     }
-    
-    const newPossession = team === 'teamA' ? 'teamB' : 'teamA';
-    setPossession(newPossession);
+
+    // Also hands possession to the other team (see reducer)
+    state.session.record(state.game, 'point', { team, points, allOut: type === 'all-out' });
+    if (type === 'all-out') {
+        showToast('All Out!', 'success', 2000);
+    }
     
     updateControlDisplay();
-    saveGameState();
 }
 
 function updateControlDisplay() {
@@ -877,25 +978,32 @@ function updateControlDisplay() {
     
     // Update possession
     updatePossessionDisplay();
+
+    if (state.isHost) state.history.updateButtons($('undoBtn'), $('redoBtn'));
 }
 
 function updateClocksUI() {
     if (!state.game) return;
     
+    const { clocks } = state.game.gameState;
+    if (state.view === 'viewer-view') {
+        // Spectators see the clocks on the viewer layout
+        updateViewerClocks();
+        return;
+    }
     if (state.game.settings.enableGameClock) {
-        $('gameClockDisplay').textContent = formatTime(state.game.gameState.gameTime.minutes, state.game.gameState.gameTime.seconds);
+        $('gameClockDisplay').textContent = formatClock(clockRemaining(clocks.game));
         $('halfDisplay').textContent = state.game.gameState.half;
     }
     if (state.game.settings.enableRaidClock) {
-        $('raidClockDisplay').textContent = state.game.gameState.raidClock;
+        $('raidClockDisplay').textContent = clockSeconds(clockRemaining(clocks.raid));
     }
 }
 
 function setPossession(team) {
     if (!state.game || !state.isHost) return;
-    state.game.gameState.possession = team;
-    updatePossessionDisplay();
-    saveGameState();
+    state.session.record(state.game, 'possession', { team });
+    updateControlDisplay();
 }
 
 function updatePossessionDisplay() {
@@ -937,7 +1045,10 @@ function showSpectatorView() {
         }
     }
 
-    if(state.game) updateSpectatorView();
+    if(state.game) {
+        updateSpectatorView();
+        syncTimers(); // The clocks may already be running
+    }
     setupFirebaseListener(); // Spectators also need the listener
 }
 
@@ -948,59 +1059,56 @@ function updateSpectatorView() {
     $('viewerTeamAScore').textContent = state.game.teamA.score;
     $('viewerTeamBScore').textContent = state.game.teamB.score;
     $('viewerGameName').textContent = state.game.settings.gameName;
+    // Two halves, then any extra halves played
+    $('viewerLineScore').innerHTML = renderLineScore(buildLineScore(state.game, {
+        periods: Math.max(2, state.game.gameState.half),
+        label: formatOrdinal
+    }));
 
+    updateViewerClocks();
+    
+    const viewerPossession = $('viewerPossession');
+    if(viewerPossession) {
+        viewerPossession.textContent = state.game.gameState.possession === 'teamA' ? state.game.teamA.name : state.game.teamB.name;
+    }
+}
+
+function updateViewerClocks() {
+    const { clocks } = state.game.gameState;
     if (state.game.settings.enableGameClock) {
-        $('viewerGameClock').textContent = formatTime(state.game.gameState.gameTime.minutes, state.game.gameState.gameTime.seconds);
+        $('viewerGameClock').textContent = formatClock(clockRemaining(clocks.game));
         $('viewerHalf').textContent = state.game.gameState.half;
     }
     if (state.game.settings.enableRaidClock) {
-        $('viewerRaidClock').textContent = state.game.gameState.raidClock;
+        $('viewerRaidClock').textContent = clockSeconds(clockRemaining(clocks.raid));
     }
-    
-    const viewerPossession = $('viewerPossession');
-    if(viewerPossession) {
-        viewerPossession.textContent = state.game.gameState.possession === 'teamA' ? state.game.teamA.name : state.game.teamB.name;
+}
+
+// Starts or stops the local tickers to match the clocks in state.game
+function syncTimers() {
+    const { clocks } = state.game.gameState;
+    if (clocks.game.running && !state.timers.gameTimer) {
+        startGameTimer();
+    } else if (!clocks.game.running && state.timers.gameTimer) {
+        stopGameTimer();
+    }
+    if (clocks.raid.running && !state.timers.raidTimer) {
+        startRaidTimerInterval();
+    } else if (!clocks.raid.running && state.timers.raidTimer) {
+        stopRaidTimer();
     }
 }
 
 function setupFirebaseListener() {
-    if (state.firestoreListener) state.firestoreListener(); // Detach old listener
-
-    state.firestoreListener = db.collection('games').doc(state.gameCode)
-      .onSnapshot((doc) => {
-          console.log('Received game update');
-          if (doc.exists) {
-              const newGame = doc.data();
-              
-              // If we are host, only update if the new data is newer
-              if (state.isHost && state.game && newGame.lastUpdate <= state.game.lastUpdate) {
-                  return; // Our local state is newer, don't overwrite
-              }
-              
-              state.game = newGame;
-              
-              if(state.view === 'control-view') updateControlDisplay();
-              if(state.view === 'viewer-view') updateSpectatorView();
-              
-              // Sync timers
-              const newState = state.game.gameState;
-              if (newState.gameRunning && !state.timers.gameTimer) {
-                  startGameTimer();
-              } else if (!newState.gameRunning && state.timers.gameTimer) {
-                  stopGameTimer();
-              }
-              if (newState.raidRunning && !state.timers.raidTimer) {
-                  startRaidTimerInterval();
-              } else if (!newState.raidRunning && state.timers.raidTimer) {
-                  stopRaidTimer();
-              }
-          } else {
-              showToast('Game session has ended', 'error', 3000);
-          }
-      }, (error) => {
-          console.error("Error in Firestore listener:", error);
-          showToast('Connection lost', 'error', 3000);
-      });
+    state.session.subscribe((newGame) => {
+        console.log('Received game update');
+        state.game = newGame;
+        
+        if(state.view === 'control-view') updateControlDisplay();
+        if(state.view === 'viewer-view') updateSpectatorView();
+        
+        syncTimers();
+    });
 }
 
 
@@ -1025,6 +1133,9 @@ async function init(utils, user, urlParams) {
     showToast = utils.showToast;
     copyToClipboard = utils.copyToClipboard;
     state.user = user;
+    state.session = createGameSession({ sport: 'kabaddi', user, notify: showToast, reducer, schema })
+    state.history = createUndoHistory({ session: state.session, getGame: () => state.game, describe: describeEvent });
+    syncServerTime(); // Runs in the background; clocks use local time until it's done;
     
     const watchCode = urlParams.get('watch');
     const hostMode = urlParams.get('host');
@@ -1040,19 +1151,19 @@ async function init(utils, user, urlParams) {
         state.isHost = true;
         if (resumeCode) {
             // --- HOST IS RESUMING ---
-            state.game = await loadGameState(resumeCode);
-            if (state.game && (state.game.hostId === state.user?.uid || !state.game.hostId)) {
+            state.game = await state.session.resume(resumeCode);
+            if (state.game) {
                 state.gameCode = resumeCode;
                 state.gameType = state.game.gameType;
                 showToast(`Resuming game: ${state.gameCode}`, 'success');
                 showControlView(); // Go straight to game
             } else {
                 showToast(`Game ${resumeCode} not found or invalid.`, 'error');
-                showConfigurationView(); // Fallback to new game
+                await showConfigurationView(); // Fallback to new game
             }
         } else {
             // --- HOST IS STARTING NEW GAME ---
-            showConfigurationView();
+            await showConfigurationView();
         }
     } else {
         // Should not happen, send home
@@ -1067,5 +1178,6 @@ async function init(utils, user, urlParams) {
 export default {
     sportName: "Kabaddi",
     buildHtml,
-    init
+    init,
+    schema // Document shape and migrations (see modules/game-schema.js)
 };
\ No newline at end of file
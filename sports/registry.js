@@ -0,0 +1,119 @@
+// Every sport the app can load is listed here. main.js only imports sport
+// modules found in this registry, and sports.html builds its sport grid and
+// previous-game cards from it, so adding a sport means adding a manifest.
+//
+// Manifest fields:
+//   id              - value of the ?sport= param and game.sport
+//   name            - display name
+//   icon            - emoji shown on cards
+//   description     - one line for the sport grid
+//   modes           - which of 'host' (signed in), 'free' (guest) and 'watch' it supports
+//   defaultSettings - settings a new game starts with
+//   version         - release of the sport module, shown in the console when it loads
+//                     (the game document's shape is versioned by its schema in
+//                     game-schema.js, not by this)
+//   entry           - module path, relative to this file
+
+const SPORTS = [
+    {
+        id: 'basketball',
+        name: 'Basketball',
+        icon: '🏀',
+        description: 'Live scoreboard, stats, and shot clock management.',
+        modes: ['host', 'free', 'watch'],
+        defaultSettings: {
+            gameName: 'Basketball Game',
+            rules: 'nba', // See basketball-rules.js
+            format: '5x5',
+            periodDuration: 12,
+            overtimeDuration: 5,
+            intervalDuration: 2,
+            halftimeDuration: 15,
+            shotClockDuration: 24,
+            shotClockReset: 14,
+            timeouts: { firstHalf: 7, secondHalf: 0, overtime: 2, carryOver: 'half', lateLimit: { minutes: 3, max: 2 } },
+            timeoutDuration: 75,
+            periodType: 'quarter',
+            bonusFouls: 5,
+            doubleBonusFouls: 0,
+            foulOutLimit: 6,
+            technicalsCountTowardFoulOut: false,
+            foulsCarryIntoOvertime: false
+        },
+        version: '1.0.0',
+        entry: './basketball.js'
+    },
+    {
+        id: 'kabaddi',
+        name: 'Kabaddi',
+        icon: '🏃‍♂️',
+        description: 'Live scoreboard with raid and game timers.',
+        modes: ['host', 'free', 'watch'],
+        defaultSettings: {
+            gameName: 'Kabaddi Game',
+            halfDuration: 20,
+            raidClockDuration: 30
+        },
+        version: '1.0.0',
+        entry: './kabaddi.js'
+    },
+    {
+        id: 'volleyball',
+        name: 'Volleyball',
+        icon: '🏐',
+        description: 'Score points and track sets won.',
+        modes: ['host', 'free', 'watch'],
+        defaultSettings: {},
+        version: '1.0.0',
+        entry: './volleyball.js'
+    },
+    {
+        id: 'badminton',
+        name: 'Badminton',
+        icon: '🏸',
+        description: 'Score points and track games won.',
+        modes: ['host', 'free', 'watch'],
+        defaultSettings: {},
+        version: '1.0.0',
+        entry: './badminton.js'
+    },
+    {
+        id: 'general',
+        name: 'General Points',
+        icon: '⭐',
+        description: 'A simple +1 / -1 scoreboard for any event.',
+        modes: ['host', 'free', 'watch'],
+        defaultSettings: {},
+        version: '1.0.0',
+        entry: './general.js'
+    }
+];
+
+/**
+ * Returns the manifest for a sport id, or null if there is no such sport
+ */
+function getSport(id) {
+    return SPORTS.find(sport => sport.id === id) || null;
+}
+
+/**
+ * True if the sport can be opened in the given mode
+ */
+function supportsMode(sport, mode) {
+    return !!sport && sport.modes.includes(mode);
+}
+
+/**
+ * Imports a registered sport module and checks it has what main.js needs
+ * @param {object} sport - A manifest from this registry
+ */
+async function loadSport(sport) {
+    const module = await import(sport.entry);
+    const sportModule = module && module.default;
+    if (!sportModule || typeof sportModule.buildHtml !== 'function' || typeof sportModule.init !== 'function') {
+        throw new Error(`Sport module for "${sport.id}" is invalid.`);
+    }
+    return sportModule;
+}
+
+export { SPORTS, getSport, supportsMode, loadSport };
@@ -1,5 +1,8 @@
-// Import the firebase services we need
-import { db, firebase } from '../modules/firebase.js';
+// Import the shared game session
+import { createGameSession } from '../modules/game-session.js';
+import { showSyncStatus } from '../modules/sync-status.js';
+import { gameDocumentSchema } from '../modules/game-schema.js';
+import { createUndoHistory } from '../modules/undo-history.js';
 
 // Get access to the global utilities from main.js
 let $;
@@ -13,7 +16,8 @@ const state = {
     user: null, // Will be set by init
     gameCode: null,
     game: null, // This will hold our game data from Firebase
-    firestoreListener: null // This will hold our "live" listener
+    session: null, // The shared game session (see modules/game-session.js)
+    history: null // Undo/redo over the event log (see modules/undo-history.js)
 };
 
 // ================== HTML BUILDER ==================
@@ -32,6 +36,9 @@ function buildHtml() {
                     </div>
                 </div>
                 <div class="control-actions">
+                    <span id="syncStatus" class="hidden"></span>
+                    <button id="undoBtn" class="btn btn--outline host-control" style="display: none;" disabled>Undo</button>
+                    <button id="redoBtn" class="btn btn--outline host-control" style="display: none;" disabled>Redo</button>
                     <button id="shareGameBtn" class="btn btn--outline">Share Link</button>
                     <button id="finalizeGameBtn" class="btn btn--danger host-control" style="display: none;">End Game</button>
                 </div>
@@ -78,14 +85,8 @@ function buildHtml() {
 
 // ================== HELPER FUNCTIONS ==================
 
-function generateGameCode() {
-    return Math.floor(100000 + Math.random() * 900000).toString();
-}
-
-function createGameSkeleton(code) {
+function createGameSkeleton() {
     return {
-        hostId: state.user ? state.user.uid : null,
-        code: code,
         sport: 'volleyball',
         status: 'live',
         teamA: {
@@ -102,31 +103,60 @@ function createGameSkeleton(code) {
     };
 }
 
-async function saveGameState() {
-    if (!state.isHost || !state.game || !db) return;
-    try {
-        state.game.lastUpdate = Date.now();
-        await db.collection('games').doc(state.gameCode).set(state.game);
-    } catch (e) {
-        console.warn('Failed to save game to Firebase:', e);
-        if (state.user) {
-            showToast('Sync failed. Check permissions.', 'error', 2000);
+// ================== EVENT REDUCER ==================
+// Rebuilds the score from the game's event log (see modules/event-log.js)
+const reducer = {
+    reset(game) {
+        ['teamA', 'teamB'].forEach(team => {
+            game[team].score = 0;
+            game[team].sets = 0;
+        });
+    },
+    apply(game, event) {
+        const { team, points } = event.payload;
+        if (event.type === 'point') {
+            game[team].score = Math.max(0, game[team].score + points);
+        } else if (event.type === 'period') {
+            // Awarding a set ends it; the next one starts from 0-0
+            game[team].sets++;
+            game.teamA.score = 0;
+            game.teamB.score = 0;
         }
+    },
+    clock(game) {
+        return { set: game.teamA.sets + game.teamB.sets + 1 };
     }
+};
+
+// ================== GAME SCHEMA ==================
+// See modules/game-schema.js. Bump version and add a migration whenever the
+// document changes shape.
+const schema = {
+    version: 1,
+    document: gameDocumentSchema({
+        team: { sets: { type: 'integer', minimum: 0 } }
+    }),
+    migrations: [
+        {
+            version: 1,
+            description: 'start versioning volleyball games',
+            up(game) {
+                ['teamA', 'teamB'].forEach(team => { game[team].sets = game[team].sets || 0; });
+            }
+        }
+    ]
+};
+
+// Short text for an event, shown when confirming an undo or redo
+function describeEvent(event, game) {
+    const { team, points } = event.payload;
+    const name = game[team]?.name || team;
+    if (event.type === 'period') return `Set to ${name}`;
+    return `${name} ${points > 0 ? '+' : ''}${points}`;
 }
 
-async function loadGameState(code) {
-    if (!db) {
-        showToast('Database not connected', 'error', 3000);
-        return null;
-    }
-    try {
-        const doc = await db.collection('games').doc(code).get();
-        return doc.exists ? doc.data() : null;
-    } catch (e) {
-        console.warn('Failed to load game from Firebase:', e);
-        return null;
-    }
+function saveGameState() {
+    return state.session.save(state.game);
 }
 
 function updateUI() {
@@ -161,6 +191,7 @@ function updateUI() {
         $('teamBNameInput').style.display = 'block';
         $('teamANameDisplay').style.display = 'none';
         $('teamBNameDisplay').style.display = 'none';
+        state.history.updateButtons($('undoBtn'), $('redoBtn'));
         $('finalizeGameBtn').style.display = 'flex'; // This one is a flex item
     }
 }
@@ -173,8 +204,8 @@ function attachHostListeners() {
         btn.onclick = (e) => {
             const team = e.target.dataset.team;
             const points = parseInt(e.target.dataset.points);
-            state.game[team].score = Math.max(0, state.game[team].score + points);
-            saveGameState();
+            state.session.record(state.game, 'point', { team, points });
+            updateUI();
         };
     });
     
@@ -182,6 +213,20 @@ function attachHostListeners() {
     $('awardSetTeamA').onclick = () => awardSet('teamA');
     $('awardSetTeamB').onclick = () => awardSet('teamB');
 
+    // Undo / redo
+    $('undoBtn').onclick = () => {
+        const undone = state.history.undo();
+        if (!undone) return;
+        updateUI();
+        showToast(`Undone: ${describeEvent(undone, state.game)}`, 'success', 2000);
+    };
+    $('redoBtn').onclick = () => {
+        const redone = state.history.redo();
+        if (!redone) return;
+        updateUI();
+        showToast(`Redone: ${describeEvent(redone, state.game)}`, 'success', 2000);
+    };
+
     // Team name inputs
     $('teamANameInput').onchange = (e) => {
         state.game.teamA.name = e.target.value || 'Team A';
@@ -201,8 +246,7 @@ function attachHostListeners() {
     };
     $('finalizeGameBtn').onclick = () => {
         if (confirm('Are you sure you want to end this game?')) {
-            state.game.status = 'final';
-            saveGameState().then(() => {
+            state.session.finalize(state.game).then(() => {
                 showToast('Game finalized!', 'success', 2000);
                 window.location.href = state.user ? 'sports.html?mode=host' : 'index.html';
             });
@@ -212,47 +256,22 @@ function attachHostListeners() {
 
 function awardSet(team) {
     if (!state.isHost) return;
-    state.game[team].sets++;
-    state.game.teamA.score = 0;
-    state.game.teamB.score = 0;
+    state.session.record(state.game, 'period', { team });
+    updateUI();
     showToast(`Set awarded to ${state.game[team].name}!`, 'success', 2000);
-    saveGameState();
 }
 
 function setupFirebaseListener() {
-    if (state.firestoreListener) state.firestoreListener(); 
-
-    state.firestoreListener = db.collection('games').doc(state.gameCode)
-        .onSnapshot((doc) => {
-            if (doc.exists) {
-                console.log('Received game update from Firebase');
-                const newGame = doc.data();
-                // If we are host, only update if the new data is newer
-                if (state.isHost && state.game && newGame.lastUpdate <= state.game.lastUpdate) {
-                    return;
-                }
-                state.game = newGame;
-                updateUI();
-            } else {
-                showToast('Game session not found or deleted', 'error', 3000);
-            }
-        }, (error) => {
-            console.error("Error in Firestore listener:", error);
-            showToast('Connection lost', 'error', 3000);
-        });
+    state.session.subscribe((newGame) => {
+        console.log('Received game update from Firebase');
+        state.game = newGame;
+        updateUI();
+    });
 }
 
-async function updateUserProfileWithGame(gameCode) {
-    if (!state.user || !db || !firebase) return;
-    const userRef = db.collection('users').doc(state.user.uid);
-    try {
-        await userRef.update({
-            hostedGames: firebase.firestore.FieldValue.arrayUnion(gameCode)
-        });
-        console.log('User profile updated with new game.');
-    } catch (error) {
-        console.error('Error updating user profile:', error);
-    }
+async function startNewGame() {
+    state.gameCode = await state.session.reserveCode();
+    state.game = await state.session.create(state.gameCode, createGameSkeleton());
 }
 
 // ================== INITIALIZER (CALLED BY MAIN.JS) ==================
@@ -265,6 +284,8 @@ async function init(utils, user, urlParams) {
     showToast = utils.showToast;
     copyToClipboard = utils.copyToClipboard;
     state.user = user;
+    state.session = createGameSession({ sport: 'volleyball', user, notify: showToast, reducer, schema });
+    state.history = createUndoHistory({ session: state.session, getGame: () => state.game, describe: describeEvent });
     
     const watchCode = urlParams.get('watch');
     const hostMode = urlParams.get('host');
@@ -273,36 +294,30 @@ async function init(utils, user, urlParams) {
     if (watchCode) {
         // --- SPECTATOR ---
         state.isHost = false;
-        state.gameCode = watchCode;
-        state.game = await loadGameState(watchCode);
+        state.game = await state.session.watch(watchCode);
         if (!state.game) {
             showToast('Game not found!', 'error', 3000);
             window.location.href = 'index.html';
             return;
         }
+        state.gameCode = watchCode;
         
     } else if (hostMode) {
         // --- HOST ---
         state.isHost = true;
         if (resumeCode) {
             // --- HOST IS RESUMING ---
-            state.game = await loadGameState(resumeCode);
-            if (state.game && (state.game.hostId === state.user?.uid || !state.game.hostId)) {
+            state.game = await state.session.resume(resumeCode);
+            if (state.game) {
                 state.gameCode = resumeCode;
                 showToast(`Resuming game: ${state.gameCode}`, 'success');
             } else {
                 showToast(`Game ${resumeCode} not found. Starting new game.`, 'warning');
-                state.gameCode = generateGameCode();
-                state.game = createGameSkeleton(state.gameCode);
-                await saveGameState();
-                if (state.user) await updateUserProfileWithGame(state.gameCode);
+                await startNewGame();
             }
         } else {
             // --- HOST IS STARTING NEW GAME ---
-            state.gameCode = generateGameCode();
-            state.game = createGameSkeleton(state.gameCode);
-            await saveGameState();
-            if (state.user) await updateUserProfileWithGame(state.gameCode);
+            await startNewGame();
         }
         
     } else {
@@ -312,6 +327,7 @@ async function init(utils, user, urlParams) {
 
     if (state.isHost) {
         attachHostListeners();
+        showSyncStatus($('syncStatus'));
     }
     setupFirebaseListener();
     updateUI();
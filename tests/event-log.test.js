@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEvent, replayEvents } from '../modules/event-log.js';
+
+// A sport with nothing but a score
+const reducer = {
+    reset(game) {
+        game.teamA.score = 0;
+        game.teamB.score = 0;
+    },
+    apply(game, event) {
+        if (event.type === 'point') game[event.payload.team].score += event.payload.points;
+    },
+    clock: () => null
+};
+
+function newGame() {
+    return { eventLog: true, teamA: { score: 0 }, teamB: { score: 0 } };
+}
+
+// Events made in the same millisecond would sort by their random ids, so
+// each one here is stamped a millisecond after the last
+let lastAt = Date.now();
+
+function recorded(type, payload) {
+    return { ...createEvent(type, payload), at: ++lastAt };
+}
+
+function point(team, points) {
+    return recorded('point', { team, points });
+}
+
+test('replaying the log leaves out undone events until they are redone', () => {
+    const two = point('teamA', 2);
+    const three = point('teamB', 3);
+    const events = [two, three, recorded('undo', { target: two.id })];
+
+    const game = replayEvents(newGame(), events, reducer);
+    assert.equal(game.teamA.score, 0);
+    assert.equal(game.teamB.score, 3);
+
+    events.push(recorded('redo', { target: two.id }));
+    replayEvents(game, events, reducer);
+    assert.equal(game.teamA.score, 2);
+    assert.equal(game.teamB.score, 3);
+});
+
+test('replaying the log follows the order events were recorded in, not the order they arrived', () => {
+    const two = point('teamA', 2);
+    const undo = recorded('undo', { target: two.id });
+    const redo = recorded('redo', { target: two.id });
+
+    // A redo that arrives before its undo still comes after it
+    const game = replayEvents(newGame(), [redo, two, undo], reducer);
+    assert.equal(game.teamA.score, 2);
+});
+
+test('replaying the log applies edits on top of the events they correct', () => {
+    const two = point('teamA', 2);
+    const events = [
+        two,
+        recorded('edit', { target: two.id, changes: { team: 'teamB' } }),
+        recorded('edit', { target: two.id, changes: { points: 3 } })
+    ];
+
+    const game = replayEvents(newGame(), events, reducer);
+    assert.equal(game.teamA.score, 0);
+    assert.equal(game.teamB.score, 3);
+    assert.deepEqual(two.payload, { team: 'teamA', points: 2 }); // The stored event is unchanged
+
+    // Undoing an edited event takes its corrected points off
+    events.push(recorded('undo', { target: two.id }));
+    replayEvents(game, events, reducer);
+    assert.equal(game.teamB.score, 0);
+});
+
+test('games without an event log are left as saved', () => {
+    const game = { teamA: { score: 5 }, teamB: { score: 1 } };
+    replayEvents(game, [point('teamA', 2)], reducer);
+    assert.deepEqual(game, { teamA: { score: 5 }, teamB: { score: 1 } });
+});
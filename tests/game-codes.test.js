@@ -0,0 +1,77 @@
+// Two hosts must never end up on the same game code. These run the
+// reservations against the in-memory backend, which behaves like Firestore's
+// create-if-missing transaction.
+
+import './helpers/browser-globals.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { reserveGameCode, CODES_COLLECTION } from '../modules/game-codes.js';
+import { createMemoryAdapter } from '../modules/storage/memory.js';
+
+const realRandom = Math.random;
+
+// Makes generateGameCode() draw the given codes in order
+function drawCodes(...codes) {
+    const values = codes.map(code => (Number(code) - 100000) / 900000);
+    Math.random = () => values.shift() ?? realRandom();
+}
+
+afterEach(() => {
+    Math.random = realRandom;
+});
+
+test('two hosts asking for the same code at once: one wins, the other gets already-exists', async () => {
+    const storage = createMemoryAdapter();
+    const results = await Promise.allSettled([
+        reserveGameCode(storage, { code: '246810', owner: { hostId: 'host-1' } }),
+        reserveGameCode(storage, { code: '246810', owner: { hostId: 'host-2' } })
+    ]);
+
+    const won = results.filter(r => r.status === 'fulfilled');
+    const lost = results.filter(r => r.status === 'rejected');
+    assert.equal(won.length, 1);
+    assert.equal(lost.length, 1);
+    assert.equal(lost[0].reason.code, 'already-exists');
+
+    const reservation = await storage.get(CODES_COLLECTION, '246810');
+    assert.equal(reservation.hostId, won[0] === results[0] ? 'host-1' : 'host-2');
+});
+
+test('two hosts drawing the same random code at once end up on different codes', async () => {
+    const storage = createMemoryAdapter();
+    // Both draw 111111 first; whoever loses draws again
+    drawCodes('111111', '111111', '222222');
+    const codes = await Promise.all([
+        reserveGameCode(storage, { owner: { hostId: 'host-1' }, format: 'digits' }),
+        reserveGameCode(storage, { owner: { hostId: 'host-2' }, format: 'digits' })
+    ]);
+
+    assert.notEqual(codes[0], codes[1]);
+    assert.deepEqual([...codes].sort(), ['111111', '222222']);
+    const owners = await Promise.all(codes.map(code => storage.get(CODES_COLLECTION, code)));
+    assert.deepEqual(owners.map(o => o.hostId).sort(), ['host-1', 'host-2']);
+});
+
+test('a code already used by a game saved before reservations is never handed out', async () => {
+    const storage = createMemoryAdapter();
+    await storage.set('games', '333333', { code: '333333', hostId: 'old-host' });
+
+    await assert.rejects(
+        reserveGameCode(storage, { code: '333333', owner: { hostId: 'host-1' } }),
+        { code: 'already-exists' }
+    );
+
+    drawCodes('333333', '444444');
+    assert.equal(await reserveGameCode(storage, { owner: { hostId: 'host-1' }, format: 'digits' }), '444444');
+});
+
+test('gives up with resource-exhausted when every code drawn is taken', async () => {
+    const storage = createMemoryAdapter();
+    await reserveGameCode(storage, { code: '555555', owner: { hostId: 'host-1' } });
+    Math.random = () => (555555 - 100000) / 900000;
+
+    await assert.rejects(
+        reserveGameCode(storage, { owner: { hostId: 'host-2' }, format: 'digits' }),
+        { code: 'resource-exhausted' }
+    );
+});
@@ -0,0 +1,104 @@
+// Games saved before documents were versioned (schema v0) must load in
+// today's shape. The documents here are what the first versions of the
+// basketball and kabaddi scoreboards saved.
+
+import './helpers/browser-globals.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { upgradeGame, validate } from '../modules/game-schema.js';
+import basketball from '../sports/basketball.js';
+import kabaddi from '../sports/kabaddi.js';
+
+function v0Basketball() {
+    return {
+        hostId: 'host-1',
+        code: '123456',
+        gameType: 'full',
+        sport: 'basketball',
+        status: 'live',
+        settings: { gameName: 'Final', periodDuration: 10, shotClockDuration: 24, timeoutsPerTeam: 5, periodType: 'quarter', periodCount: 4 },
+        teamA: {
+            name: 'Lions', color: '#EA4335', score: 12, timeouts: 4, fouls: 2,
+            roster: [{ number: 7, name: 'Sam' }],
+            stats: { 7: { freeThrows: 2, fieldGoals: 5, threePointers: 0, offensiveRebounds: 1, defensiveRebounds: 3, assists: 2, steals: 0, blocks: 1, turnovers: 1, fouls: 2, minutes: 0, totalPoints: 12 } }
+        },
+        teamB: { name: 'Tigers', color: '#4285F4', score: 9, timeouts: 5, fouls: 1, roster: [], stats: {} },
+        gameState: {
+            period: 2,
+            gameTime: { minutes: 4, seconds: 30 },
+            shotClock: 14,
+            possession: 'teamB',
+            gameRunning: true,
+            shotClockRunning: true
+        },
+        lastUpdate: 1700000000000
+    };
+}
+
+function v0Kabaddi() {
+    return {
+        hostId: 'host-1',
+        code: '654321',
+        sport: 'kabaddi',
+        status: 'live',
+        gameType: 'friendly',
+        settings: { gameName: 'Kabaddi Game', halfDuration: 20, raidClockDuration: 30, enableGameClock: true, enableRaidClock: true },
+        teamA: { name: 'Team A', color: '#FF6B35', score: 15, allOuts: 1 },
+        teamB: { name: 'Team B', color: '#1B263B', score: 11, allOuts: 0 },
+        gameState: {
+            half: 2,
+            gameTime: { minutes: 12, seconds: 5 },
+            raidClock: 18,
+            possession: 'teamA',
+            gameRunning: true,
+            raidRunning: false
+        },
+        lastUpdate: 1700000000000
+    };
+}
+
+test('a v0 basketball game migrates to the current schema', () => {
+    const { schema } = basketball;
+    const game = upgradeGame(v0Basketball(), schema);
+
+    assert.equal(game.schemaVersion, schema.version);
+    assert.deepEqual(validate(schema.document, game), []);
+
+    // The score and stats are kept, and the clocks come back paused where they stood
+    assert.equal(game.teamA.score, 12);
+    assert.equal(game.teamA.stats[7].totalPoints, 12);
+    assert.equal(game.gameState.period, 2);
+    assert.deepEqual(game.gameState.clocks.game, { running: false, startedAt: null, remainingMs: 270000 });
+    assert.deepEqual(game.gameState.clocks.shot, { running: false, startedAt: null, remainingMs: 14000 });
+    assert.equal(game.gameState.gameTime, undefined);
+
+    // It keeps its timeouts and team fouls as it was set up, under custom rules
+    assert.equal(game.settings.rules, 'custom');
+    assert.equal(game.settings.timeouts.firstHalf, 5);
+    assert.equal(game.settings.timeouts.carryOver, 'all');
+    assert.equal(game.settings.timeoutsPerTeam, undefined);
+    assert.equal(game.settings.foulsCarryIntoOvertime, false);
+});
+
+test('a v0 kabaddi game migrates to the current schema', () => {
+    const { schema } = kabaddi;
+    const game = upgradeGame(v0Kabaddi(), schema);
+
+    assert.equal(game.schemaVersion, schema.version);
+    assert.deepEqual(validate(schema.document, game), []);
+
+    assert.equal(game.teamA.score, 15);
+    assert.equal(game.teamA.allOuts, 1);
+    assert.equal(game.gameState.half, 2);
+    assert.deepEqual(game.gameState.clocks.game, { running: false, startedAt: null, remainingMs: 725000 });
+    assert.deepEqual(game.gameState.clocks.raid, { running: false, startedAt: null, remainingMs: 18000 });
+    assert.equal(game.gameState.raidClock, undefined);
+});
+
+test('migrating an up-to-date game changes nothing', () => {
+    const { schema } = basketball;
+    const game = upgradeGame(v0Basketball(), schema);
+    const before = structuredClone(game);
+    upgradeGame(game, schema);
+    assert.deepEqual(game, before);
+});
@@ -0,0 +1,33 @@
+// A host only ever gets a game code that was reserved on the server.
+
+import './helpers/browser-globals.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGameSession } from '../modules/game-session.js';
+import { createMemoryAdapter } from '../modules/storage/memory.js';
+
+test('reserveCode refuses to host when the reservation cannot reach the server', async () => {
+    const storage = createMemoryAdapter();
+    let attempts = 0;
+    storage.create = async () => {
+        attempts++;
+        const error = new Error('Write timed out');
+        error.code = 'timeout';
+        throw error;
+    };
+    const notices = [];
+    const session = createGameSession({ sport: 'general', user: { uid: 'host-1' }, storage, notify: text => notices.push(text), reserveRetryMs: 0 });
+
+    await assert.rejects(session.reserveCode(), { code: 'unavailable' });
+    assert.equal(attempts, 3);
+    assert.equal(notices.length, 1);
+});
+
+test('reserveCode passes already-exists straight through', async () => {
+    const storage = createMemoryAdapter();
+    const first = createGameSession({ sport: 'general', user: { uid: 'host-1' }, storage });
+    const second = createGameSession({ sport: 'general', user: { uid: 'host-2' }, storage });
+
+    assert.equal(await first.reserveCode('135790'), '135790');
+    await assert.rejects(second.reserveCode('135790'), { code: 'already-exists' });
+});
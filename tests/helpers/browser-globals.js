@@ -0,0 +1,19 @@
+// The app's modules are written for the browser and read window and
+// localStorage when they load. Import this before any of them in a test.
+
+const store = new Map();
+
+globalThis.window = globalThis.window || {
+    location: { hostname: 'localhost', search: '', origin: 'http://localhost', pathname: '/' },
+    addEventListener() {}
+};
+
+globalThis.localStorage = globalThis.localStorage || {
+    getItem: key => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => { store.set(key, String(value)); },
+    removeItem: key => { store.delete(key); }
+};
+
+globalThis.alert = globalThis.alert || (() => {});
+
+if (!globalThis.navigator) globalThis.navigator = { onLine: true };
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addPeriodPoints, buildLineScore, formatOrdinal } from '../modules/line-score.js';
+
+test('addPeriodPoints counts points into the current period', () => {
+    const team = { periodScores: [0] };
+    addPeriodPoints(team, 1, 2);
+    addPeriodPoints(team, 2, 0);
+    addPeriodPoints(team, 2, 3);
+    assert.deepEqual(team.periodScores, [2, 3]);
+});
+
+test('addPeriodPoints leaves periods nobody counted empty on migrated games', () => {
+    const team = { periodScores: [] };
+    addPeriodPoints(team, 3, 2);
+    assert.deepEqual(team.periodScores, [null, null, 2]);
+
+    addPeriodPoints(team, 4, 0);
+    assert.deepEqual(team.periodScores, [null, null, 2, 0]);
+
+    const game = {
+        teamA: { name: 'A', color: '#000', score: 2, ...team },
+        teamB: { name: 'B', color: '#fff', score: 0, periodScores: [] }
+    };
+    const { rows } = buildLineScore(game, { periods: 4, label: formatOrdinal });
+    assert.deepEqual(rows[0].cells, ['-', '-', 2, 0]);
+    assert.deepEqual(rows[1].cells, ['-', '-', '-', '-']);
+});
+
+test('addPeriodPoints starts a list on games that have none', () => {
+    const team = {};
+    addPeriodPoints(team, 1, 1);
+    assert.deepEqual(team.periodScores, [1]);
+});
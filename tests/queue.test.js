@@ -0,0 +1,149 @@
+// The write queue (storage/queue.js) against a fake server. Every tab on a
+// device shares one queue, so the queue store here is a memory adapter that
+// several queued adapters ("tabs") are created on.
+
+import './helpers/browser-globals.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createQueuedAdapter } from '../modules/storage/queue.js';
+import { createMemoryAdapter } from '../modules/storage/memory.js';
+
+const EVENTS = 'games/123456/events';
+const FAST = { writeTimeoutMs: 20, retryIntervalMs: 10 };
+
+// Stands in for Firestore: events can be created but never written again,
+// like the security rules say. `hang` writes are applied but never answered,
+// the way the SDK keeps a write pending after we stop waiting for it.
+function createFakeRemote({ hang = 0, error = null } = {}) {
+    const server = createMemoryAdapter();
+    const sets = [];
+    return {
+        name: 'fake',
+        server,
+        sets,
+        async get(collection, id) {
+            return server.get(collection, id);
+        },
+        async set(collection, id, data) {
+            sets.push(id);
+            if (error) throw Object.assign(new Error(error), { code: error });
+            if (collection.endsWith('/events') && await server.get(collection, id)) {
+                throw Object.assign(new Error('Missing or insufficient permissions.'), { code: 'permission-denied' });
+            }
+            await server.set(collection, id, data);
+            if (hang > 0) {
+                hang--;
+                return new Promise(() => {});
+            }
+        },
+        update: (...args) => server.update(...args),
+        list: (...args) => server.list(...args),
+        arrayUnion: server.arrayUnion
+    };
+}
+
+async function waitFor(check, what) {
+    for (let i = 0; i < 200; i++) {
+        if (await check()) return;
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    assert.fail(`Timed out waiting for ${what}`);
+}
+
+function statusOf(adapter) {
+    let status = null;
+    adapter.onStatusChange(s => { status = s; });
+    return () => status;
+}
+
+test('an event write that timed out but reached the server is not sent again', async () => {
+    const remote = createFakeRemote({ hang: 1 });
+    const store = createMemoryAdapter();
+    const queued = createQueuedAdapter(remote, { store, getOwner: () => 'host-1', ...FAST });
+    const status = statusOf(queued);
+
+    await queued.set(EVENTS, 'e1', { id: 'e1', type: 'point' });
+    await waitFor(() => status().state === 'synced' && status().pending === 0, 'the queue to drain');
+
+    assert.deepEqual(remote.sets, ['e1']);
+    assert.equal(status().rejected, 0);
+    assert.deepEqual(await remote.server.get(EVENTS, 'e1'), { id: 'e1', type: 'point' });
+    assert.deepEqual(await store.list('writes'), []);
+});
+
+test('an event write that timed out before reaching the server is sent again', async () => {
+    const remote = createFakeRemote();
+    const realSet = remote.set;
+    let first = true;
+    remote.set = (...args) => {
+        if (!first) return realSet(...args);
+        first = false;
+        remote.sets.push(args[1]);
+        return new Promise(() => {}); // Lost on the way, never applied
+    };
+    const queued = createQueuedAdapter(remote, { store: createMemoryAdapter(), getOwner: () => 'host-1', ...FAST });
+    const status = statusOf(queued);
+
+    await queued.set(EVENTS, 'e1', { id: 'e1', type: 'point' });
+    await waitFor(() => status().state === 'synced' && status().pending === 0, 'the queue to drain');
+
+    assert.deepEqual(remote.sets, ['e1', 'e1']);
+    assert.deepEqual(await remote.server.get(EVENTS, 'e1'), { id: 'e1', type: 'point' });
+});
+
+test("a spectator tab leaves the host's queued writes alone", async () => {
+    const store = createMemoryAdapter();
+    const offline = createFakeRemote({ error: 'unavailable' });
+    const host = createQueuedAdapter(offline, { store, getOwner: () => 'host-1', ...FAST });
+    await host.set(EVENTS, 'e1', { id: 'e1', type: 'point' });
+    await waitFor(() => offline.sets.length > 0, 'the host to try sending');
+
+    // A ?watch= tab is not signed in; the rules would refuse the host's write
+    const refusing = createFakeRemote({ error: 'permission-denied' });
+    const spectator = createQueuedAdapter(refusing, { store, getOwner: () => null, ...FAST });
+    const spectatorStatus = statusOf(spectator);
+    await spectator.flush();
+
+    assert.deepEqual(refusing.sets, []);
+    assert.equal(spectatorStatus().pending, 0);
+    assert.equal((await store.list('writes')).length, 1);
+
+    // The host reloads with the connection back and sends it
+    const online = createFakeRemote();
+    const reloaded = createQueuedAdapter(online, { store, getOwner: () => 'host-1', ...FAST });
+    const status = statusOf(reloaded);
+    await waitFor(() => status().state === 'synced' && online.sets.length === 1, 'the reloaded host to send');
+    assert.deepEqual(await online.server.get(EVENTS, 'e1'), { id: 'e1', type: 'point' });
+    assert.deepEqual(await store.list('writes'), []);
+});
+
+test('two tabs of the same host send each queued write once', async () => {
+    // A lock shared by the "tabs", standing in for navigator.locks
+    let held = Promise.resolve();
+    globalThis.navigator.locks = {
+        request(name, fn) {
+            const run = held.then(() => fn());
+            held = run.catch(() => {});
+            return run;
+        }
+    };
+    try {
+        const store = createMemoryAdapter();
+        const offline = createFakeRemote({ error: 'unavailable' });
+        const first = createQueuedAdapter(offline, { store, getOwner: () => 'host-1', ...FAST });
+        await first.set(EVENTS, 'e1', { id: 'e1', type: 'point' });
+        await first.set(EVENTS, 'e2', { id: 'e2', type: 'point' });
+
+        const remote = createFakeRemote();
+        const tabs = [
+            createQueuedAdapter(remote, { store, getOwner: () => 'host-1', ...FAST }),
+            createQueuedAdapter(remote, { store, getOwner: () => 'host-1', ...FAST })
+        ];
+        await Promise.all(tabs.map(tab => tab.flush()));
+        await waitFor(async () => (await store.list('writes')).length === 0, 'the queue to drain');
+
+        assert.deepEqual(remote.sets, ['e1', 'e2']);
+    } finally {
+        delete globalThis.navigator.locks;
+    }
+});
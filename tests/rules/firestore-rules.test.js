@@ -0,0 +1,187 @@
+// Checks firestore.rules against the Firestore emulator. Needs the emulator
+// running, so it is not part of `npm test`; run it with `npm run test:rules`.
+
+import { test, before, beforeEach, after } from 'node:test';
+import { readFileSync } from 'node:fs';
+import { initializeTestEnvironment, assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import firebase from 'firebase/compat/app';
+import 'firebase/compat/firestore';
+
+const OWNER = 'owner-uid';
+const GUEST = 'guest-uid';
+const ATTACKER = 'attacker-uid';
+
+const GAME = '111111';
+const GUEST_GAME = '222222';
+const LEGACY_GAME = '333333';
+const FREE_CODE = '444444';
+
+let testEnv;
+
+// Firestore for a signed-in host, an anonymous guest or a spectator
+function hostDb(uid) {
+    return testEnv.authenticatedContext(uid).firestore();
+}
+
+function guestDb(uid) {
+    return testEnv.authenticatedContext(uid, { firebase: { sign_in_provider: 'anonymous' } }).firestore();
+}
+
+function spectatorDb() {
+    return testEnv.unauthenticatedContext().firestore();
+}
+
+function game(code, hostId, extra = {}) {
+    return { code, hostId, sport: 'basketball', status: 'live', teamA: { score: 0 }, teamB: { score: 0 }, ...extra };
+}
+
+// An event as modules/game-session.js records it, signed by `uid`
+function event(id, uid) {
+    return { id, type: 'point', payload: { team: 'teamA', points: 2 }, actor: { uid, name: 'Host' } };
+}
+
+before(async () => {
+    testEnv = await initializeTestEnvironment({
+        projectId: 'demo-box-rules',
+        firestore: { rules: readFileSync(new URL('../../firestore.rules', import.meta.url), 'utf8') }
+    });
+});
+
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async context => {
+        const db = context.firestore();
+        await db.doc(`gameCodes/${GAME}`).set({ code: GAME, hostId: OWNER });
+        await db.doc(`games/${GAME}`).set(game(GAME, OWNER));
+        await db.doc(`games/${GAME}/events/e1`).set(event('e1', OWNER));
+        await db.doc(`gameCodes/${GUEST_GAME}`).set({ code: GUEST_GAME, hostId: GUEST });
+        await db.doc(`games/${GUEST_GAME}`).set(game(GUEST_GAME, GUEST));
+        const legacy = game(LEGACY_GAME, null);
+        delete legacy.hostId;
+        await db.doc(`games/${LEGACY_GAME}`).set(legacy);
+        await db.doc(`users/${OWNER}`).set({ displayName: 'Owner' });
+    });
+});
+
+after(async () => {
+    await testEnv?.cleanup();
+});
+
+test('owner can score, log events and delete the game', async () => {
+    const db = hostDb(OWNER);
+    await assertSucceeds(db.doc(`games/${GAME}`).update({ 'teamA.score': 2 }));
+    await assertSucceeds(db.doc(`games/${GAME}/events/e2`).set(event('e2', OWNER)));
+    await assertSucceeds(db.doc(`games/${GAME}`).delete());
+});
+
+test('owner cannot hand the game or its code to someone else', async () => {
+    const db = hostDb(OWNER);
+    await assertFails(db.doc(`games/${GAME}`).update({ hostId: ATTACKER }));
+    await assertFails(db.doc(`games/${GAME}`).update({ code: FREE_CODE }));
+    await assertFails(db.doc(`gameCodes/${GAME}`).update({ hostId: ATTACKER }));
+    await assertFails(db.doc(`gameCodes/${GAME}`).delete());
+});
+
+test('owner cannot rewrite the event log', async () => {
+    const db = hostDb(OWNER);
+    await assertFails(db.doc(`games/${GAME}/events/e1`).update({ 'payload.points': 3 }));
+    await assertFails(db.doc(`games/${GAME}/events/e1`).delete());
+    await assertFails(db.doc(`games/${GAME}/events/e3`).set(event('not-e3', OWNER)));
+});
+
+test('events must be signed by the host who writes them', async () => {
+    const db = hostDb(OWNER);
+    await assertFails(db.doc(`games/${GAME}/events/e2`).set(event('e2', ATTACKER)));
+    await assertFails(db.doc(`games/${GAME}/events/e2`).set(event('e2', null)));
+    await assertFails(db.doc(`games/${GAME}/events/e2`).set({ id: 'e2', type: 'point', payload: {} }));
+});
+
+test('anonymous guest can reserve a code and host under it', async () => {
+    const db = guestDb('new-guest-uid');
+    await assertSucceeds(db.doc(`gameCodes/${FREE_CODE}`).set({ code: FREE_CODE, hostId: 'new-guest-uid' }));
+    await assertSucceeds(db.doc(`games/${FREE_CODE}`).set(game(FREE_CODE, 'new-guest-uid')));
+    await assertSucceeds(db.doc(`games/${FREE_CODE}`).update({ 'teamA.score': 1 }));
+    await assertSucceeds(db.doc(`games/${FREE_CODE}/events/e1`).set(event('e1', 'new-guest-uid')));
+});
+
+test("a guest's game can only be changed from the guest's own session", async () => {
+    await assertSucceeds(guestDb(GUEST).doc(`games/${GUEST_GAME}`).update({ 'teamA.score': 1 }));
+    await assertFails(guestDb('other-guest-uid').doc(`games/${GUEST_GAME}`).update({ 'teamA.score': 1 }));
+    await assertFails(guestDb('other-guest-uid').doc(`games/${GUEST_GAME}/events/e1`).set(event('e1', 'other-guest-uid')));
+});
+
+test('spectator can watch but not write', async () => {
+    const db = spectatorDb();
+    await assertSucceeds(db.doc(`games/${GAME}`).get());
+    await assertSucceeds(db.collection(`games/${GAME}/events`).get());
+    await assertSucceeds(db.doc(`gameCodes/${GAME}`).get());
+    await assertFails(db.doc(`games/${GAME}`).update({ 'teamA.score': 2 }));
+    await assertFails(db.doc(`games/${GAME}/events/e2`).set(event('e2', null)));
+    await assertFails(db.doc(`gameCodes/${FREE_CODE}`).set({ code: FREE_CODE, hostId: null }));
+    await assertFails(db.doc(`games/${FREE_CODE}`).set(game(FREE_CODE, null)));
+    await assertFails(db.doc(`users/${OWNER}`).get());
+});
+
+test('attacker cannot change or take over a game', async () => {
+    const db = hostDb(ATTACKER);
+    await assertFails(db.doc(`games/${GAME}`).update({ 'teamA.score': 99 }));
+    await assertFails(db.doc(`games/${GAME}`).update({ hostId: ATTACKER }));
+    await assertFails(db.doc(`games/${GAME}`).set(game(GAME, ATTACKER)));
+    await assertFails(db.doc(`games/${GAME}`).delete());
+});
+
+test('attacker cannot write to the event log', async () => {
+    const db = hostDb(ATTACKER);
+    await assertFails(db.doc(`games/${GAME}/events/e2`).set(event('e2', ATTACKER)));
+    await assertFails(db.doc(`games/${GAME}/events/e2`).set(event('e2', OWNER)));
+    await assertFails(db.doc(`games/${GAME}/events/e1`).update({ 'payload.points': 3 }));
+    await assertFails(db.doc(`games/${GAME}/events/e1`).delete());
+});
+
+test('attacker cannot steal, list or squat on game codes', async () => {
+    const db = hostDb(ATTACKER);
+    await assertFails(db.doc(`gameCodes/${GAME}`).set({ code: GAME, hostId: ATTACKER }));
+    await assertFails(db.doc(`gameCodes/${GAME}`).delete());
+    await assertFails(db.collection('gameCodes').get());
+    // A reservation must be in the attacker's own name, for the code it is stored under
+    await assertFails(db.doc(`gameCodes/${FREE_CODE}`).set({ code: FREE_CODE, hostId: OWNER }));
+    await assertFails(db.doc(`gameCodes/${FREE_CODE}`).set({ code: '555555', hostId: ATTACKER }));
+});
+
+test('nobody can host under a code they did not reserve', async () => {
+    await assertFails(hostDb(ATTACKER).doc(`games/${FREE_CODE}`).set(game(FREE_CODE, ATTACKER)));
+    await assertFails(hostDb(ATTACKER).doc(`games/${FREE_CODE}`).set(game(FREE_CODE, OWNER)));
+    await testEnv.withSecurityRulesDisabled(async context => {
+        await context.firestore().doc(`gameCodes/${FREE_CODE}`).set({ code: FREE_CODE, hostId: OWNER });
+    });
+    await assertFails(hostDb(ATTACKER).doc(`games/${FREE_CODE}`).set(game(FREE_CODE, ATTACKER)));
+    await assertSucceeds(hostDb(OWNER).doc(`games/${FREE_CODE}`).set(game(FREE_CODE, OWNER)));
+});
+
+test('attacker cannot read or write another host\'s profile', async () => {
+    const db = hostDb(ATTACKER);
+    await assertFails(db.doc(`users/${OWNER}`).get());
+    await assertFails(db.doc(`users/${OWNER}`).set({ displayName: 'Owned' }));
+    await assertFails(db.doc(`users/${OWNER}`).delete());
+    await assertSucceeds(db.doc(`users/${ATTACKER}`).set({ displayName: 'Me' }));
+    await assertSucceeds(hostDb(OWNER).doc(`users/${OWNER}`).get());
+});
+
+test('games saved before hosts had an id are read-only', async () => {
+    await assertSucceeds(spectatorDb().doc(`games/${LEGACY_GAME}`).get());
+    await assertFails(hostDb(OWNER).doc(`games/${LEGACY_GAME}`).update({ 'teamA.score': 1 }));
+    await assertFails(hostDb(ATTACKER).doc(`games/${LEGACY_GAME}`).update({ hostId: ATTACKER }));
+    await assertFails(guestDb(GUEST).doc(`games/${LEGACY_GAME}/events/e1`).set(event('e1', GUEST)));
+});
+
+test('only the signed-in user can use their time sync document', async () => {
+    const at = () => ({ at: firebase.firestore.FieldValue.serverTimestamp() });
+    await assertSucceeds(hostDb(OWNER).doc(`timeSync/${OWNER}`).set(at()));
+    await assertSucceeds(hostDb(OWNER).doc(`timeSync/${OWNER}`).get());
+    await assertSucceeds(guestDb(GUEST).doc(`timeSync/${GUEST}`).set(at()));
+    await assertFails(hostDb(OWNER).doc(`timeSync/${OWNER}`).set({ at: new Date(0) }));
+    await assertFails(hostDb(ATTACKER).doc(`timeSync/${OWNER}`).set(at()));
+    await assertFails(hostDb(ATTACKER).doc(`timeSync/${OWNER}`).get());
+    await assertFails(hostDb(ATTACKER).doc('timeSync/any-client-id').set(at()));
+    await assertFails(spectatorDb().doc('timeSync/any-client-id').set(at()));
+});